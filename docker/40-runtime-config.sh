@@ -0,0 +1,15 @@
+#!/bin/sh
+# Genera config.json a partir de las variables de entorno del contenedor
+# para que la misma imagen sirva en cualquier entorno.
+set -e
+
+TEMPLATE=/etc/app/config.json.template
+OUTPUT=/usr/share/nginx/html/config.json
+INDEX=/usr/share/nginx/html/index.html
+
+envsubst '${API_URL} ${APP_ENV}' < "$TEMPLATE" > "$OUTPUT"
+echo "$0: config.json generado (APP_ENV=$APP_ENV, API_URL=$API_URL)"
+
+# La CSP la envía nginx con las URLs del entorno; la de desarrollo de
+# index.html se sumaría a ella y bloquearía la API real
+sed -i '/<!-- CSP de desarrollo -->/,/<!-- \/CSP de desarrollo -->/d' "$INDEX"
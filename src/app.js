@@ -4,13 +4,18 @@
  */
 
 // Importación de módulos core
+import { loadRuntimeConfig } from "./config.js";
 import { initRouter } from "./router.js";
 import { initStore } from "./core/store/store.js";
 import { initWorkerBridge } from "./core/workers/worker-bridge.js";
 
 // Importación de Servicios
 import { ApiService } from "./core/services/api.service.js";
+import { AuthService } from "./core/services/auth.service.js";
 import { NotificationService } from "./core/services/notification.service.js";
+import { OutboxService } from "./core/services/outbox.service.js";
+import { RealtimeService } from "./core/services/realtime.service.js";
+import { TabSyncService } from "./core/services/tab-sync.service.js";
 
 // Importación de componentes
 import "./components/atoms/button.component.js";
@@ -22,6 +27,7 @@ import "./components/molecules/status-badge.component.js";
 import "./components/organisms/incident-form.component.js";
 import "./components/organisms/incident-list.component.js";
 import "./components/organisms/header.component.js";
+import "./components/organisms/diagnostics-panel.component.js";
 import "./components/templates/incidents-page.component.js";
 import "./components/templates/incident-detail-page.component.js";
 import "./components/templates/create-incident-page.component.js";
@@ -31,6 +37,8 @@ import "./pages/home-page.js";
 import "./pages/incident-detail-page.js";
 import "./pages/create-incident-page.js";
 import "./pages/edit-incident-page.js";
+import "./pages/login-page.js";
+import "./pages/diagnostics-page.js";
 import "./pages/not-found-page.js";
 
 // App Shell Component
@@ -53,6 +61,9 @@ class AppShell extends HTMLElement {
     console.log("🚀 Iniciando aplicación...");
 
     try {
+      // 0. Cargar la configuración del entorno (URL de la API, etc.)
+      await loadRuntimeConfig();
+
       // 1. Inicializar el Worker Bridge para comunicación con web workers
       await initWorkerBridge();
       console.log("✅ Worker Bridge inicializado");
@@ -63,7 +74,11 @@ class AppShell extends HTMLElement {
 
       // 3. Inicializar servicios singleton
       ApiService.init();
+      await AuthService.init();
       NotificationService.init();
+      OutboxService.init();
+      await RealtimeService.init();
+      TabSyncService.init();
       console.log("✅ Servicios inicializados");
 
       // 4. Inicializar el router al final cuando todo está listo
@@ -135,6 +150,11 @@ class AppShell extends HTMLElement {
           font-size: var(--font-size-sm);
         }
         
+        footer a {
+          color: inherit;
+          opacity: 0.8;
+        }
+        
         .error-container {
           max-width: 500px;
           margin: 0 auto;
@@ -198,6 +218,7 @@ class AppShell extends HTMLElement {
       <footer>
         <div class="container">
           <p>Sistema de Gestión de Incidentes &copy; ${new Date().getFullYear()}</p>
+          <p><a href="/diagnostics">Diagnóstico de red</a></p>
         </div>
       </footer>
       
@@ -3,7 +3,7 @@
  * Muestra los datos de un incidente en formato de tarjeta
  */
 
-import { ApiService } from "../../core/services/api.service.js";
+import { OutboxService } from "../../core/services/outbox.service.js";
 import { store, actions } from "../../core/store/store.js";
 import { getRouter } from "../../router.js";
 import { NotificationService } from "../../core/services/notification.service.js";
@@ -18,10 +18,16 @@ import { NotificationService } from "../../core/services/notification.service.js
  * @attr {string} status - Estado del incidente
  * @attr {string} created-at - Fecha de creación
  * @attr {boolean} expanded - Si la tarjeta está expandida
+ * @attr {boolean} pending-sync - Si el incidente tiene cambios offline sin sincronizar
+ * @attr {boolean} saving - Si hay un cambio aplicado que la API aún no ha confirmado
+ * @attr {boolean} selectable - Si la tarjeta muestra la casilla de selección
+ * @attr {boolean} selected - Si la tarjeta está seleccionada
+ * @attr {boolean} highlighted - Si la tarjeta se resalta por un cambio recibido en tiempo real
  *
  * @fires incident-card:view - Cuando se solicita ver el detalle del incidente
  * @fires incident-card:edit - Cuando se solicita editar el incidente
  * @fires incident-card:delete - Cuando se solicita eliminar el incidente
+ * @fires incident-card:select - Cuando se marca o desmarca la casilla de selección
  */
 class IncidentCardComponent extends HTMLElement {
   // Definir propiedades observadas para atributos
@@ -33,6 +39,11 @@ class IncidentCardComponent extends HTMLElement {
       "status",
       "created-at",
       "expanded",
+      "pending-sync",
+      "saving",
+      "selectable",
+      "selected",
+      "highlighted",
     ];
   }
 
@@ -47,6 +58,11 @@ class IncidentCardComponent extends HTMLElement {
     this._status = "pendiente";
     this._createdAt = "";
     this._expanded = false;
+    this._pendingSync = false;
+    this._saving = false;
+    this._selectable = false;
+    this._selected = false;
+    this._highlighted = false;
     this._deleteConfirmOpen = false;
 
     // Binding de métodos
@@ -56,6 +72,7 @@ class IncidentCardComponent extends HTMLElement {
     this._toggleExpand = this._toggleExpand.bind(this);
     this._confirmDelete = this._confirmDelete.bind(this);
     this._cancelDelete = this._cancelDelete.bind(this);
+    this._handleSelectChange = this._handleSelectChange.bind(this);
 
     // Inicializar
     this._render();
@@ -105,6 +122,21 @@ class IncidentCardComponent extends HTMLElement {
       case "expanded":
         this._expanded = newValue !== null;
         break;
+      case "pending-sync":
+        this._pendingSync = newValue !== null;
+        break;
+      case "saving":
+        this._saving = newValue !== null;
+        break;
+      case "selectable":
+        this._selectable = newValue !== null;
+        break;
+      case "selected":
+        this._selected = newValue !== null;
+        break;
+      case "highlighted":
+        this._highlighted = newValue !== null;
+        break;
     }
 
     // Actualizar componente
@@ -121,6 +153,7 @@ class IncidentCardComponent extends HTMLElement {
     );
     const cancelDeleteBtn = this.shadowRoot.querySelector(".cancel-delete-btn");
     const expandBtn = this.shadowRoot.querySelector(".expand-btn");
+    const selectCheckbox = this.shadowRoot.querySelector(".select-checkbox");
 
     if (viewBtn) viewBtn.addEventListener("click", this._handleViewClick);
     if (editBtn) editBtn.addEventListener("click", this._handleEditClick);
@@ -130,6 +163,8 @@ class IncidentCardComponent extends HTMLElement {
     if (cancelDeleteBtn)
       cancelDeleteBtn.addEventListener("click", this._cancelDelete);
     if (expandBtn) expandBtn.addEventListener("click", this._toggleExpand);
+    if (selectCheckbox)
+      selectCheckbox.addEventListener("change", this._handleSelectChange);
   }
 
   // Quitar event listeners
@@ -142,6 +177,7 @@ class IncidentCardComponent extends HTMLElement {
     );
     const cancelDeleteBtn = this.shadowRoot.querySelector(".cancel-delete-btn");
     const expandBtn = this.shadowRoot.querySelector(".expand-btn");
+    const selectCheckbox = this.shadowRoot.querySelector(".select-checkbox");
 
     if (viewBtn) viewBtn.removeEventListener("click", this._handleViewClick);
     if (editBtn) editBtn.removeEventListener("click", this._handleEditClick);
@@ -152,6 +188,8 @@ class IncidentCardComponent extends HTMLElement {
     if (cancelDeleteBtn)
       cancelDeleteBtn.removeEventListener("click", this._cancelDelete);
     if (expandBtn) expandBtn.removeEventListener("click", this._toggleExpand);
+    if (selectCheckbox)
+      selectCheckbox.removeEventListener("change", this._handleSelectChange);
   }
 
   // Configurar Intersection Observer para animación de entrada
@@ -235,52 +273,61 @@ class IncidentCardComponent extends HTMLElement {
    * @private
    */
   async _confirmDelete() {
-    try {
-      // Mostrar loader
-      store.dispatch(actions.setLoading(true));
+    const incidentId = this._incidentId;
+    const card = this.shadowRoot.querySelector(".card");
 
-      // Llamar a la API
-      await ApiService.deleteIncident(this._incidentId);
+    // Animar salida sin esperar a la API (la lista la retira desde el store)
+    this._deleteConfirmOpen = false;
+    this.setAttribute("saving", "");
+    if (card) card.classList.add("deleting");
 
-      // Actualizar store eliminando el incidente
-      store.dispatch(actions.deleteIncident(this._incidentId));
+    // Emitir evento personalizado
+    this.dispatchEvent(
+      new CustomEvent("incident-card:delete", {
+        bubbles: true,
+        composed: true,
+        detail: { id: incidentId },
+      })
+    );
+
+    try {
+      // Se quita del store de inmediato y se restaura si la API falla
+      // (sin conexión se encola)
+      const { queued } = await OutboxService.deleteIncident(incidentId, {
+        optimistic: true,
+      });
+
+      // Confirmar la eliminación (también en las demás pestañas)
+      if (!queued) {
+        store.dispatch(actions.deleteIncident(incidentId));
+      }
 
       // Mostrar notificación
       store.dispatch(
-        actions.showSuccessNotification("Incidente eliminado con éxito")
+        queued
+          ? actions.showWarningNotification(
+              "Sin conexión: la eliminación se sincronizará al reconectar"
+            )
+          : actions.showSuccessNotification("Incidente eliminado con éxito")
       );
 
-      // Animar salida
-      const card = this.shadowRoot.querySelector(".card");
-      if (card) {
-        card.classList.add("deleting");
-
-        // Quitar del DOM después de animación
-        setTimeout(() => {
-          this.remove();
-        }, 300);
-      } else {
+      // Quitar del DOM después de animación (si no lo hizo ya la lista)
+      setTimeout(() => {
         this.remove();
-      }
-
-      // Emitir evento personalizado
-      this.dispatchEvent(
-        new CustomEvent("incident-card:delete", {
-          bubbles: true,
-          composed: true,
-          detail: { id: this._incidentId },
-        })
-      );
+      }, 300);
     } catch (error) {
       console.error("Error al eliminar incidente:", error);
+
+      // El store ya lo devolvió a la lista; una tarjeta suelta se restaura aquí
+      if (card) card.classList.remove("deleting");
+      this.removeAttribute("saving");
+
       store.dispatch(
         actions.showErrorNotification(
-          "Error al eliminar: " + (error.message || "Inténtalo de nuevo")
+          "No se pudo eliminar el incidente, se ha restaurado: " +
+            (error.message || "Inténtalo de nuevo")
         )
       );
-    } finally {
-      // Ocultar loader
-      store.dispatch(actions.setLoading(false));
     }
   }
 
@@ -293,6 +340,25 @@ class IncidentCardComponent extends HTMLElement {
     this._updateCard();
   }
 
+  /**
+   * Manejador para marcar o desmarcar la tarjeta
+   * @param {Event} event - Evento change
+   * @private
+   */
+  _handleSelectChange(event) {
+    const selected = event.target.checked;
+    this.toggleAttribute("selected", selected);
+
+    // Emitir evento personalizado
+    this.dispatchEvent(
+      new CustomEvent("incident-card:select", {
+        bubbles: true,
+        composed: true,
+        detail: { id: this._incidentId, selected },
+      })
+    );
+  }
+
   /**
    * Alterna estado de expansión de la tarjeta
    * @private
@@ -352,6 +418,11 @@ class IncidentCardComponent extends HTMLElement {
     const deleteModal = this.shadowRoot.querySelector(".delete-confirm");
     const expandBtn = this.shadowRoot.querySelector(".expand-btn");
     const expandIcon = expandBtn?.querySelector("svg");
+    const syncBadge = this.shadowRoot.querySelector(".sync-badge");
+    const savingBadge = this.shadowRoot.querySelector(".saving-badge");
+    const title = this.shadowRoot.querySelector(".card-title");
+    const selectLabel = this.shadowRoot.querySelector(".select-label");
+    const selectCheckbox = this.shadowRoot.querySelector(".select-checkbox");
 
     // Actualizar componentes
     if (statusBadge) statusBadge.setAttribute("status", this._status);
@@ -369,6 +440,24 @@ class IncidentCardComponent extends HTMLElement {
 
     if (date) date.textContent = this._formatDate(this._createdAt);
 
+    if (title) title.textContent = `Incidente #${this._incidentId}`;
+
+    // Casilla de selección (operaciones masivas)
+    if (selectLabel) selectLabel.hidden = !this._selectable;
+    if (selectCheckbox) {
+      selectCheckbox.checked = this._selected;
+      selectCheckbox.setAttribute(
+        "aria-label",
+        `Seleccionar incidente #${this._incidentId}`
+      );
+    }
+
+    // Marcador de cambios pendientes de sincronizar
+    if (syncBadge) syncBadge.hidden = !this._pendingSync;
+
+    // Marcador de cambio optimista a la espera de la API
+    if (savingBadge) savingBadge.hidden = !this._saving;
+
     // Controlar modal de confirmación
     if (deleteModal) {
       deleteModal.classList.toggle("open", this._deleteConfirmOpen);
@@ -377,6 +466,10 @@ class IncidentCardComponent extends HTMLElement {
     // Control de expansión
     if (card) {
       card.classList.toggle("expanded", this._expanded);
+      card.classList.toggle("selected", this._selected);
+      card.classList.toggle("highlighted", this._highlighted);
+      card.classList.toggle("saving", this._saving);
+      card.setAttribute("aria-busy", String(this._saving));
     }
 
     if (expandIcon) {
@@ -413,6 +506,21 @@ class IncidentCardComponent extends HTMLElement {
         transform: translateY(0);
       }
       
+      .card.selected {
+        box-shadow: 0 0 0 2px var(--primary-color, #3b82f6);
+      }
+      
+      .card.highlighted {
+        animation: highlight 1.5s ease-in-out 2;
+      }
+      
+      @keyframes highlight {
+        50% {
+          background-color: #fef9c3;
+          box-shadow: 0 0 0 2px var(--warning-color, #f59e0b);
+        }
+      }
+      
       .card.deleting {
         transform: translateX(100%);
         opacity: 0;
@@ -426,6 +534,79 @@ class IncidentCardComponent extends HTMLElement {
         border-bottom: 1px solid #e2e8f0;
       }
       
+      .card-heading {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+      
+      .select-label {
+        display: flex;
+        align-items: center;
+        cursor: pointer;
+      }
+      
+      .select-label[hidden] {
+        display: none;
+      }
+      
+      .select-checkbox {
+        width: 1rem;
+        height: 1rem;
+        cursor: pointer;
+      }
+      
+      .header-badges {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+      
+      .sync-badge {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.25rem;
+        padding: 0.125rem 0.5rem;
+        border-radius: 9999px;
+        font-size: 0.75rem;
+        font-weight: 500;
+        background-color: #fffbeb;
+        color: #92400e;
+      }
+      
+      .sync-badge[hidden] {
+        display: none;
+      }
+      
+      .saving-badge {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.25rem;
+        padding: 0.125rem 0.5rem;
+        border-radius: 9999px;
+        font-size: 0.75rem;
+        font-weight: 500;
+        background-color: #eff6ff;
+        color: #1e40af;
+      }
+      
+      .saving-badge[hidden] {
+        display: none;
+      }
+      
+      .saving-spinner {
+        width: 0.625rem;
+        height: 0.625rem;
+        border: 2px solid #bfdbfe;
+        border-top-color: currentColor;
+        border-radius: 50%;
+        animation: spin 0.8s linear infinite;
+      }
+      
+      @keyframes spin {
+        to { transform: rotate(360deg); }
+      }
+      
       .card-title {
         font-weight: 600;
         font-size: 1rem;
@@ -580,8 +761,32 @@ class IncidentCardComponent extends HTMLElement {
       <style>${styles}</style>
       <div class="card">
         <div class="card-header">
-          <h3 class="card-title">Incidente #${this._incidentId}</h3>
-          <status-badge status="${this._status}"></status-badge>
+          <div class="card-heading">
+            <label class="select-label" ${this._selectable ? "" : "hidden"}>
+              <input type="checkbox" class="select-checkbox" ${
+                this._selected ? "checked" : ""
+              } />
+            </label>
+            <h3 class="card-title">Incidente #${this._incidentId}</h3>
+          </div>
+          <div class="header-badges">
+            <span class="sync-badge" title="Cambios guardados sin conexión" ${
+              this._pendingSync ? "" : "hidden"
+            }>
+              <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M23 4v6h-6"></path>
+                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+              </svg>
+              Pendiente de sincronizar
+            </span>
+            <span class="saving-badge" role="status" ${
+              this._saving ? "" : "hidden"
+            }>
+              <span class="saving-spinner" aria-hidden="true"></span>
+              Guardando…
+            </span>
+            <status-badge status="${this._status}"></status-badge>
+          </div>
         </div>
         
         <div class="card-body">
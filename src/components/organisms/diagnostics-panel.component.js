@@ -0,0 +1,463 @@
+/**
+ * @fileoverview Componente de panel de diagnóstico de red
+ * Muestra la telemetría que agrega el API Worker (latencias por endpoint, errores,
+ * aciertos de cache y tamaño de respuestas) y permite exportarla como JSON
+ */
+
+import { ApiService } from "../../core/services/api.service.js";
+import { store, actions } from "../../core/store/store.js";
+
+// Intervalo de refresco automático del panel (ms)
+const REFRESH_INTERVAL = 5000;
+
+/**
+ * Escapa un texto para insertarlo en HTML
+ * @param {string} value - Texto
+ * @returns {string} Texto escapado
+ */
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ]
+  );
+}
+
+/**
+ * Formatea una fracción como porcentaje
+ * @param {number} value - Fracción entre 0 y 1
+ * @returns {string} Porcentaje
+ */
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formatea una latencia
+ * @param {number|null} value - Latencia en ms
+ * @returns {string} Latencia
+ */
+function formatMs(value) {
+  return value === null || value === undefined ? "—" : `${value} ms`;
+}
+
+/**
+ * Formatea un tamaño en bytes
+ * @param {number|null} value - Tamaño
+ * @returns {string} Tamaño legible
+ */
+function formatBytes(value) {
+  if (value === null || value === undefined) return "—";
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Componente Diagnostics Panel - Componente de organismo
+ * @element diagnostics-panel
+ */
+class DiagnosticsPanelComponent extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+
+    // Estado interno
+    this._metrics = null;
+    this._refreshTimer = null;
+
+    // Binding de métodos
+    this._refresh = this._refresh.bind(this);
+    this._handleExport = this._handleExport.bind(this);
+    this._handleReset = this._handleReset.bind(this);
+
+    // Inicializar
+    this._render();
+  }
+
+  // Lifecycle: Cuando el componente se conecta al DOM
+  connectedCallback() {
+    this._addEventListeners();
+    this._refresh();
+    this._refreshTimer = setInterval(this._refresh, REFRESH_INTERVAL);
+  }
+
+  // Lifecycle: Cuando el componente se desconecta del DOM
+  disconnectedCallback() {
+    this._removeEventListeners();
+    clearInterval(this._refreshTimer);
+    this._refreshTimer = null;
+  }
+
+  /**
+   * Agregar event listeners
+   * @private
+   */
+  _addEventListeners() {
+    const refreshBtn = this.shadowRoot.querySelector("#refresh-btn");
+    const exportBtn = this.shadowRoot.querySelector("#export-btn");
+    const resetBtn = this.shadowRoot.querySelector("#reset-btn");
+
+    if (refreshBtn) refreshBtn.addEventListener("click", this._refresh);
+    if (exportBtn) exportBtn.addEventListener("click", this._handleExport);
+    if (resetBtn) resetBtn.addEventListener("click", this._handleReset);
+  }
+
+  /**
+   * Quitar event listeners
+   * @private
+   */
+  _removeEventListeners() {
+    const refreshBtn = this.shadowRoot.querySelector("#refresh-btn");
+    const exportBtn = this.shadowRoot.querySelector("#export-btn");
+    const resetBtn = this.shadowRoot.querySelector("#reset-btn");
+
+    if (refreshBtn) refreshBtn.removeEventListener("click", this._refresh);
+    if (exportBtn) exportBtn.removeEventListener("click", this._handleExport);
+    if (resetBtn) resetBtn.removeEventListener("click", this._handleReset);
+  }
+
+  /**
+   * Obtiene las métricas del worker y actualiza el panel
+   * @private
+   */
+  async _refresh() {
+    try {
+      this._metrics = await ApiService.getMetrics();
+      this._updateMetrics();
+    } catch (error) {
+      console.error("Error al obtener la telemetría de red:", error);
+    }
+  }
+
+  /**
+   * Descarga la telemetría como archivo JSON
+   * @private
+   */
+  async _handleExport() {
+    try {
+      const report = await ApiService.exportMetrics();
+      const blob = new Blob([JSON.stringify(report, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `telemetria-red-${report.exportedAt.replace(/[:.]/g, "-")}.json`;
+      link.click();
+
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      store.dispatch(
+        actions.showErrorNotification("No se pudo exportar la telemetría")
+      );
+    }
+  }
+
+  /**
+   * Reinicia la telemetría
+   * @private
+   */
+  async _handleReset() {
+    await ApiService.resetMetrics();
+    store.dispatch(actions.showInfoNotification("Telemetría reiniciada"));
+    this._refresh();
+  }
+
+  /**
+   * Actualiza el resumen y la tabla de endpoints
+   * @private
+   */
+  _updateMetrics() {
+    const summary = this.shadowRoot.querySelector(".summary");
+    const tableBody = this.shadowRoot.querySelector("tbody");
+    const since = this.shadowRoot.querySelector(".since");
+    if (!summary || !tableBody || !this._metrics) return;
+
+    const { totals, endpoints, buckets, queue } = this._metrics;
+
+    if (since) {
+      since.textContent = `Desde ${new Date(this._metrics.since).toLocaleString()}`;
+    }
+
+    const cards = [
+      ["Peticiones", totals.requests],
+      ["Tasa de error", formatPercent(totals.errorRate)],
+      ["Aciertos de caché", formatPercent(totals.cacheHitRatio)],
+      ["Latencia p50", formatMs(totals.p50)],
+      ["Latencia p95", formatMs(totals.p95)],
+      ["Tamaño medio", formatBytes(totals.avgBytes)],
+    ];
+
+    // Cola de red del worker
+    if (queue) {
+      cards.push(
+        [
+          "En cola",
+          `${queue.depth} (alta ${queue.byPriority.high} · normal ${queue.byPriority.normal} · baja ${queue.byPriority.low})`,
+        ],
+        ["En curso", `${queue.active} / ${queue.concurrency}`],
+        ["Espera media en cola", formatMs(queue.avgWait)]
+      );
+    }
+
+    summary.innerHTML = cards
+      .map(
+        ([label, value]) => `
+          <div class="stat">
+            <span class="stat-value">${value}</span>
+            <span class="stat-label">${label}</span>
+          </div>
+        `
+      )
+      .join("");
+
+    if (!endpoints.length) {
+      tableBody.innerHTML = `
+        <tr><td colspan="8" class="empty">Aún no hay peticiones registradas.</td></tr>
+      `;
+      return;
+    }
+
+    tableBody.innerHTML = endpoints
+      .map(
+        (endpoint) => `
+          <tr>
+            <td class="endpoint">${escapeHtml(endpoint.endpoint)}</td>
+            <td>${endpoint.requests}</td>
+            <td class="${endpoint.errorRate > 0 ? "has-errors" : ""}">${formatPercent(endpoint.errorRate)}</td>
+            <td>${formatPercent(endpoint.cacheHitRatio)}</td>
+            <td>${formatMs(endpoint.p50)}</td>
+            <td>${formatMs(endpoint.p95)}</td>
+            <td>${formatBytes(endpoint.avgBytes)}</td>
+            <td>${this._renderHistogram(endpoint.latency.buckets, buckets)}</td>
+          </tr>
+        `
+      )
+      .join("");
+  }
+
+  /**
+   * Renderiza el histograma de latencias de un endpoint como barras
+   * @param {number[]} counts - Peticiones por intervalo
+   * @param {Array<number|null>} limits - Límite superior de cada intervalo (null = sin límite)
+   * @returns {string} HTML del histograma
+   * @private
+   */
+  _renderHistogram(counts, limits) {
+    const max = Math.max(...counts, 1);
+
+    return `
+      <div class="histogram">
+        ${counts
+          .map((count, index) => {
+            const limit = limits[index];
+            const label =
+              limit === null ? `> ${limits[index - 1]} ms` : `≤ ${limit} ms`;
+
+            return `<span class="bar" style="height: ${Math.round(
+              (count / max) * 100
+            )}%" title="${label}: ${count}"></span>`;
+          })
+          .join("")}
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza el componente completo
+   * @private
+   */
+  _render() {
+    // CSS
+    const styles = `
+      :host {
+        display: block;
+      }
+
+      .panel {
+        background-color: white;
+        border-radius: var(--border-radius-lg, 0.5rem);
+        box-shadow: var(--shadow-md, 0 4px 6px -1px rgba(0, 0, 0, 0.1));
+        padding: 1.5rem;
+      }
+
+      .panel-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 1rem;
+        margin-bottom: 1.5rem;
+      }
+
+      .panel-title {
+        font-size: 1.25rem;
+        font-weight: 600;
+        color: var(--secondary-color, #475569);
+        margin: 0;
+      }
+
+      .since {
+        font-size: 0.875rem;
+        color: #64748b;
+      }
+
+      .actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .btn {
+        padding: 0.5rem 1rem;
+        font-size: 0.875rem;
+        font-weight: 500;
+        border-radius: var(--border-radius-md, 0.375rem);
+        border: 1px solid #e2e8f0;
+        background-color: white;
+        color: var(--secondary-color, #475569);
+        cursor: pointer;
+      }
+
+      .btn:hover {
+        background-color: #f8fafc;
+      }
+
+      .primary-btn {
+        background-color: var(--primary-color, #3b82f6);
+        border-color: var(--primary-color, #3b82f6);
+        color: white;
+      }
+
+      .primary-btn:hover {
+        background-color: var(--primary-dark, #2563eb);
+      }
+
+      .summary {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+        gap: 1rem;
+        margin-bottom: 1.5rem;
+      }
+
+      .stat {
+        display: flex;
+        flex-direction: column;
+        padding: 1rem;
+        background-color: #f8fafc;
+        border-radius: var(--border-radius-md, 0.375rem);
+      }
+
+      .stat-value {
+        font-size: 1.25rem;
+        font-weight: 700;
+        color: #334155;
+      }
+
+      .stat-label {
+        font-size: 0.75rem;
+        color: #64748b;
+      }
+
+      .table-container {
+        overflow-x: auto;
+      }
+
+      table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.875rem;
+      }
+
+      th,
+      td {
+        padding: 0.5rem;
+        text-align: right;
+        border-bottom: 1px solid #e2e8f0;
+        white-space: nowrap;
+      }
+
+      th {
+        color: #64748b;
+        font-weight: 500;
+      }
+
+      th:first-child,
+      .endpoint {
+        text-align: left;
+        font-family: monospace;
+      }
+
+      .has-errors {
+        color: var(--error-color, #ef4444);
+        font-weight: 600;
+      }
+
+      .empty {
+        text-align: center;
+        color: #64748b;
+        padding: 2rem 0;
+      }
+
+      .histogram {
+        display: inline-flex;
+        align-items: flex-end;
+        gap: 2px;
+        height: 24px;
+      }
+
+      .bar {
+        width: 6px;
+        min-height: 1px;
+        background-color: var(--primary-color, #3b82f6);
+      }
+    `;
+
+    // Template HTML
+    this.shadowRoot.innerHTML = `
+      <style>${styles}</style>
+      <section class="panel">
+        <div class="panel-header">
+          <div>
+            <h2 class="panel-title">Telemetría de red</h2>
+            <span class="since"></span>
+          </div>
+
+          <div class="actions">
+            <button id="refresh-btn" class="btn" type="button">Actualizar</button>
+            <button id="reset-btn" class="btn" type="button">Reiniciar</button>
+            <button id="export-btn" class="btn primary-btn" type="button">Exportar JSON</button>
+          </div>
+        </div>
+
+        <div class="summary"></div>
+
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Endpoint</th>
+                <th>Peticiones</th>
+                <th>Errores</th>
+                <th>Caché</th>
+                <th>p50</th>
+                <th>p95</th>
+                <th>Tamaño medio</th>
+                <th>Latencias</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </section>
+    `;
+  }
+}
+
+// Registrar el componente
+customElements.define("diagnostics-panel", DiagnosticsPanelComponent);
+
+export default DiagnosticsPanelComponent;
@@ -3,9 +3,18 @@
  * Implementa la navegación y el encabezado principal
  */
 
+import { CONFIG, isMockApiEnabled } from "../../config.js";
 import { store, actions } from "../../core/store/store.js";
+import { AuthService } from "../../core/services/auth.service.js";
 import { getRouter } from "../../router.js";
 
+// Etiquetas del indicador de entorno
+const ENVIRONMENT_LABELS = {
+  development: "DEV",
+  staging: "STAGING",
+  production: "PROD",
+};
+
 /**
  * Componente Header - Componente de organismo
  * @element app-header
@@ -18,6 +27,11 @@ class HeaderComponent extends HTMLElement {
     // Estado interno
     this._darkMode = false;
     this._menuOpen = false;
+    this._online = true;
+    this._pendingSync = 0;
+    this._syncing = false;
+    this._apiStatus = "ready";
+    this._user = null;
 
     // Binding de métodos
     this._toggleMenu = this._toggleMenu.bind(this);
@@ -25,6 +39,8 @@ class HeaderComponent extends HTMLElement {
     this._toggleDarkMode = this._toggleDarkMode.bind(this);
     this._handleStoreUpdate = this._handleStoreUpdate.bind(this);
     this._handleOutsideClick = this._handleOutsideClick.bind(this);
+    this._handleLogout = this._handleLogout.bind(this);
+    this._updateEnvironmentBadge = this._updateEnvironmentBadge.bind(this);
 
     // Inicializar
     this._render();
@@ -42,6 +58,11 @@ class HeaderComponent extends HTMLElement {
     const state = store.getState();
     this._darkMode = state.ui.darkMode;
     this._menuOpen = state.ui.menuOpen;
+    this._online = state.ui.online;
+    this._pendingSync = state.outbox.length;
+    this._syncing = state.ui.syncing;
+    this._apiStatus = state.ui.apiStatus;
+    this._user = state.auth.user;
     this._updateHeader();
   }
 
@@ -73,6 +94,26 @@ class HeaderComponent extends HTMLElement {
       this._menuOpen = state.ui.menuOpen;
       this._updateMenuState();
     }
+
+    // Actualizar si cambia la conexión o la cola offline
+    if (
+      state.ui.online !== this._online ||
+      state.outbox.length !== this._pendingSync ||
+      state.ui.syncing !== this._syncing ||
+      state.ui.apiStatus !== this._apiStatus
+    ) {
+      this._online = state.ui.online;
+      this._pendingSync = state.outbox.length;
+      this._syncing = state.ui.syncing;
+      this._apiStatus = state.ui.apiStatus;
+      this._updateConnectionStatus();
+    }
+
+    // Actualizar si cambia el usuario de la sesión
+    if (state.auth.user !== this._user) {
+      this._user = state.auth.user;
+      this._updateUserMenu();
+    }
   }
 
   /**
@@ -83,14 +124,19 @@ class HeaderComponent extends HTMLElement {
     const menuToggle = this.shadowRoot.querySelector(".menu-toggle");
     const homeLink = this.shadowRoot.querySelector(".home-link");
     const darkModeToggle = this.shadowRoot.querySelector(".dark-mode-toggle");
+    const logoutBtn = this.shadowRoot.querySelector(".logout-btn");
 
     if (menuToggle) menuToggle.addEventListener("click", this._toggleMenu);
     if (homeLink) homeLink.addEventListener("click", this._handleHomeClick);
     if (darkModeToggle)
       darkModeToggle.addEventListener("click", this._toggleDarkMode);
+    if (logoutBtn) logoutBtn.addEventListener("click", this._handleLogout);
 
     // Escuchar clics fuera del menú para cerrarlo en móvil
     document.addEventListener("click", this._handleOutsideClick);
+
+    // El entorno se conoce al cargar la configuración de tiempo de ejecución
+    window.addEventListener("app-config:loaded", this._updateEnvironmentBadge);
   }
 
   /**
@@ -101,13 +147,16 @@ class HeaderComponent extends HTMLElement {
     const menuToggle = this.shadowRoot.querySelector(".menu-toggle");
     const homeLink = this.shadowRoot.querySelector(".home-link");
     const darkModeToggle = this.shadowRoot.querySelector(".dark-mode-toggle");
+    const logoutBtn = this.shadowRoot.querySelector(".logout-btn");
 
     if (menuToggle) menuToggle.removeEventListener("click", this._toggleMenu);
     if (homeLink) homeLink.removeEventListener("click", this._handleHomeClick);
     if (darkModeToggle)
       darkModeToggle.removeEventListener("click", this._toggleDarkMode);
+    if (logoutBtn) logoutBtn.removeEventListener("click", this._handleLogout);
 
     document.removeEventListener("click", this._handleOutsideClick);
+    window.removeEventListener("app-config:loaded", this._updateEnvironmentBadge);
   }
 
   /**
@@ -155,6 +204,36 @@ class HeaderComponent extends HTMLElement {
     }
   }
 
+  /**
+   * Cerrar sesión
+   * @private
+   */
+  async _handleLogout() {
+    await AuthService.logout();
+    store.dispatch(actions.showInfoNotification("Sesión cerrada"));
+
+    // Cerrar menú en móvil
+    if (this._menuOpen) {
+      store.dispatch(actions.toggleMenu(false));
+    }
+  }
+
+  /**
+   * Actualiza el usuario mostrado y las acciones de sesión
+   * @private
+   */
+  _updateUserMenu() {
+    const userMenu = this.shadowRoot.querySelector(".user-menu");
+    const userName = this.shadowRoot.querySelector(".user-name");
+    const loginLink = this.shadowRoot.querySelector(".login-link");
+
+    if (userMenu) userMenu.hidden = !this._user;
+    if (loginLink) loginLink.hidden = Boolean(this._user);
+    if (userName && this._user) {
+      userName.textContent = this._user.name || this._user.username;
+    }
+  }
+
   /**
    * Alternar modo oscuro
    * @private
@@ -220,6 +299,53 @@ class HeaderComponent extends HTMLElement {
     }
   }
 
+  /**
+   * Actualiza el indicador de conexión, del API Worker y de cambios pendientes de sincronizar
+   * @private
+   */
+  _updateConnectionStatus() {
+    const status = this.shadowRoot.querySelector(".connection-status");
+    if (!status) return;
+
+    let text = "";
+    if (this._apiStatus === "reconnecting") {
+      text = "Reconectando…";
+    } else if (this._apiStatus === "failed") {
+      text = "Servicio no disponible";
+    } else if (!this._online) {
+      text = this._pendingSync
+        ? `Sin conexión · ${this._pendingSync} pendiente(s)`
+        : "Sin conexión";
+    } else if (this._syncing) {
+      text = "Sincronizando…";
+    } else if (this._pendingSync) {
+      text = `${this._pendingSync} cambio(s) pendiente(s)`;
+    }
+
+    status.textContent = text;
+    status.hidden = !text;
+    status.classList.toggle(
+      "offline",
+      !this._online || this._apiStatus !== "ready"
+    );
+  }
+
+  /**
+   * Actualiza el indicador del entorno (y de la API simulada)
+   * @private
+   */
+  _updateEnvironmentBadge() {
+    const badge = this.shadowRoot.querySelector(".environment-badge");
+    if (!badge) return;
+
+    const environment = CONFIG.ENVIRONMENT;
+    const label = ENVIRONMENT_LABELS[environment] || String(environment).toUpperCase();
+
+    badge.textContent = isMockApiEnabled() ? `${label} · API simulada` : label;
+    badge.title = `Entorno: ${environment}`;
+    badge.dataset.environment = environment;
+  }
+
   /**
    * Actualiza el encabezado completo
    * @private
@@ -227,6 +353,9 @@ class HeaderComponent extends HTMLElement {
   _updateHeader() {
     this._updateDarkModeToggle();
     this._updateMenuState();
+    this._updateConnectionStatus();
+    this._updateUserMenu();
+    this._updateEnvironmentBadge();
   }
 
   /**
@@ -267,6 +396,27 @@ class HeaderComponent extends HTMLElement {
         display: flex;
       }
       
+      .environment-badge {
+        margin-left: 0.75rem;
+        padding: 0.125rem 0.5rem;
+        border-radius: var(--border-radius-full, 9999px);
+        font-size: 0.6875rem;
+        font-weight: 700;
+        letter-spacing: 0.05em;
+        background-color: #dcfce7;
+        color: #166534;
+      }
+      
+      .environment-badge[data-environment="staging"] {
+        background-color: #fef3c7;
+        color: #92400e;
+      }
+      
+      .environment-badge[data-environment="production"] {
+        background-color: #fee2e2;
+        color: #991b1b;
+      }
+      
       .nav-menu {
         display: flex;
         gap: 1.5rem;
@@ -291,6 +441,33 @@ class HeaderComponent extends HTMLElement {
         color: white;
       }
       
+      .user-menu {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        color: white;
+        font-size: 0.875rem;
+      }
+      
+      .user-menu[hidden],
+      .login-link[hidden] {
+        display: none;
+      }
+      
+      .logout-btn {
+        background: none;
+        border: 1px solid rgba(255, 255, 255, 0.4);
+        border-radius: var(--border-radius-md, 0.375rem);
+        color: white;
+        font-size: 0.875rem;
+        padding: 0.25rem 0.75rem;
+        cursor: pointer;
+      }
+      
+      .logout-btn:hover {
+        background-color: rgba(255, 255, 255, 0.1);
+      }
+      
       .icon-btn {
         background: none;
         border: none;
@@ -313,6 +490,24 @@ class HeaderComponent extends HTMLElement {
         margin-left: 0.5rem;
       }
       
+      .connection-status {
+        padding: 0.25rem 0.75rem;
+        border-radius: var(--border-radius-full, 9999px);
+        font-size: 0.75rem;
+        font-weight: 500;
+        background-color: rgba(255, 255, 255, 0.15);
+        color: white;
+      }
+      
+      .connection-status.offline {
+        background-color: #fffbeb;
+        color: #92400e;
+      }
+      
+      .connection-status[hidden] {
+        display: none;
+      }
+      
       .menu-toggle {
         display: none;
       }
@@ -365,6 +560,7 @@ class HeaderComponent extends HTMLElement {
             </span>
             <span>Sistema de Incidentes</span>
           </a>
+          <span class="environment-badge"></span>
         </div>
         
         <button class="icon-btn menu-toggle" aria-label="Menú" aria-expanded="false">
@@ -379,6 +575,14 @@ class HeaderComponent extends HTMLElement {
           <a href="/" class="nav-link home-link">Inicio</a>
           <a href="/incidents/create" class="nav-link">Nuevo Incidente</a>
           
+          <span class="connection-status" role="status" aria-live="polite" hidden></span>
+          
+          <div class="user-menu" hidden>
+            <span class="user-name"></span>
+            <button class="logout-btn" type="button">Cerrar sesión</button>
+          </div>
+          <a href="/login" class="nav-link login-link">Iniciar sesión</a>
+          
           <button class="icon-btn dark-mode-toggle" aria-label="Alternar modo oscuro" title="Cambiar a modo oscuro" aria-checked="false">
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <circle cx="12" cy="12" r="5"></circle>
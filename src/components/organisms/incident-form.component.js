@@ -1,12 +1,15 @@
 /**
  * @fileoverview Componente de formulario para incidentes
- * Gestiona creación y edición de incidentes
+ * Gestiona creación y edición de incidentes. En edición marca los campos
+ * modificados y solo envía esos campos.
  */
 
 import { CONFIG } from '../../config.js';
-import { ApiService } from '../../core/services/api.service.js';
+import { ApiService, isAbortError } from '../../core/services/api.service.js';
+import { OutboxService } from '../../core/services/outbox.service.js';
 import { store, actions } from '../../core/store/store.js';
 import { getRouter } from '../../router.js';
+import { validateIncidentField, getChangedFields, INCIDENT_FIELDS } from '../../utils/validation.utils.js';
 
 /**
  * Componente Incident Form - Componente de organismo
@@ -40,6 +43,8 @@ class IncidentFormComponent extends HTMLElement {
       reporter: '',
       description: ''
     };
+    // Datos cargados del incidente (modo edición), para detectar cambios
+    this._originalData = null;
     this._isLoading = false;
     this._isSubmitting = false;
     
@@ -185,6 +190,7 @@ class IncidentFormComponent extends HTMLElement {
           description: incident.description || '',
           status: incident.status || CONFIG.INCIDENT_STATUS.PENDING
         };
+        this._originalData = { ...this._formData };
         
         // Actualizar UI
         this._updateForm();
@@ -194,6 +200,9 @@ class IncidentFormComponent extends HTMLElement {
         this._handleCancel();
       }
     } catch (error) {
+      // Carga cancelada al abandonar la página
+      if (isAbortError(error)) return;
+      
       console.error('Error al cargar incidente:', error);
       store.dispatch(actions.showErrorNotification('Error al cargar el incidente'));
     } finally {
@@ -221,6 +230,7 @@ class IncidentFormComponent extends HTMLElement {
     
     // Actualizar UI
     this._updateField(name);
+    this._updateDirtyState();
   }
   
   /**
@@ -233,6 +243,7 @@ class IncidentFormComponent extends HTMLElement {
     
     // Actualizar formData
     this._formData.status = value;
+    this._updateDirtyState();
   }
   
   /**
@@ -242,24 +253,8 @@ class IncidentFormComponent extends HTMLElement {
    * @private
    */
   _validateField(name, value) {
-    // Reset del error
-    this._formErrors[name] = '';
-    
-    // Validar según campo
-    switch (name) {
-      case 'reporter':
-        if (!value.trim()) {
-          this._formErrors.reporter = 'El nombre del reportador es obligatorio';
-        }
-        break;
-      case 'description':
-        if (!value.trim()) {
-          this._formErrors.description = 'La descripción es obligatoria';
-        } else if (value.trim().length < CONFIG.VALIDATION.INCIDENT_DESCRIPTION_MIN_LENGTH) {
-          this._formErrors.description = `La descripción debe tener al menos ${CONFIG.VALIDATION.INCIDENT_DESCRIPTION_MIN_LENGTH} caracteres`;
-        }
-        break;
-    }
+    // Mismas reglas que aplica ApiService antes de enviar
+    this._formErrors[name] = validateIncidentField(name, value);
   }
   
   /**
@@ -307,6 +302,54 @@ class IncidentFormComponent extends HTMLElement {
     }
   }
   
+  /**
+   * Obtiene los campos modificados respecto al incidente cargado
+   * @returns {Object} Campos modificados con su nuevo valor
+   * @private
+   */
+  _getChanges() {
+    if (this._mode !== 'edit' || !this._originalData) return {};
+    return getChangedFields(this._originalData, this._formData);
+  }
+  
+  /**
+   * Marca los campos modificados y habilita el envío solo si hay cambios (modo edición)
+   * @private
+   */
+  _updateDirtyState() {
+    const changes = this._getChanges();
+    
+    INCIDENT_FIELDS.forEach(field => {
+      const group = this.shadowRoot.querySelector(`[data-field="${field}"]`);
+      const marker = this.shadowRoot.querySelector(`.${field}-dirty`);
+      const dirty = field in changes;
+      
+      if (group) group.classList.toggle('dirty', dirty);
+      if (marker) marker.hidden = !dirty;
+    });
+    
+    const submitBtn = this.shadowRoot.querySelector('.submit-btn');
+    if (submitBtn) {
+      const unchanged = this._mode === 'edit' && Object.keys(changes).length === 0;
+      submitBtn.disabled = this._isSubmitting || this._isLoading || unchanged;
+      submitBtn.title = unchanged ? 'No hay cambios que guardar' : '';
+    }
+  }
+  
+  /**
+   * Muestra en los campos los errores de validación de la API
+   * @param {Object} errors - Errores por campo
+   * @private
+   */
+  _showFieldErrors(errors) {
+    Object.keys(this._formErrors).forEach(field => {
+      if (errors[field]) {
+        this._formErrors[field] = errors[field];
+        this._updateField(field);
+      }
+    });
+  }
+  
   /**
    * Actualiza todos los campos del formulario
    * @private
@@ -324,7 +367,6 @@ class IncidentFormComponent extends HTMLElement {
     const submitBtn = this.shadowRoot.querySelector('.submit-btn');
     if (submitBtn) {
       submitBtn.textContent = this._mode === 'create' ? 'Crear Incidente' : 'Guardar Cambios';
-      submitBtn.disabled = this._isSubmitting || this._isLoading;
     }
     
     // Mostrar/ocultar loader
@@ -348,6 +390,9 @@ class IncidentFormComponent extends HTMLElement {
     statusOptions.forEach(radio => {
       radio.checked = radio.value === this._formData.status;
     });
+    
+    // Marcar campos modificados y habilitar el envío
+    this._updateDirtyState();
   }
   
   /**
@@ -363,6 +408,12 @@ class IncidentFormComponent extends HTMLElement {
       return;
     }
     
+    // En edición solo se envían los campos modificados
+    const changes = this._getChanges();
+    if (this._mode === 'edit' && Object.keys(changes).length === 0) {
+      return;
+    }
+    
     try {
       this._isSubmitting = true;
       this._updateForm();
@@ -370,30 +421,42 @@ class IncidentFormComponent extends HTMLElement {
       // Crear o actualizar incidente según modo
       let response;
       
+      // Sin conexión el cambio se encola y ya queda aplicado en el store
+      let queued;
+      
       if (this._mode === 'create') {
         // Crear nuevo incidente
-        response = await ApiService.createIncident({
+        ({ data: response, queued } = await OutboxService.createIncident({
           reporter: this._formData.reporter,
           description: this._formData.description
-        });
+        }));
         
         // Actualizar store
-        store.dispatch(actions.addIncident(response));
-        
-        // Mostrar notificación
-        store.dispatch(actions.showSuccessNotification('Incidente creado con éxito'));
+        if (!queued) {
+          store.dispatch(actions.addIncident(response));
+        }
       } else {
-        // Actualizar incidente existente (solo estado)
-        response = await ApiService.updateIncidentStatus(
-          this._incidentId, 
-          this._formData.status
-        );
+        // Actualizar incidente existente
+        ({ data: response, queued } = await OutboxService.updateIncident(
+          this._incidentId,
+          changes
+        ));
         
         // Actualizar store
-        store.dispatch(actions.updateIncident(response));
-        
-        // Mostrar notificación
-        store.dispatch(actions.showSuccessNotification('Incidente actualizado con éxito'));
+        if (!queued) {
+          store.dispatch(actions.updateIncident(response));
+        }
+      }
+      
+      // Mostrar notificación
+      if (queued) {
+        store.dispatch(actions.showWarningNotification(
+          'Sin conexión: el cambio se guardó y se sincronizará al reconectar'
+        ));
+      } else {
+        store.dispatch(actions.showSuccessNotification(
+          this._mode === 'create' ? 'Incidente creado con éxito' : 'Incidente actualizado con éxito'
+        ));
       }
       
       // Emitir evento de éxito
@@ -411,6 +474,11 @@ class IncidentFormComponent extends HTMLElement {
     } catch (error) {
       console.error('Error al guardar incidente:', error);
       
+      // Errores por campo (validación local o 400 de la API)
+      if (error.data && error.data.errors) {
+        this._showFieldErrors(error.data.errors);
+      }
+      
       // Mostrar notificación de error
       store.dispatch(actions.showErrorNotification(
         `Error al ${this._mode === 'create' ? 'crear' : 'actualizar'} incidente: ${error.message || 'Inténtalo de nuevo'}`
@@ -498,6 +566,25 @@ class IncidentFormComponent extends HTMLElement {
         border-color: var(--error-color, #ef4444);
       }
       
+      /* Campos modificados (modo edición) */
+      .dirty-marker {
+        margin-left: 0.5rem;
+        padding: 0.125rem 0.5rem;
+        border-radius: 9999px;
+        font-size: 0.75rem;
+        font-weight: 500;
+        background-color: #eff6ff;
+        color: var(--primary-color, #3b82f6);
+      }
+      
+      .dirty-marker[hidden] {
+        display: none;
+      }
+      
+      .dirty .input-field {
+        border-color: var(--primary-color, #3b82f6);
+      }
+      
       .error-message {
         color: var(--error-color, #ef4444);
         font-size: 0.875rem;
@@ -614,15 +701,17 @@ class IncidentFormComponent extends HTMLElement {
         </div>
         
         <form ?hidden="${this._isLoading}">
-          <div class="form-group">
-            <label for="reporter">Reportado por *</label>
+          <div class="form-group" data-field="reporter">
+            <label for="reporter">
+              Reportado por *
+              <span class="dirty-marker reporter-dirty" hidden>Modificado</span>
+            </label>
             <input 
               id="reporter" 
               class="input-field ${this._formErrors.reporter ? 'error' : ''}" 
               type="text" 
               name="reporter"
               value="${this._formData.reporter}"
-              ?disabled="${this._mode === 'edit'}"
               required
             >
             <div class="error-message reporter-error" ?hidden="${!this._formErrors.reporter}">
@@ -630,13 +719,15 @@ class IncidentFormComponent extends HTMLElement {
             </div>
           </div>
           
-          <div class="form-group">
-            <label for="description">Descripción *</label>
+          <div class="form-group" data-field="description">
+            <label for="description">
+              Descripción *
+              <span class="dirty-marker description-dirty" hidden>Modificado</span>
+            </label>
             <textarea 
               id="description" 
               class="input-field ${this._formErrors.description ? 'error' : ''}" 
               name="description"
-              ?disabled="${this._mode === 'edit'}"
               required
               minlength="${CONFIG.VALIDATION.INCIDENT_DESCRIPTION_MIN_LENGTH}"
             >${this._formData.description}</textarea>
@@ -645,8 +736,11 @@ class IncidentFormComponent extends HTMLElement {
             </div>
           </div>
           
-          <div class="status-section" ?hidden="${this._mode !== 'edit'}">
-            <h3 class="status-title">Estado del incidente</h3>
+          <div class="status-section" data-field="status" ?hidden="${this._mode !== 'edit'}">
+            <h3 class="status-title">
+              Estado del incidente
+              <span class="dirty-marker status-dirty" hidden>Modificado</span>
+            </h3>
             <div class="status-options">
               <label class="status-option">
                 <input type="radio" name="status" value="${CONFIG.INCIDENT_STATUS.PENDING}" 
@@ -1,11 +1,97 @@
 /**
  * @fileoverview Componente de lista de incidentes
- * Muestra, filtra y ordena la lista de incidentes de forma optimizada
+ * Muestra, filtra y ordena la lista de incidentes de forma optimizada. Si la API
+ * pagina (informa del total), el filtrado, la ordenación y la paginación se piden
+ * al servidor; si no, se hacen en memoria sobre la lista completa. Permite
+ * seleccionar varios incidentes para cambiarles el estado o eliminarlos a la vez
+ * y resalta los cambios que llegan en tiempo real. La lista se refresca sola
+ * cada cierto tiempo (configurable) y solo se repintan las tarjetas que cambian.
  */
 
-import { ApiService } from "../../core/services/api.service.js";
+import {
+  ApiService,
+  isAbortError,
+} from "../../core/services/api.service.js";
 import { store, actions } from "../../core/store/store.js";
-import { CONFIG } from "../../config.js";
+import {
+  CONFIG,
+  getPollingInterval,
+  setPollingInterval,
+} from "../../config.js";
+import { createPoller } from "../../utils/async.utils.js";
+
+// Parámetros de la API para cada filtro y ordenación (modo paginado en servidor)
+const STATUS_PARAMS = {
+  pending: CONFIG.INCIDENT_STATUS.PENDING,
+  "in-progress": CONFIG.INCIDENT_STATUS.IN_PROGRESS,
+  resolved: CONFIG.INCIDENT_STATUS.RESOLVED,
+};
+
+const SORT_PARAMS = {
+  "date-desc": "-created_at",
+  "date-asc": "created_at",
+  reporter: "reporter",
+};
+
+// Espera tras la última tecla antes de aplicar la búsqueda (ms)
+const SEARCH_DEBOUNCE = 300;
+
+// Espera antes de recargar la página tras altas o bajas en tiempo real (ms)
+const REALTIME_RELOAD_DEBOUNCE = 500;
+
+// Texto del indicador para cada estado del canal de tiempo real
+const REALTIME_LABELS = {
+  connecting: "Conectando…",
+  open: "En vivo",
+  reconnecting: "Reconectando…",
+};
+
+// Frecuencia con la que se actualiza el texto "Actualizado hace…" (ms)
+const LAST_UPDATED_TICK = 1000;
+
+// Atributos de la tarjeta que reflejan campos del incidente
+const CARD_FIELDS = [
+  ["incident-id", "id"],
+  ["reporter", "reporter"],
+  ["description", "description"],
+  ["status", "status"],
+  ["created-at", "created_at"],
+];
+
+/**
+ * Formatea un intervalo de refresco para el selector
+ * @param {number} interval - Intervalo en ms (0 = desactivado)
+ * @returns {string} Texto de la opción
+ */
+function formatPollingInterval(interval) {
+  if (!interval) return "Auto: no";
+  if (interval < 60000) return `Auto: ${interval / 1000} s`;
+  return `Auto: ${interval / 60000} min`;
+}
+
+/**
+ * Formatea el tiempo transcurrido desde la última actualización
+ * @param {number} timestamp - Momento de la actualización
+ * @returns {string} Texto (ej: "Actualizado hace 12 s")
+ */
+function formatLastUpdated(timestamp) {
+  const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+
+  if (seconds < 5) return "Actualizado ahora";
+  if (seconds < 60) return `Actualizado hace ${seconds} s`;
+  if (seconds < 3600) return `Actualizado hace ${Math.floor(seconds / 60)} min`;
+  return `Actualizado a las ${new Date(timestamp).toLocaleTimeString("es-ES", {
+    hour: "2-digit",
+    minute: "2-digit",
+  })}`;
+}
+
+// Estados disponibles en el cambio de estado masivo
+const BULK_STATUS_OPTIONS = [
+  [CONFIG.INCIDENT_STATUS.PENDING, "Pendiente"],
+  [CONFIG.INCIDENT_STATUS.IN_PROGRESS, "En proceso"],
+  [CONFIG.INCIDENT_STATUS.RESOLVED, "Resuelto"],
+];
 
 /**
  * Componente Incident List - Componente de organismo
@@ -17,6 +103,7 @@ import { CONFIG } from "../../config.js";
  * @fires incident-list:load - Cuando se cargan los incidentes
  * @fires incident-list:filter - Cuando se cambia el filtro
  * @fires incident-list:sort - Cuando se cambia el ordenamiento
+ * @fires incident-list:bulk - Cuando termina una operación masiva
  */
 class IncidentListComponent extends HTMLElement {
   // Definir propiedades observadas para atributos
@@ -35,17 +122,51 @@ class IncidentListComponent extends HTMLElement {
     this._incidents = [];
     this._filteredIncidents = [];
     this._currentPage = 1;
-    this._itemsPerPage = 10;
+    this._itemsPerPage = CONFIG.PAGINATION.PAGE_SIZE;
     this._renderQueue = [];
     this._renderTimer = null;
+    this._search = "";
+    this._searchTimer = null;
+    // Paginación en servidor: null hasta la primera respuesta, después true o false
+    this._serverMode = null;
+    // Total de resultados en el servidor (modo paginado en servidor)
+    this._totalItems = 0;
+    // Carga en curso, para descartar respuestas de consultas anteriores
+    this._loadController = null;
+    // Incidentes seleccionados: ID como texto -> ID original
+    this._selection = new Map();
+    // Operación masiva en curso
+    this._bulkBusy = false;
+    // Tarjetas resaltadas por cambios en tiempo real: ID como texto -> temporizador
+    this._highlighted = new Map();
+    this._realtimeReloadTimer = null;
+    this._realtimeStatus = null;
+    // Refresco automático y momento de la última carga desde la API
+    this._poller = createPoller(() => this._loadIncidents({ background: true }), {
+      interval: getPollingInterval(),
+    });
+    this._lastUpdated = null;
+    this._lastUpdatedTimer = null;
 
     // Binding de métodos
     this._handleFilterChange = this._handleFilterChange.bind(this);
     this._handleSortChange = this._handleSortChange.bind(this);
+    this._handleSearchInput = this._handleSearchInput.bind(this);
     this._handleCreateClick = this._handleCreateClick.bind(this);
     this._handleRefresh = this._handleRefresh.bind(this);
     this._handlePagination = this._handlePagination.bind(this);
     this._handleStoreUpdate = this._handleStoreUpdate.bind(this);
+    this._handleCardSelect = this._handleCardSelect.bind(this);
+    this._handleCardDelete = this._handleCardDelete.bind(this);
+    this._handleSelectPage = this._handleSelectPage.bind(this);
+    this._handleBulkClick = this._handleBulkClick.bind(this);
+    this._handleResultsClick = this._handleResultsClick.bind(this);
+    this._handleRealtimeEvent = this._handleRealtimeEvent.bind(this);
+    this._handleResync = this._handleResync.bind(this);
+    this._handlePollingSelect = this._handlePollingSelect.bind(this);
+    this._handlePollingIntervalChanged =
+      this._handlePollingIntervalChanged.bind(this);
+    this._updateLastUpdated = this._updateLastUpdated.bind(this);
 
     // Inicializar
     this._render();
@@ -61,6 +182,18 @@ class IncidentListComponent extends HTMLElement {
 
     // Suscribirse al store para actualizaciones
     this._unsubscribeStore = store.subscribe(this._handleStoreUpdate);
+
+    // Estado actual del canal de tiempo real
+    this._realtimeStatus = store.getState().ui.realtimeStatus;
+    this._updateRealtimeIndicator();
+
+    // Refresco automático
+    this._poller.setInterval(getPollingInterval());
+    this._poller.start();
+    this._lastUpdatedTimer = setInterval(
+      this._updateLastUpdated,
+      LAST_UPDATED_TICK
+    );
   }
 
   // Lifecycle: Cuando el componente se desconecta del DOM
@@ -74,6 +207,14 @@ class IncidentListComponent extends HTMLElement {
       this._renderTimer = null;
     }
 
+    clearTimeout(this._searchTimer);
+    clearTimeout(this._realtimeReloadTimer);
+    this._poller.stop();
+    clearInterval(this._lastUpdatedTimer);
+    this._lastUpdatedTimer = null;
+    this._highlighted.forEach((timer) => clearTimeout(timer));
+    this._highlighted.clear();
+
     // Cancelar suscripción al store
     if (this._unsubscribeStore) {
       this._unsubscribeStore();
@@ -87,11 +228,11 @@ class IncidentListComponent extends HTMLElement {
     switch (name) {
       case "filter":
         this._filter = newValue || "all";
-        this._filterAndSortIncidents();
+        this._applyQuery();
         break;
       case "sort":
         this._sort = newValue || "date-desc";
-        this._filterAndSortIncidents();
+        this._applyQuery();
         break;
     }
   }
@@ -130,6 +271,93 @@ class IncidentListComponent extends HTMLElement {
       this._isLoading = state.loading;
       this._updateLoadingState();
     }
+
+    if (state.ui.realtimeStatus !== this._realtimeStatus) {
+      this._realtimeStatus = state.ui.realtimeStatus;
+      this._updateRealtimeIndicator();
+    }
+  }
+
+  /**
+   * Resalta el incidente que cambió en tiempo real
+   * En modo paginado en servidor, las altas y bajas cambian la página: se recarga.
+   * @param {CustomEvent} event - Evento realtime:incident
+   * @private
+   */
+  _handleRealtimeEvent(event) {
+    const { event: type, id } = event.detail;
+
+    if (this._serverMode && type !== "incident.updated") {
+      clearTimeout(this._realtimeReloadTimer);
+      this._realtimeReloadTimer = setTimeout(() => {
+        this._loadIncidents({ background: true });
+      }, REALTIME_RELOAD_DEBOUNCE);
+    }
+
+    if (type === "incident.deleted") {
+      this._selection.delete(String(id));
+      return;
+    }
+
+    this._highlight(String(id));
+  }
+
+  /**
+   * Vuelve a pedir la lista cuando la pestaña pudo perder cambios de otras
+   * @private
+   */
+  _handleResync() {
+    this._loadIncidents({ background: true });
+  }
+
+  /**
+   * Resalta una tarjeta durante CONFIG.REALTIME.HIGHLIGHT_DURATION
+   * La marca sobrevive a los re-renderizados de la lista mientras dura.
+   * @param {string} id - ID del incidente
+   * @private
+   */
+  _highlight(id) {
+    clearTimeout(this._highlighted.get(id));
+
+    const timer = setTimeout(() => {
+      this._highlighted.delete(id);
+      this._findCard(id)?.removeAttribute("highlighted");
+    }, CONFIG.REALTIME.HIGHLIGHT_DURATION);
+
+    this._highlighted.set(id, timer);
+
+    // Reiniciar la animación si la tarjeta ya estaba resaltada
+    const card = this._findCard(id);
+    if (card) {
+      card.removeAttribute("highlighted");
+      card.setAttribute("highlighted", "");
+    }
+  }
+
+  /**
+   * Busca la tarjeta visible de un incidente
+   * @param {string} id - ID del incidente
+   * @returns {HTMLElement|null} Tarjeta o null
+   * @private
+   */
+  _findCard(id) {
+    return Array.from(this.shadowRoot.querySelectorAll("incident-card")).find(
+      (card) => card.getAttribute("incident-id") === id
+    ) || null;
+  }
+
+  /**
+   * Muestra el estado del canal de tiempo real
+   * @private
+   */
+  _updateRealtimeIndicator() {
+    const indicator = this.shadowRoot.querySelector(".realtime-indicator");
+    if (!indicator) return;
+
+    const label = REALTIME_LABELS[this._realtimeStatus];
+    indicator.hidden = !label;
+    indicator.textContent = label || "";
+    indicator.dataset.status = this._realtimeStatus || "";
   }
 
   /**
@@ -140,22 +368,55 @@ class IncidentListComponent extends HTMLElement {
     // Event listeners para controles de filtro y ordenación
     const filterSelect = this.shadowRoot.querySelector("#filter-select");
     const sortSelect = this.shadowRoot.querySelector("#sort-select");
+    const searchInput = this.shadowRoot.querySelector("#search-input");
     const createButton = this.shadowRoot.querySelector("#create-btn");
     const refreshButton = this.shadowRoot.querySelector("#refresh-btn");
     const paginationControls = this.shadowRoot.querySelector(
       ".pagination-controls"
     );
+    const incidentsList = this.shadowRoot.querySelector(".incidents-list");
+    const selectPage = this.shadowRoot.querySelector("#select-page-checkbox");
+    const bulkBar = this.shadowRoot.querySelector(".bulk-bar");
+    const bulkResults = this.shadowRoot.querySelector(".bulk-results");
+    const pollingSelect = this.shadowRoot.querySelector("#polling-select");
 
     if (filterSelect)
       filterSelect.addEventListener("change", this._handleFilterChange);
     if (sortSelect)
       sortSelect.addEventListener("change", this._handleSortChange);
+    if (searchInput)
+      searchInput.addEventListener("input", this._handleSearchInput);
     if (createButton)
       createButton.addEventListener("click", this._handleCreateClick);
     if (refreshButton)
       refreshButton.addEventListener("click", this._handleRefresh);
     if (paginationControls)
       paginationControls.addEventListener("click", this._handlePagination);
+    if (incidentsList) {
+      incidentsList.addEventListener(
+        "incident-card:select",
+        this._handleCardSelect
+      );
+      incidentsList.addEventListener(
+        "incident-card:delete",
+        this._handleCardDelete
+      );
+    }
+    if (selectPage)
+      selectPage.addEventListener("change", this._handleSelectPage);
+    if (bulkBar) bulkBar.addEventListener("click", this._handleBulkClick);
+    if (bulkResults)
+      bulkResults.addEventListener("click", this._handleResultsClick);
+
+    if (pollingSelect)
+      pollingSelect.addEventListener("change", this._handlePollingSelect);
+
+    window.addEventListener("realtime:incident", this._handleRealtimeEvent);
+    window.addEventListener("tab-sync:resync", this._handleResync);
+    window.addEventListener(
+      "polling-interval-changed",
+      this._handlePollingIntervalChanged
+    );
   }
 
   /**
@@ -165,42 +426,104 @@ class IncidentListComponent extends HTMLElement {
   _removeEventListeners() {
     const filterSelect = this.shadowRoot.querySelector("#filter-select");
     const sortSelect = this.shadowRoot.querySelector("#sort-select");
+    const searchInput = this.shadowRoot.querySelector("#search-input");
     const createButton = this.shadowRoot.querySelector("#create-btn");
     const refreshButton = this.shadowRoot.querySelector("#refresh-btn");
     const paginationControls = this.shadowRoot.querySelector(
       ".pagination-controls"
     );
+    const incidentsList = this.shadowRoot.querySelector(".incidents-list");
+    const selectPage = this.shadowRoot.querySelector("#select-page-checkbox");
+    const bulkBar = this.shadowRoot.querySelector(".bulk-bar");
+    const bulkResults = this.shadowRoot.querySelector(".bulk-results");
+    const pollingSelect = this.shadowRoot.querySelector("#polling-select");
 
     if (filterSelect)
       filterSelect.removeEventListener("change", this._handleFilterChange);
     if (sortSelect)
       sortSelect.removeEventListener("change", this._handleSortChange);
+    if (searchInput)
+      searchInput.removeEventListener("input", this._handleSearchInput);
     if (createButton)
       createButton.removeEventListener("click", this._handleCreateClick);
     if (refreshButton)
       refreshButton.removeEventListener("click", this._handleRefresh);
     if (paginationControls)
       paginationControls.removeEventListener("click", this._handlePagination);
+    if (incidentsList) {
+      incidentsList.removeEventListener(
+        "incident-card:select",
+        this._handleCardSelect
+      );
+      incidentsList.removeEventListener(
+        "incident-card:delete",
+        this._handleCardDelete
+      );
+    }
+    if (selectPage)
+      selectPage.removeEventListener("change", this._handleSelectPage);
+    if (bulkBar) bulkBar.removeEventListener("click", this._handleBulkClick);
+    if (bulkResults)
+      bulkResults.removeEventListener("click", this._handleResultsClick);
+
+    if (pollingSelect)
+      pollingSelect.removeEventListener("change", this._handlePollingSelect);
+
+    window.removeEventListener("realtime:incident", this._handleRealtimeEvent);
+    window.removeEventListener("tab-sync:resync", this._handleResync);
+    window.removeEventListener(
+      "polling-interval-changed",
+      this._handlePollingIntervalChanged
+    );
   }
 
   /**
    * Carga la lista de incidentes desde la API
+   * @param {Object} [options={}] - Opciones
+   * @param {boolean} [options.background=false] - Refresco automático: sin loader,
+   *   sin caché, con prioridad baja y sin avisar de los errores
    * @private
    */
-  async _loadIncidents() {
-    try {
-      this._isLoading = true;
-      this._updateLoadingState();
+  async _loadIncidents(options = {}) {
+    const { background = false } = options;
+
+    // El refresco automático no interrumpe una carga en curso
+    if (background && this._loadController) return;
 
-      // Comprobar si ya tenemos incidentes en el store
-      const state = store.getState();
-      if (state.incidents && state.incidents.length > 0) {
-        this._incidents = state.incidents;
-        this._filterAndSortIncidents();
+    // Una consulta nueva deja obsoleta la anterior
+    if (this._loadController) this._loadController.abort();
+    const controller = new AbortController();
+    this._loadController = controller;
+
+    try {
+      if (!background) {
+        this._isLoading = true;
+        this._updateLoadingState();
+
+        // Comprobar si ya tenemos incidentes en el store
+        const state = store.getState();
+        if (state.incidents && state.incidents.length > 0) {
+          this._incidents = state.incidents;
+          this._filterAndSortIncidents();
+        }
       }
 
-      // Cargar desde API de todos modos para asegurar datos actualizados
-      const incidents = await ApiService.getIncidents();
+      // Cargar desde API de todos modos para asegurar datos actualizados.
+      // Mientras no se sepa que la API no pagina, se pide la página actual
+      const result = await ApiService.getIncidents({
+        ...(this._serverMode === false ? {} : this._getServerQuery()),
+        ...(background
+          ? { useCache: false, showLoader: false, priority: "low" }
+          : {}),
+        signal: controller.signal,
+      });
+
+      let incidents = result;
+      if (!Array.isArray(result)) {
+        this._serverMode = result.serverPaging;
+        this._totalItems = result.total;
+        incidents = result.items;
+      }
 
       // Actualizar store
       store.dispatch(actions.setIncidents(incidents));
@@ -209,6 +532,11 @@ class IncidentListComponent extends HTMLElement {
       this._incidents = incidents;
       this._filterAndSortIncidents();
 
+      // El siguiente refresco automático cuenta desde esta carga
+      this._lastUpdated = Date.now();
+      this._updateLastUpdated();
+      if (!background) this._poller.markRun();
+
       // Emitir evento
       this.dispatchEvent(
         new CustomEvent("incident-list:load", {
@@ -218,6 +546,15 @@ class IncidentListComponent extends HTMLElement {
         })
       );
     } catch (error) {
+      // Carga cancelada al abandonar la página
+      if (isAbortError(error)) return;
+
+      // Un refresco automático fallido no interrumpe: se reintenta en el siguiente
+      if (background) {
+        console.warn("⚠️ No se pudo refrescar la lista de incidentes:", error);
+        return;
+      }
+
       console.error("Error al cargar incidentes:", error);
       store.dispatch(
         actions.showErrorNotification("Error al cargar incidentes")
@@ -226,13 +563,74 @@ class IncidentListComponent extends HTMLElement {
       // Mostrar estado de error
       this._showErrorState();
     } finally {
-      this._isLoading = false;
-      this._updateLoadingState();
+      if (this._loadController === controller) {
+        this._loadController = null;
+        this._isLoading = false;
+        this._updateLoadingState();
+      }
+    }
+  }
+
+  /**
+   * Construye la consulta de la página actual para la API
+   * @returns {Object} Consulta ({ page, pageSize, status, sort, q })
+   * @private
+   */
+  _getServerQuery() {
+    return {
+      page: this._currentPage,
+      pageSize: this._itemsPerPage,
+      status: STATUS_PARAMS[this._filter],
+      sort: SORT_PARAMS[this._sort],
+      q: this._search,
+    };
+  }
+
+  /**
+   * Aplica un cambio de filtro, ordenación o búsqueda
+   * @private
+   */
+  _applyQuery() {
+    // La selección solo tiene sentido dentro de la consulta en la que se hizo
+    this._clearSelection();
+    this._currentPage = 1;
+
+    if (this._serverMode) {
+      this._loadIncidents();
+    } else {
+      this._filterAndSortIncidents();
+    }
+  }
+
+  /**
+   * Obtiene el total de incidentes que cumplen la consulta
+   * @returns {number} Total de incidentes
+   * @private
+   */
+  _getTotalItems() {
+    return this._serverMode
+      ? this._totalItems
+      : this._filteredIncidents.length;
+  }
+
+  /**
+   * Cambia de página
+   * @param {number} page - Página de destino
+   * @private
+   */
+  _goToPage(page) {
+    this._currentPage = page;
+
+    if (this._serverMode) {
+      this._loadIncidents();
+    } else {
+      this._updateList();
     }
   }
 
   /**
    * Filtra y ordena la lista de incidentes
+   * En modo paginado en servidor la lista ya llega filtrada y ordenada.
    * @private
    */
   _filterAndSortIncidents() {
@@ -242,6 +640,12 @@ class IncidentListComponent extends HTMLElement {
       return;
     }
 
+    if (this._serverMode) {
+      this._filteredIncidents = this._incidents.slice();
+      this._updateList();
+      return;
+    }
+
     // Filtrar incidentes
     this._filteredIncidents = this._incidents.filter((incident) => {
       if (this._filter === "all") return true;
@@ -258,6 +662,16 @@ class IncidentListComponent extends HTMLElement {
       }
     });
 
+    // Buscar en reportador y descripción
+    const search = this._search.toLowerCase();
+    if (search) {
+      this._filteredIncidents = this._filteredIncidents.filter(
+        (incident) =>
+          incident.reporter.toLowerCase().includes(search) ||
+          incident.description.toLowerCase().includes(search)
+      );
+    }
+
     // Ordenar incidentes
     this._filteredIncidents.sort((a, b) => {
       switch (this._sort) {
@@ -272,44 +686,88 @@ class IncidentListComponent extends HTMLElement {
       }
     });
 
-    // Resetear a primera página al cambiar filtro/ordenación
-    this._currentPage = 1;
+    // Mantener la página actual (refrescos, cambios en tiempo real) salvo
+    // que haya dejado de existir
+    const totalPages = Math.max(
+      1,
+      Math.ceil(this._filteredIncidents.length / this._itemsPerPage)
+    );
+    this._currentPage = Math.min(this._currentPage, totalPages);
 
     // Actualizar lista
     this._updateList();
   }
 
+  /**
+   * Obtiene los incidentes de la página actual
+   * @returns {Array} Incidentes a mostrar
+   * @private
+   */
+  _getPageIncidents() {
+    // En modo paginado en servidor ya llega solo la página
+    if (this._serverMode) return this._filteredIncidents;
+
+    const startIndex = (this._currentPage - 1) * this._itemsPerPage;
+    const endIndex = this._currentPage * this._itemsPerPage;
+    return this._filteredIncidents.slice(startIndex, endIndex);
+  }
+
   /**
    * Actualiza la lista de incidentes en el DOM de forma optimizada
+   * Si ya hay tarjetas pintadas se reutilizan: solo cambian las que tienen
+   * datos distintos y solo se mueven las que cambiaron de posición.
    * @private
    */
   _updateList() {
     // Calcular incidentes a mostrar según paginación
-    const startIndex = (this._currentPage - 1) * this._itemsPerPage;
-    const endIndex = this._currentPage * this._itemsPerPage;
-    const incidentsToShow = this._filteredIncidents.slice(startIndex, endIndex);
+    const incidentsToShow = this._getPageIncidents();
 
     // Referencia al contenedor de lista
     const listContainer = this.shadowRoot.querySelector(".incidents-list");
     if (!listContainer) return;
 
-    // Vaciar contenedor actual
-    listContainer.innerHTML = "";
+    // Descartar el renderizado por lotes pendiente: esta pasada lo sustituye
+    if (this._renderTimer) {
+      window.cancelAnimationFrame(this._renderTimer);
+      this._renderTimer = null;
+    }
 
     // Si no hay incidentes, mostrar mensaje
     if (!incidentsToShow.length) {
+      listContainer.innerHTML = "";
+
       const emptyMessage = document.createElement("div");
       emptyMessage.className = "empty-message";
-      emptyMessage.textContent = this._incidents.length
-        ? "No hay incidentes que coincidan con los filtros seleccionados."
-        : "No hay incidentes registrados.";
+      const hasQuery = this._filter !== "all" || Boolean(this._search);
+      emptyMessage.textContent =
+        this._incidents.length || hasQuery
+          ? "No hay incidentes que coincidan con los filtros seleccionados."
+          : "No hay incidentes registrados.";
       listContainer.appendChild(emptyMessage);
 
-      // Actualizar paginación
+      // Actualizar paginación y selección
       this._updatePagination();
+      this._updateBulkBar();
       return;
     }
 
+    // Tarjetas ya pintadas, por ID
+    const existingCards = new Map(
+      Array.from(listContainer.querySelectorAll("incident-card")).map(
+        (card) => [card.getAttribute("incident-id"), card]
+      )
+    );
+
+    if (existingCards.size) {
+      this._reconcileList(listContainer, incidentsToShow, existingCards);
+      this._updatePagination();
+      this._updateBulkBar();
+      return;
+    }
+
+    // Vaciar contenedor actual
+    listContainer.innerHTML = "";
+
     // Renderizar de forma optimizada en lotes
     const batchSize = CONFIG.PERFORMANCE.RENDER_BATCH_SIZE;
     this._renderQueue = [...incidentsToShow];
@@ -321,22 +779,18 @@ class IncidentListComponent extends HTMLElement {
       const batch = this._renderQueue.splice(0, batchSize);
 
       batch.forEach((incident) => {
-        const card = document.createElement("incident-card");
-        card.setAttribute("incident-id", incident.id);
-        card.setAttribute("reporter", incident.reporter);
-        card.setAttribute("description", incident.description);
-        card.setAttribute("status", incident.status);
-        card.setAttribute("created-at", incident.created_at);
-
-        listContainer.appendChild(card);
+        listContainer.appendChild(this._createCard(incident));
       });
 
       // Si quedan elementos en la cola, programar siguiente lote
       if (this._renderQueue.length > 0) {
         this._renderTimer = window.requestAnimationFrame(renderBatch);
       } else {
-        // Actualizar paginación cuando termine el renderizado
+        this._renderTimer = null;
+
+        // Actualizar paginación y selección cuando termine el renderizado
         this._updatePagination();
+        this._updateBulkBar();
       }
 
       const endTime = performance.now();
@@ -351,6 +805,83 @@ class IncidentListComponent extends HTMLElement {
     this._renderTimer = window.requestAnimationFrame(renderBatch);
   }
 
+  /**
+   * Ajusta las tarjetas pintadas a la página actual
+   * @param {HTMLElement} listContainer - Contenedor de la lista
+   * @param {Array} incidents - Incidentes a mostrar, en orden
+   * @param {Map<string, HTMLElement>} existingCards - Tarjetas pintadas por ID
+   * @private
+   */
+  _reconcileList(listContainer, incidents, existingCards) {
+    const cards = new Set();
+
+    incidents.forEach((incident, index) => {
+      let card = existingCards.get(String(incident.id));
+
+      if (card) {
+        this._syncCard(card, incident);
+      } else {
+        card = this._createCard(incident);
+      }
+
+      cards.add(card);
+
+      // Mover solo si no está ya en su sitio
+      const current = listContainer.children[index];
+      if (current !== card) {
+        listContainer.insertBefore(card, current || null);
+      }
+    });
+
+    // Retirar las tarjetas que ya no están en la página
+    Array.from(listContainer.children).forEach((child) => {
+      if (!cards.has(child)) child.remove();
+    });
+  }
+
+  /**
+   * Crea la tarjeta de un incidente
+   * @param {Object} incident - Incidente
+   * @returns {HTMLElement} Tarjeta
+   * @private
+   */
+  _createCard(incident) {
+    const card = document.createElement("incident-card");
+    card.setAttribute("selectable", "");
+    this._syncCard(card, incident);
+    return card;
+  }
+
+  /**
+   * Copia en la tarjeta los datos del incidente que hayan cambiado
+   * @param {HTMLElement} card - Tarjeta
+   * @param {Object} incident - Incidente
+   * @private
+   */
+  _syncCard(card, incident) {
+    const id = String(incident.id);
+
+    CARD_FIELDS.forEach(([attribute, field]) => {
+      const value = String(incident[field]);
+      if (card.getAttribute(attribute) !== value) {
+        card.setAttribute(attribute, value);
+      }
+    });
+
+    const flags = [
+      ["pending-sync", Boolean(incident._pendingSync)],
+      ["saving", Boolean(incident._saving)],
+      ["selected", this._selection.has(id)],
+      ["highlighted", this._highlighted.has(id)],
+    ];
+
+    flags.forEach(([attribute, value]) => {
+      if (card.hasAttribute(attribute) !== value) {
+        card.toggleAttribute(attribute, value);
+      }
+    });
+  }
+
   /**
    * Actualiza los controles de paginación
    * @private
@@ -362,22 +893,21 @@ class IncidentListComponent extends HTMLElement {
     if (!paginationContainer) return;
 
     // Calcular total de páginas
-    const totalPages = Math.ceil(
-      this._filteredIncidents.length / this._itemsPerPage
-    );
+    const totalItems = this._getTotalItems();
+    const totalPages = Math.ceil(totalItems / this._itemsPerPage);
 
     // Actualizar información de paginación
     const pageInfo = this.shadowRoot.querySelector(".pagination-info");
     if (pageInfo) {
-      if (this._filteredIncidents.length === 0) {
+      if (totalItems === 0) {
         pageInfo.textContent = "No hay incidentes";
       } else {
         const startItem = (this._currentPage - 1) * this._itemsPerPage + 1;
         const endItem = Math.min(
           this._currentPage * this._itemsPerPage,
-          this._filteredIncidents.length
+          totalItems
         );
-        pageInfo.textContent = `Mostrando ${startItem} - ${endItem} de ${this._filteredIncidents.length} incidentes`;
+        pageInfo.textContent = `Mostrando ${startItem} - ${endItem} de ${totalItems} incidentes`;
       }
     }
 
@@ -500,6 +1030,367 @@ class IncidentListComponent extends HTMLElement {
     }
   }
 
+  /**
+   * Actualiza la barra de operaciones masivas según la selección
+   * @private
+   */
+  _updateBulkBar() {
+    const bulkBar = this.shadowRoot.querySelector(".bulk-bar");
+    if (!bulkBar) return;
+
+    const selected = this._selection.size;
+    const totalItems = this._getTotalItems();
+    const pageIds = this._getPageIncidents().map((incident) =>
+      String(incident.id)
+    );
+    const pageSelected = pageIds.filter((id) => this._selection.has(id)).length;
+
+    bulkBar.hidden = totalItems === 0 && selected === 0;
+
+    // Casilla de la página: marcada, indeterminada o vacía
+    const selectPage = this.shadowRoot.querySelector("#select-page-checkbox");
+    if (selectPage) {
+      selectPage.checked = pageIds.length > 0 && pageSelected === pageIds.length;
+      selectPage.indeterminate =
+        pageSelected > 0 && pageSelected < pageIds.length;
+      selectPage.disabled = this._bulkBusy || pageIds.length === 0;
+    }
+
+    const count = this.shadowRoot.querySelector(".bulk-count");
+    if (count) {
+      count.textContent = this._bulkBusy
+        ? "Procesando..."
+        : selected === 1
+        ? "1 seleccionado"
+        : `${selected} seleccionados`;
+    }
+
+    // Ofrecer ampliar la selección a todo lo que coincide con el filtro
+    const selectMatching = this.shadowRoot.querySelector("#select-matching-btn");
+    if (selectMatching) {
+      selectMatching.hidden = selected === 0 || selected >= totalItems;
+      selectMatching.textContent = `Seleccionar los ${totalItems} que coinciden`;
+    }
+
+    const clearSelection = this.shadowRoot.querySelector("#clear-selection-btn");
+    if (clearSelection) clearSelection.hidden = selected === 0;
+
+    bulkBar
+      .querySelectorAll(".bulk-actions select, .bulk-actions button")
+      .forEach((control) => {
+        control.disabled = this._bulkBusy || selected === 0;
+      });
+  }
+
+  /**
+   * Marca en las tarjetas visibles si están seleccionadas
+   * @private
+   */
+  _syncCardSelection() {
+    this.shadowRoot.querySelectorAll("incident-card").forEach((card) => {
+      card.toggleAttribute(
+        "selected",
+        this._selection.has(card.getAttribute("incident-id"))
+      );
+    });
+  }
+
+  /**
+   * Vacía la selección
+   * @private
+   */
+  _clearSelection() {
+    this._selection.clear();
+    this._syncCardSelection();
+    this._updateBulkBar();
+  }
+
+  /**
+   * Maneja la selección de una tarjeta
+   * @param {CustomEvent} event - Evento incident-card:select
+   * @private
+   */
+  _handleCardSelect(event) {
+    const { id, selected } = event.detail;
+
+    if (selected) {
+      const incident = this._filteredIncidents.find(
+        (item) => String(item.id) === id
+      );
+      this._selection.set(id, incident ? incident.id : id);
+    } else {
+      this._selection.delete(id);
+    }
+
+    this._updateBulkBar();
+  }
+
+  /**
+   * Quita de la selección un incidente eliminado desde su tarjeta
+   * @param {CustomEvent} event - Evento incident-card:delete
+   * @private
+   */
+  _handleCardDelete(event) {
+    this._selection.delete(String(event.detail.id));
+    this._updateBulkBar();
+  }
+
+  /**
+   * Maneja la casilla de selección de la página actual
+   * @param {Event} event - Evento change
+   * @private
+   */
+  _handleSelectPage(event) {
+    const { checked } = event.target;
+
+    this._getPageIncidents().forEach((incident) => {
+      if (checked) {
+        this._selection.set(String(incident.id), incident.id);
+      } else {
+        this._selection.delete(String(incident.id));
+      }
+    });
+
+    this._syncCardSelection();
+    this._updateBulkBar();
+  }
+
+  /**
+   * Selecciona todos los incidentes que coinciden con el filtro y la búsqueda
+   * En modo paginado en servidor se piden todos los resultados de la consulta.
+   * @private
+   */
+  async _selectAllMatching() {
+    let incidents = this._filteredIncidents;
+
+    if (this._serverMode) {
+      this._bulkBusy = true;
+      this._updateBulkBar();
+
+      try {
+        const result = await ApiService.getIncidents({
+          ...this._getServerQuery(),
+          page: 1,
+          pageSize: this._totalItems,
+          showLoader: false,
+        });
+        incidents = result.items;
+      } catch (error) {
+        if (!isAbortError(error)) {
+          store.dispatch(
+            actions.showErrorNotification(
+              "No se pudieron seleccionar todos los incidentes"
+            )
+          );
+        }
+        return;
+      } finally {
+        this._bulkBusy = false;
+        this._updateBulkBar();
+      }
+    }
+
+    incidents.forEach((incident) => {
+      this._selection.set(String(incident.id), incident.id);
+    });
+
+    this._syncCardSelection();
+    this._updateBulkBar();
+  }
+
+  /**
+   * Maneja los clics en la barra de operaciones masivas
+   * @param {Event} event - Evento click
+   * @private
+   */
+  _handleBulkClick(event) {
+    const button = event.target.closest("button");
+    if (!button || button.disabled) return;
+
+    switch (button.id) {
+      case "select-matching-btn":
+        this._selectAllMatching();
+        break;
+      case "clear-selection-btn":
+        this._clearSelection();
+        break;
+      case "bulk-status-btn":
+        this._handleBulkStatus();
+        break;
+      case "bulk-delete-btn":
+        this._handleBulkDelete();
+        break;
+    }
+  }
+
+  /**
+   * Cambia el estado de los incidentes seleccionados
+   * @private
+   */
+  _handleBulkStatus() {
+    const statusSelect = this.shadowRoot.querySelector("#bulk-status-select");
+    const status = statusSelect ? statusSelect.value : "";
+
+    if (!status) {
+      store.dispatch(
+        actions.showWarningNotification("Selecciona el nuevo estado")
+      );
+      return;
+    }
+
+    this._runBulkAction(
+      "status",
+      (ids) => ApiService.bulkUpdateStatus(ids, status, { showLoader: false }),
+      { status }
+    );
+  }
+
+  /**
+   * Elimina los incidentes seleccionados, previa confirmación
+   * @private
+   */
+  _handleBulkDelete() {
+    const count = this._selection.size;
+
+    if (
+      !confirm(
+        `¿Estás seguro de eliminar ${count} incidente(s)? Esta acción no se puede deshacer.`
+      )
+    ) {
+      return;
+    }
+
+    this._runBulkAction("delete", (ids) =>
+      ApiService.bulkDelete(ids, { showLoader: false })
+    );
+  }
+
+  /**
+   * Ejecuta una operación masiva sobre la selección y aplica el resultado
+   * Los incidentes que fallan siguen seleccionados para poder reintentarlo.
+   * @param {"status"|"delete"} kind - Tipo de operación
+   * @param {Function} call - Operación: (ids) => Promise<{ results, succeeded, failed }>
+   * @param {Object} [changes={}] - Campos que cambia la operación, por si el
+   *   servidor no devuelve el incidente actualizado (ej: { status })
+   * @private
+   */
+  async _runBulkAction(kind, call, changes = {}) {
+    const ids = [...this._selection.values()];
+
+    this._bulkBusy = true;
+    this._updateBulkBar();
+
+    try {
+      const outcome = await call(ids);
+      const succeeded = outcome.results.filter((result) => result.success);
+
+      // Aplicar en el store los incidentes modificados
+      const updates = new Map(
+        succeeded.map((result) => [String(result.id), result])
+      );
+      const incidents = store
+        .getState()
+        .incidents.filter(
+          (incident) =>
+            kind !== "delete" || !updates.has(String(incident.id))
+        )
+        .map((incident) => {
+          const result = updates.get(String(incident.id));
+          return kind === "status" && result
+            ? { ...incident, ...changes, ...(result.data || {}) }
+            : incident;
+        });
+      store.dispatch(actions.setIncidents(incidents));
+
+      succeeded.forEach((result) => this._selection.delete(String(result.id)));
+
+      this._showBulkResults(kind, outcome);
+
+      const verb = kind === "delete" ? "eliminados" : "actualizados";
+      store.dispatch(
+        outcome.failed
+          ? actions.showWarningNotification(
+              `${outcome.succeeded} ${verb}, ${outcome.failed} con error`
+            )
+          : actions.showSuccessNotification(
+              `${outcome.succeeded} incidente(s) ${verb} con éxito`
+            )
+      );
+
+      this.dispatchEvent(
+        new CustomEvent("incident-list:bulk", {
+          bubbles: true,
+          composed: true,
+          detail: { action: kind, ...outcome },
+        })
+      );
+
+      // En servidor la página cambia (eliminaciones, filtro por estado)
+      if (this._serverMode) {
+        this._loadIncidents();
+      }
+    } catch (error) {
+      if (isAbortError(error)) return;
+
+      console.error("Error en la operación masiva:", error);
+      store.dispatch(
+        actions.showErrorNotification(
+          "Error en la operación masiva: " +
+            (error.message || "Inténtalo de nuevo")
+        )
+      );
+    } finally {
+      this._bulkBusy = false;
+      this._syncCardSelection();
+      this._updateBulkBar();
+    }
+  }
+
+  /**
+   * Muestra el resultado de cada incidente de una operación masiva
+   * @param {"status"|"delete"} kind - Tipo de operación
+   * @param {Object} outcome - Resultado ({ results, succeeded, failed })
+   * @private
+   */
+  _showBulkResults(kind, outcome) {
+    const container = this.shadowRoot.querySelector(".bulk-results");
+    if (!container) return;
+
+    const title = kind === "delete" ? "Eliminación masiva" : "Cambio de estado";
+    const done = kind === "delete" ? "eliminado" : "actualizado";
+
+    container.innerHTML = `
+      <div class="bulk-results-header">
+        <strong>${title}: ${outcome.succeeded} correcto(s), ${outcome.failed} con error</strong>
+        <button class="bulk-results-close" type="button" aria-label="Cerrar resultados">×</button>
+      </div>
+      <ul class="bulk-results-list"></ul>
+    `;
+
+    const list = container.querySelector(".bulk-results-list");
+    outcome.results.forEach((result) => {
+      const item = document.createElement("li");
+      item.className = result.success ? "success" : "failure";
+      item.textContent = result.success
+        ? `✓ Incidente #${result.id}: ${done}`
+        : `✗ Incidente #${result.id}: ${result.error || "Error desconocido"}`;
+      list.appendChild(item);
+    });
+
+    container.hidden = false;
+  }
+
+  /**
+   * Maneja los clics en el resultado de la operación masiva
+   * @param {Event} event - Evento click
+   * @private
+   */
+  _handleResultsClick(event) {
+    if (event.target.closest(".bulk-results-close")) {
+      event.currentTarget.hidden = true;
+    }
+  }
+
   /**
    * Maneja cambio de filtro
    * @param {Event} event - Evento change
@@ -538,6 +1429,23 @@ class IncidentListComponent extends HTMLElement {
     );
   }
 
+  /**
+   * Maneja la escritura en el buscador (aplica la búsqueda al dejar de escribir)
+   * @param {Event} event - Evento input
+   * @private
+   */
+  _handleSearchInput(event) {
+    const search = event.target.value.trim();
+
+    clearTimeout(this._searchTimer);
+    this._searchTimer = setTimeout(() => {
+      if (search === this._search) return;
+
+      this._search = search;
+      this._applyQuery();
+    }, SEARCH_DEBOUNCE);
+  }
+
   /**
    * Maneja clic en botón de crear incidente
    * @private
@@ -558,6 +1466,40 @@ class IncidentListComponent extends HTMLElement {
     this._loadIncidents();
   }
 
+  /**
+   * Maneja el cambio de intervalo de refresco automático
+   * @param {Event} event - Evento change
+   * @private
+   */
+  _handlePollingSelect(event) {
+    setPollingInterval(Number(event.target.value));
+  }
+
+  /**
+   * Aplica el intervalo de refresco elegido (en esta u otra vista)
+   * @param {CustomEvent} event - Evento polling-interval-changed
+   * @private
+   */
+  _handlePollingIntervalChanged(event) {
+    const { interval } = event.detail;
+    const pollingSelect = this.shadowRoot.querySelector("#polling-select");
+
+    if (pollingSelect) pollingSelect.value = String(interval);
+    this._poller.setInterval(interval);
+  }
+
+  /**
+   * Actualiza el texto con el tiempo desde la última carga
+   * @private
+   */
+  _updateLastUpdated() {
+    const lastUpdated = this.shadowRoot.querySelector(".last-updated");
+    if (!lastUpdated || !this._lastUpdated) return;
+
+    lastUpdated.textContent = formatLastUpdated(this._lastUpdated);
+    lastUpdated.title = new Date(this._lastUpdated).toLocaleString("es-ES");
+  }
+
   /**
    * Maneja interacciones con la paginación
    * @param {Event} event - Evento click
@@ -570,24 +1512,19 @@ class IncidentListComponent extends HTMLElement {
     if (target.classList.contains("pagination-prev")) {
       // Página anterior
       if (this._currentPage > 1) {
-        this._currentPage--;
-        this._updateList();
+        this._goToPage(this._currentPage - 1);
       }
     } else if (target.classList.contains("pagination-next")) {
       // Página siguiente
-      const totalPages = Math.ceil(
-        this._filteredIncidents.length / this._itemsPerPage
-      );
+      const totalPages = Math.ceil(this._getTotalItems() / this._itemsPerPage);
       if (this._currentPage < totalPages) {
-        this._currentPage++;
-        this._updateList();
+        this._goToPage(this._currentPage + 1);
       }
     } else if (target.classList.contains("pagination-page")) {
       // Página específica
       const page = parseInt(target.dataset.page, 10);
       if (page !== this._currentPage) {
-        this._currentPage = page;
-        this._updateList();
+        this._goToPage(page);
       }
     }
   }
@@ -621,6 +1558,9 @@ class IncidentListComponent extends HTMLElement {
       }
       
       .list-title {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
         font-size: 1.25rem;
         font-weight: 600;
         color: var(--secondary-color, #475569);
@@ -633,6 +1573,14 @@ class IncidentListComponent extends HTMLElement {
         gap: 0.75rem;
       }
       
+      input[type="search"] {
+        padding: 0.5rem;
+        border: 1px solid #e2e8f0;
+        border-radius: var(--border-radius-md, 0.375rem);
+        font-size: 0.875rem;
+        min-width: 180px;
+      }
+      
       select {
         padding: 0.5rem;
         border: 1px solid #e2e8f0;
@@ -642,6 +1590,116 @@ class IncidentListComponent extends HTMLElement {
         min-width: 150px;
       }
       
+      /* Operaciones masivas */
+      .bulk-bar {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+        padding: 0.75rem 1rem;
+        margin-bottom: 1rem;
+        background-color: #f8fafc;
+        border: 1px solid #e2e8f0;
+        border-radius: var(--border-radius-md, 0.375rem);
+        font-size: 0.875rem;
+      }
+      
+      .bulk-bar[hidden],
+      .bulk-results[hidden],
+      .link-btn[hidden] {
+        display: none;
+      }
+      
+      .bulk-selection,
+      .bulk-actions {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+      }
+      
+      .bulk-select-page {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        cursor: pointer;
+      }
+      
+      .bulk-count {
+        font-weight: 500;
+        color: var(--secondary-color, #475569);
+      }
+      
+      .link-btn {
+        background: none;
+        border: none;
+        padding: 0;
+        color: var(--primary-color, #3b82f6);
+        font-size: 0.875rem;
+        cursor: pointer;
+      }
+      
+      .link-btn:hover {
+        text-decoration: underline;
+      }
+      
+      .danger-btn {
+        background-color: var(--error-color, #ef4444);
+        color: white;
+        border: none;
+      }
+      
+      .btn:disabled,
+      .bulk-actions select:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+      
+      .bulk-results {
+        margin-bottom: 1rem;
+        padding: 0.75rem 1rem;
+        border: 1px solid #e2e8f0;
+        border-radius: var(--border-radius-md, 0.375rem);
+        font-size: 0.875rem;
+      }
+      
+      .bulk-results-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        color: var(--secondary-color, #475569);
+      }
+      
+      .bulk-results-close {
+        background: none;
+        border: none;
+        font-size: 1.25rem;
+        line-height: 1;
+        color: #64748b;
+        cursor: pointer;
+      }
+      
+      .bulk-results-list {
+        list-style: none;
+        margin: 0.5rem 0 0;
+        padding: 0;
+        max-height: 12rem;
+        overflow-y: auto;
+      }
+      
+      .bulk-results-list li {
+        padding: 0.125rem 0;
+      }
+      
+      .bulk-results-list .success {
+        color: var(--success-color, #16a34a);
+      }
+      
+      .bulk-results-list .failure {
+        color: var(--error-color, #ef4444);
+      }
+      
       .incidents-list {
         display: grid;
         gap: 1rem;
@@ -774,6 +1832,42 @@ class IncidentListComponent extends HTMLElement {
         padding: 0.5rem 0.25rem;
       }
       
+      .refresh-group {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+      
+      .last-updated {
+        font-size: 0.75rem;
+        color: #64748b;
+        white-space: nowrap;
+      }
+      
+      .realtime-indicator {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.375rem;
+        font-size: 0.75rem;
+        color: #64748b;
+      }
+      
+      .realtime-indicator[hidden] {
+        display: none;
+      }
+      
+      .realtime-indicator::before {
+        content: "";
+        width: 0.5rem;
+        height: 0.5rem;
+        border-radius: 50%;
+        background-color: var(--warning-color, #f59e0b);
+      }
+      
+      .realtime-indicator[data-status="open"]::before {
+        background-color: var(--success-color, #22c55e);
+      }
+      
       /* Responsive */
       @media (max-width: 768px) {
         .list-header {
@@ -792,9 +1886,19 @@ class IncidentListComponent extends HTMLElement {
       <style>${styles}</style>
       <div class="list-container">
         <div class="list-header">
-          <h2 class="list-title">Incidentes</h2>
+          <h2 class="list-title">
+            Incidentes
+            <span class="realtime-indicator" role="status" hidden></span>
+          </h2>
           
           <div class="control-group">
+            <input
+              type="search"
+              id="search-input"
+              placeholder="Buscar incidentes..."
+              aria-label="Buscar por reportador o descripción"
+            />
+            
             <select id="filter-select" aria-label="Filtrar por estado">
               <option value="all" ${
                 this._filter === "all" ? "selected" : ""
@@ -822,14 +1926,28 @@ class IncidentListComponent extends HTMLElement {
               }>Reportador (A-Z)</option>
             </select>
             
-            <button id="refresh-btn" class="icon-btn" title="Actualizar lista">
-              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M23 4v6h-6"></path>
-                <path d="M1 20v-6h6"></path>
-                <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10"></path>
-                <path d="M20.49 15a9 9 0 0 1-14.85 3.36L1 14"></path>
-              </svg>
-            </button>
+            <div class="refresh-group">
+              <span class="last-updated"></span>
+            
+              <select id="polling-select" aria-label="Refresco automático">
+                ${CONFIG.POLLING.INTERVAL_OPTIONS.map(
+                  (interval) => `
+                    <option value="${interval}" ${
+                      interval === getPollingInterval() ? "selected" : ""
+                    }>${formatPollingInterval(interval)}</option>
+                  `
+                ).join("")}
+              </select>
+            
+              <button id="refresh-btn" class="icon-btn" title="Actualizar lista">
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <path d="M23 4v6h-6"></path>
+                  <path d="M1 20v-6h6"></path>
+                  <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10"></path>
+                  <path d="M20.49 15a9 9 0 0 1-14.85 3.36L1 14"></path>
+                </svg>
+              </button>
+            </div>
             
             <button id="create-btn" class="btn primary-btn">
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -841,6 +1959,31 @@ class IncidentListComponent extends HTMLElement {
           </div>
         </div>
         
+        <div class="bulk-bar" hidden>
+          <div class="bulk-selection">
+            <label class="bulk-select-page">
+              <input type="checkbox" id="select-page-checkbox" aria-label="Seleccionar los incidentes de esta página" />
+              Página
+            </label>
+            <span class="bulk-count">0 seleccionados</span>
+            <button id="select-matching-btn" class="link-btn" type="button" hidden></button>
+            <button id="clear-selection-btn" class="link-btn" type="button" hidden>Quitar selección</button>
+          </div>
+          
+          <div class="bulk-actions">
+            <select id="bulk-status-select" aria-label="Nuevo estado" disabled>
+              <option value="">Cambiar estado a...</option>
+              ${BULK_STATUS_OPTIONS.map(
+                ([value, label]) => `<option value="${value}">${label}</option>`
+              ).join("")}
+            </select>
+            <button id="bulk-status-btn" class="btn primary-btn" type="button" disabled>Aplicar</button>
+            <button id="bulk-delete-btn" class="btn danger-btn" type="button" disabled>Eliminar</button>
+          </div>
+        </div>
+        
+        <div class="bulk-results" role="status" hidden></div>
+        
         <div class="list-loader" ?hidden="${!this._isLoading}">
           <div class="spinner"></div>
         </div>
@@ -4,6 +4,16 @@
  */
 
 export const CONFIG = {
+  // Versión de la aplicación (se envía en X-Client-Version)
+  APP_VERSION: "1.0.0",
+
+  // Entorno de ejecución: "development", "staging" o "production". Sin
+  // config.json se asume producción (sin API de depuración en window)
+  ENVIRONMENT: "production",
+
+  // Configuración de tiempo de ejecución que se fusiona al arrancar (ver loadRuntimeConfig)
+  RUNTIME_CONFIG_URL: "/config.json",
+
   // API
   API_BASE_URL: "http://localhost:3000",
 
@@ -14,9 +24,19 @@ export const CONFIG = {
     INCIDENT_DETAIL: "/incidents/:id",
     CREATE_INCIDENT: "/incidents/create",
     EDIT_INCIDENT: "/incidents/:id/edit",
+    LOGIN: "/login",
+    DIAGNOSTICS: "/diagnostics",
     NOT_FOUND: "/404",
   },
 
+  // Autenticación
+  AUTH: {
+    // Clave de localStorage donde se guarda la sesión (tokens y usuario)
+    STORAGE_KEY: "auth",
+    LOGIN_ENDPOINT: "auth/login",
+    REFRESH_ENDPOINT: "auth/refresh",
+  },
+
   // Estados de incidentes
   INCIDENT_STATUS: {
     PENDING: "pendiente",
@@ -27,6 +47,21 @@ export const CONFIG = {
   // Configuración de Workers
   WORKERS: {
     API_WORKER: "src/core/workers/api.worker.js",
+    // Un único API Worker compartido por todas las pestañas (SharedWorker):
+    // una caché, una cola de red y un canal de tiempo real. Si el navegador no
+    // lo soporta se usa un worker dedicado por pestaña
+    SHARED: false,
+    API_SHARED_WORKER: "src/core/workers/api.shared-worker.js",
+    // Comprobación periódica de que el worker sigue respondiendo (ms)
+    HEARTBEAT_INTERVAL: 10000,
+    HEARTBEAT_TIMEOUT: 5000,
+    // Reinicio tras un fallo: espera exponencial entre intentos (ms)
+    RESPAWN_BASE_DELAY: 500,
+    RESPAWN_MAX_DELAY: 10000,
+    // Intentos antes de pasar a ejecutar la lógica en el hilo principal
+    RESPAWN_MAX_ATTEMPTS: 5,
+    // Peticiones de red simultáneas del API Worker (el resto espera por prioridad)
+    API_CONCURRENCY: 6,
   },
 
   // Ajustes de rendimiento
@@ -42,18 +77,159 @@ export const CONFIG = {
     },
   },
 
-  // Validaciones
+  // Paginación de listas
+  PAGINATION: {
+    // Incidentes por página
+    PAGE_SIZE: 10,
+    // Cabecera con el total de resultados cuando la API pagina (debe exponerse vía CORS)
+    TOTAL_COUNT_HEADER: "X-Total-Count",
+  },
+
+  // Sincronización entre pestañas abiertas de la aplicación (BroadcastChannel)
+  TAB_SYNC: {
+    ENABLED: true,
+    // Nombre del canal compartido por las pestañas
+    CHANNEL: "incidents-client",
+  },
+
+  // Actualizaciones en tiempo real (eventos incident.created/updated/deleted)
+  REALTIME: {
+    ENABLED: true,
+    // "sse" (Server-Sent Events) o "websocket"
+    TRANSPORT: "sse",
+    // Endpoint de eventos, relativo a la URL de la API
+    ENDPOINT: "incidents/events",
+    // Reconexión tras perder el canal: espera exponencial entre intentos (ms)
+    RECONNECT_BASE_DELAY: 1000,
+    RECONNECT_MAX_DELAY: 30000,
+    // Tiempo que se resaltan las tarjetas que cambiaron (ms)
+    HIGHLIGHT_DURATION: 4000,
+  },
+
+  // Operaciones masivas sobre incidentes
+  BULK: {
+    // Endpoint por lotes (si la API no lo tiene se hace una petición por incidente)
+    BATCH_ENDPOINT: "incidents/batch",
+    // Peticiones individuales simultáneas cuando no hay endpoint por lotes
+    CONCURRENCY: 3,
+  },
+
+    // Validaciones
   VALIDATION: {
     INCIDENT_DESCRIPTION_MIN_LENGTH: 10,
   },
 
+  // API simulada para demos y desarrollo sin backend
+  MOCK_API: {
+    // Activarla por defecto (también con `?mock=1` en la URL)
+    ENABLED: false,
+    // Parámetro de la URL que la activa (1) o desactiva (0); la elección se recuerda
+    QUERY_PARAM: "mock",
+    STORAGE_KEY: "mockApi",
+    // Latencia simulada en ms
+    LATENCY: { MIN: 150, MAX: 600 },
+    // Fracción de peticiones que fallan con 503 (para probar reintentos)
+    ERROR_RATE: 0,
+    // Exigir token en /incidents (sin token se responde 401)
+    REQUIRE_AUTH: false,
+    // Vida de los access tokens emitidos en ms (corta para probar el refresco)
+    TOKEN_TTL: 2 * 60 * 1000,
+    // Cada cuánto (ms) un compañero simulado cambia un incidente (0 lo desactiva)
+    TEAMMATE_INTERVAL: 45 * 1000,
+  },
+
   // Tiempos de caché
   CACHE: {
     // Tiempo de caché para datos de incidentes (5 minutos)
     INCIDENTS_TTL: 5 * 60 * 1000,
+    // Tiempo máximo que un dato expirado puede servirse mientras se revalida (24 horas)
+    MAX_STALE: 24 * 60 * 60 * 1000,
+  },
+
+  // Refresco automático de la lista y del detalle de incidentes
+  POLLING: {
+    // Intervalo por defecto (ms); 0 lo desactiva
+    INTERVAL: 30 * 1000,
+    // Intervalos que puede elegir el usuario (ms)
+    INTERVAL_OPTIONS: [0, 15 * 1000, 30 * 1000, 60 * 1000, 5 * 60 * 1000],
+    // Clave de localStorage con el intervalo elegido
+    STORAGE_KEY: "pollingInterval",
   },
 };
 
+/**
+ * Fusiona recursivamente valores sobre la configuración
+ * Solo se aceptan claves que ya existen, para detectar errores de escritura.
+ * @param {Object} target - Configuración a modificar
+ * @param {Object} source - Valores a aplicar
+ * @param {string} [path=""] - Ruta de la clave (para los avisos)
+ */
+function mergeConfig(target, source, path = "") {
+  for (const [key, value] of Object.entries(source)) {
+    if (!(key in target)) {
+      console.warn(`⚠️ Clave de configuración desconocida: ${path}${key}`);
+      continue;
+    }
+
+    const current = target[key];
+    const isObject = (item) =>
+      item !== null && typeof item === "object" && !Array.isArray(item);
+
+    if (isObject(current) && isObject(value)) {
+      mergeConfig(current, value, `${path}${key}.`);
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Carga la configuración de tiempo de ejecución y la fusiona con CONFIG
+ * Usa `window.__APP_CONFIG__` si existe; si no, descarga CONFIG.RUNTIME_CONFIG_URL.
+ * Así una misma imagen sirve para cualquier entorno. Sin configuración de
+ * tiempo de ejecución se mantienen los valores por defecto.
+ * @returns {Promise<Object>} Configuración resultante
+ */
+export async function loadRuntimeConfig() {
+  let runtimeConfig = window.__APP_CONFIG__;
+
+  if (!runtimeConfig) {
+    try {
+      const response = await fetch(CONFIG.RUNTIME_CONFIG_URL, {
+        cache: "no-store",
+      });
+
+      // El servidor de la SPA puede devolver index.html para rutas inexistentes
+      const contentType = response.headers.get("content-type") || "";
+      if (response.ok && contentType.includes("application/json")) {
+        runtimeConfig = await response.json();
+      }
+    } catch (error) {
+      console.warn("⚠️ No se pudo cargar la configuración de tiempo de ejecución:", error);
+    }
+  }
+
+  if (runtimeConfig) {
+    mergeConfig(CONFIG, runtimeConfig);
+    console.log(`⚙️ Configuración cargada (${CONFIG.ENVIRONMENT})`);
+  }
+
+  // Avisar a los componentes que ya se renderizaron con los valores por defecto
+  window.dispatchEvent(new CustomEvent("app-config:loaded", { detail: CONFIG }));
+
+  return CONFIG;
+}
+
+/**
+ * Aplica sobre CONFIG la configuración enviada por el hilo principal
+ * Los workers cargan su propia copia de este módulo: sin esto se quedarían con
+ * los valores por defecto y no verían la configuración de tiempo de ejecución.
+ * @param {Object} values - Configuración del hilo principal
+ */
+export function applyConfig(values) {
+  mergeConfig(CONFIG, values);
+}
+
 /**
  * Método para unir una ruta relativa con la URL base de la API
  * @param {string} path - Ruta relativa
@@ -63,6 +239,63 @@ export function apiUrl(path) {
   return `${CONFIG.API_BASE_URL}${path.startsWith("/") ? path : `/${path}`}`;
 }
 
+/**
+ * Indica si la aplicación debe usar la API simulada
+ * `?mock=1` la activa y `?mock=0` la desactiva; la elección se recuerda en
+ * localStorage para que sobreviva a la navegación y a las recargas.
+ * @returns {boolean} True si la API simulada está activa
+ */
+export function isMockApiEnabled() {
+  const { QUERY_PARAM, STORAGE_KEY, ENABLED } = CONFIG.MOCK_API;
+  const param = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+
+  try {
+    if (param !== null) {
+      localStorage.setItem(STORAGE_KEY, param === "1" || param === "true");
+    }
+
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored === null ? ENABLED : stored === "true";
+  } catch (error) {
+    // Sin acceso a localStorage solo cuenta el parámetro de la URL
+    return param === null ? ENABLED : param === "1" || param === "true";
+  }
+}
+
+/**
+ * Obtiene el intervalo de refresco automático elegido por el usuario
+ * @returns {number} Intervalo en ms (0 = desactivado)
+ */
+export function getPollingInterval() {
+  const { STORAGE_KEY, INTERVAL, INTERVAL_OPTIONS } = CONFIG.POLLING;
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored !== null && INTERVAL_OPTIONS.includes(Number(stored))
+      ? Number(stored)
+      : INTERVAL;
+  } catch (error) {
+    return INTERVAL;
+  }
+}
+
+/**
+ * Guarda el intervalo de refresco automático y lo anuncia con el evento
+ * "polling-interval-changed" para que lo apliquen todas las vistas abiertas
+ * @param {number} interval - Intervalo en ms (0 = desactivado)
+ */
+export function setPollingInterval(interval) {
+  try {
+    localStorage.setItem(CONFIG.POLLING.STORAGE_KEY, interval);
+  } catch (error) {
+    // Sin acceso a localStorage la elección dura lo que la página
+  }
+
+  window.dispatchEvent(
+    new CustomEvent("polling-interval-changed", { detail: { interval } })
+  );
+}
+
 /**
  * Reemplaza parámetros en una ruta con valores reales
  * @param {string} route - Ruta con parámetros (ej: '/incidents/:id')
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Errores tipados de ApiService
+ * Todas las peticiones fallidas rechazan con un ApiError (o una subclase), que
+ * conserva la forma de los errores anteriores: { message, status, data, attempts }.
+ */
+
+// Tipos de error de la API
+export const API_ERROR_TYPES = {
+  // El servidor respondió con un código de error
+  HTTP: 'http',
+  // La API no es alcanzable (red, CORS, worker caído)
+  NETWORK: 'network',
+  // El worker no respondió a tiempo (la petición pudo llegar a aplicarse)
+  TIMEOUT: 'timeout',
+  // La respuesta no cumple el esquema esperado
+  SCHEMA: 'schema',
+  // Los datos a enviar no son válidos (no se llega a hacer la petición)
+  VALIDATION: 'validation'
+};
+
+/**
+ * Error de una petición a la API
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Mensaje del error
+   * @param {Object} [details={}] - Detalles
+   * @param {number|string} [details.status] - Código de estado (o 'NETWORK_ERROR', 'TIMEOUT', 'SCHEMA_ERROR', 'VALIDATION_ERROR')
+   * @param {any} [details.data] - Cuerpo de la respuesta
+   * @param {number} [details.attempts] - Intentos realizados
+   * @param {string} [details.type] - Tipo de error (ver API_ERROR_TYPES)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.type = details.type || API_ERROR_TYPES.HTTP;
+    this.status = details.status;
+    this.data = details.data;
+    this.attempts = details.attempts;
+  }
+}
+
+/**
+ * La API no es alcanzable
+ */
+export class NetworkError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: API_ERROR_TYPES.NETWORK, status: 'NETWORK_ERROR' });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * El worker no respondió dentro del plazo
+ * A diferencia de NetworkError, no implica que la API sea inalcanzable: la
+ * petición pudo llegar al servidor, así que no debe encolarse para repetirla.
+ */
+export class TimeoutError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, type: API_ERROR_TYPES.TIMEOUT, status: 'TIMEOUT' });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * La respuesta del servidor no cumple el esquema esperado
+ */
+export class SchemaError extends ApiError {
+  /**
+   * @param {string} message - Mensaje del error
+   * @param {Object} [details={}] - Detalles (además de los de ApiError)
+   * @param {string[]} [details.errors] - Errores de validación por campo
+   * @param {number} [details.httpStatus] - Código de estado HTTP de la respuesta
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, type: API_ERROR_TYPES.SCHEMA, status: 'SCHEMA_ERROR' });
+    this.name = 'SchemaError';
+    this.errors = details.errors || [];
+    this.httpStatus = details.httpStatus;
+  }
+}
+
+/**
+ * Los datos a enviar no cumplen las reglas de validación
+ * `data` tiene la misma forma que un 400 de la API: `{ error, errors }`.
+ */
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} message - Mensaje del error
+   * @param {Object} [errors={}] - Errores por campo (ej: { description: '...' })
+   */
+  constructor(message, errors = {}) {
+    super(message, {
+      type: API_ERROR_TYPES.VALIDATION,
+      status: 'VALIDATION_ERROR',
+      data: { error: message, errors }
+    });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
@@ -3,12 +3,29 @@
  * Utiliza un Web Worker para realizar las peticiones HTTP sin bloquear el hilo principal
  */
 
-import { apiUrl }
-
-// Exportar instancia singleton
-export const ApiService = new ApiServiceClass(); from '../../config.js';
-import { sendToWorker } from '../workers/worker-bridge.js';
+import { CONFIG, apiUrl } from '../../config.js';
+import { sendToWorker, onWorkerMessage, isAbortError, isTimeoutError, getWorkerTransport } from '../workers/worker-bridge.js';
 import { store, actions } from '../store/store.js';
+import { requestIdInterceptor, clientVersionInterceptor } from './interceptors.js';
+import { ApiError, NetworkError, TimeoutError, SchemaError, ValidationError } from './api-errors.js';
+import { validateIncident } from '../../utils/validation.utils.js';
+
+export { isAbortError };
+export { ApiError, NetworkError, TimeoutError, SchemaError, ValidationError, API_ERROR_TYPES } from './api-errors.js';
+
+// Códigos con los que una API sin endpoint por lotes rechaza la petición
+const BATCH_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+/**
+ * Sustituye los incidentes de una lista por su versión más reciente
+ * @param {Object[]} incidents - Incidentes actuales
+ * @param {Object[]} fresh - Incidentes recibidos
+ * @returns {Object[]} Lista con los mismos incidentes, actualizados
+ */
+function mergeIncidents(incidents, fresh) {
+  const byId = new Map(fresh.map(incident => [String(incident.id), incident]));
+  return incidents.map(incident => byId.get(String(incident.id)) || incident);
+}
 
 /**
  * Servicio de API - Singleton
@@ -16,7 +33,19 @@ import { store, actions } from '../store/store.js';
 class ApiServiceClass {
   constructor() {
     this.initialized = false;
-    this.pendingRequests = new Set();
+    // Peticiones en curso: requestId -> { controller, abortOnNavigation }
+    this.pendingRequests = new Map();
+    // Peticiones en curso que muestran el loader global
+    this.loaderRequests = 0;
+    // Contador para identificar peticiones idénticas lanzadas a la vez
+    this.requestCounter = 0;
+    // Acciones a despachar cuando el worker revalida una entrada servida obsoleta:
+    // clave de caché -> actionCreator (se retiran al terminar la revalidación)
+    this.revalidateActions = new Map();
+    // Interceptores registrados, en orden de ejecución
+    this.interceptors = { request: [], response: [], error: [] };
+    // Si la API tiene endpoint por lotes: null hasta el primer intento
+    this.batchSupported = null;
   }
   
   /**
@@ -30,18 +59,173 @@ class ApiServiceClass {
       this.abortPendingRequests();
     });
     
+    // Interceptores incluidos: ID de correlación y versión del cliente
+    this.useRequest(requestIdInterceptor);
+    this.useRequest(clientVersionInterceptor);
+    
+    // Aplicar en el store los datos refrescados en segundo plano por el worker
+    onWorkerMessage('api', 'cache-updated', async ({ key, url, data }) => {
+      const actionCreator = this.revalidateActions.get(key);
+      if (actionCreator) {
+        const transformed = await this._runResponseInterceptors(data, {
+          method: 'GET',
+          url,
+          response: { revalidated: true }
+        });
+        store.dispatch(actionCreator(transformed));
+      }
+    });
+    
+    // Revalidación terminada (con cambios o sin ellos): ya no hay nada que aplicar
+    onWorkerMessage('api', 'cache-revalidated', ({ key }) => {
+      this.revalidateActions.delete(key);
+    });
+    
+    // Reflejar en la UI cuando el worker se está reiniciando tras un fallo
+    onWorkerMessage('api', 'status', ({ status }) => {
+      store.dispatch(actions.setApiStatus(status));
+    });
+    
     this.initialized = true;
     console.log('✅ API Service inicializado');
   }
   
   /**
-   * Cancela todas las peticiones pendientes
-   * Útil cuando el usuario navega a otra página y las respuestas ya no son relevantes
+   * Cancela las peticiones pendientes
+   * Útil cuando el usuario navega a otra página y las respuestas ya no son relevantes.
+   * Por defecto solo se cancelan las lecturas: una mutación en curso puede
+   * haber sido aplicada ya por el servidor.
+   * @param {Object} [options={}] - Opciones de cancelación
+   * @param {boolean} [options.all=false] - Cancelar también las peticiones marcadas como no cancelables
+   */
+  abortPendingRequests(options = {}) {
+    const { all = false } = options;
+    
+    for (const { controller, abortOnNavigation } of this.pendingRequests.values()) {
+      if (all || abortOnNavigation) {
+        controller.abort();
+      }
+    }
+  }
+  
+  /**
+   * Registra un interceptor de petición
+   * Recibe la configuración `{ method, endpoint, url, headers, body, options }` y
+   * devuelve la configuración a usar (puede ser asíncrono). Se ejecutan en el hilo
+   * principal antes de enviar la petición al worker, en orden de registro.
+   * @param {Function} interceptor - (config) => config
+   * @returns {Function} Función para eliminar el interceptor
+   */
+  useRequest(interceptor) {
+    return this._addInterceptor('request', interceptor);
+  }
+  
+  /**
+   * Registra un interceptor de respuesta
+   * Recibe los datos de una respuesta exitosa y el contexto
+   * `{ method, endpoint, url, options, response }`, y devuelve los datos a entregar.
+   * @param {Function} interceptor - (data, context) => data
+   * @returns {Function} Función para eliminar el interceptor
    */
-  abortPendingRequests() {
-    // En una implementación más completa, aquí se podría usar AbortController
-    // para cancelar peticiones fetch pendientes en el worker
-    this.pendingRequests.clear();
+  useResponse(interceptor) {
+    return this._addInterceptor('response', interceptor);
+  }
+  
+  /**
+   * Registra un interceptor de error
+   * Recibe el error estandarizado y el contexto `{ method, endpoint, url, options, retry }`.
+   * Si devuelve `undefined`, el error sigue al siguiente interceptor; si lanza, el
+   * error lanzado sustituye al original; cualquier otro valor recupera la petición
+   * y se entrega como resultado (ej: `return context.retry()`).
+   * Las cancelaciones no pasan por los interceptores de error.
+   * @param {Function} interceptor - (error, context) => any
+   * @returns {Function} Función para eliminar el interceptor
+   */
+  useError(interceptor) {
+    return this._addInterceptor('error', interceptor);
+  }
+  
+  /**
+   * Añade un interceptor a la lista de su tipo
+   * @param {'request'|'response'|'error'} type - Tipo de interceptor
+   * @param {Function} interceptor - Interceptor
+   * @returns {Function} Función para eliminar el interceptor
+   * @private
+   */
+  _addInterceptor(type, interceptor) {
+    this.interceptors[type].push(interceptor);
+    
+    return () => {
+      this.interceptors[type] = this.interceptors[type].filter(item => item !== interceptor);
+    };
+  }
+  
+  /**
+   * Ejecuta los interceptores de petición
+   * @param {Object} config - Configuración de la petición
+   * @returns {Promise<Object>} Configuración final
+   * @private
+   */
+  async _runRequestInterceptors(config) {
+    let result = config;
+    
+    for (const interceptor of this.interceptors.request) {
+      result = (await interceptor(result)) || result;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Ejecuta los interceptores de respuesta
+   * @param {any} data - Datos de la respuesta
+   * @param {Object} context - Contexto de la petición
+   * @returns {Promise<any>} Datos transformados
+   * @private
+   */
+  async _runResponseInterceptors(data, context) {
+    let result = data;
+    
+    for (const interceptor of this.interceptors.response) {
+      result = await interceptor(result, context);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Pasa un error por los interceptores de error y, si ninguno lo recupera,
+   * lo maneja de forma centralizada
+   * @param {Object} error - Error estandarizado
+   * @param {Object} context - Contexto de la petición
+   * @returns {Promise<any>} Resultado de la recuperación
+   * @private
+   */
+  async _handleRequestError(error, context) {
+    let currentError = error;
+    
+    for (const interceptor of this.interceptors.error) {
+      let recovered;
+      
+      try {
+        recovered = await interceptor(currentError, context);
+      } catch (thrown) {
+        // Una cancelación durante la recuperación no es un error de la aplicación
+        if (isAbortError(thrown)) throw thrown;
+        
+        currentError = thrown;
+        continue;
+      }
+      
+      if (recovered !== undefined) {
+        return recovered;
+      }
+    }
+    
+    // La llamada gestiona el error por su cuenta: sin aviso global
+    if (context.options.silent) throw currentError;
+    
+    return this._handleError(currentError);
   }
   
   /**
@@ -66,77 +250,207 @@ class ApiServiceClass {
    * @param {string} method - Método HTTP
    * @param {string} endpoint - Endpoint de la API
    * @param {Object} [options={}] - Opciones adicionales
-   * @returns {Promise<any>} Datos de respuesta
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición
+   * @param {boolean} [options.abortOnNavigation] - Cancelar al cambiar de página (por defecto solo GET)
+   * @param {boolean|Object} [options.retry] - Política de reintentos (por defecto solo métodos idempotentes;
+   *   `true` o un objeto `{ maxAttempts, baseDelay, maxDelay, jitter, retryOn, respectRetryAfter }`
+   *   la activa también para POST, `false` la desactiva)
+   * @param {string} [options.cacheStrategy] - 'cacheFirst' (por defecto) o 'staleWhileRevalidate'
+   * @param {number} [options.maxStale] - Tiempo máximo (ms) que se sirve un dato expirado al revalidar
+   * @param {Function} [options.revalidateAction] - Creador de acción que recibe los datos
+   *   refrescados en segundo plano (solo con 'staleWhileRevalidate')
+   * @param {string[]} [options.tags] - Etiquetas extra para la entrada de caché de un GET
+   * @param {string[]} [options.invalidates] - Etiquetas extra que invalida una escritura exitosa
+   *   (el recurso escrito y sus colecciones padre se invalidan siempre)
+   * @param {boolean} [options.dedupe=true] - Compartir un GET idéntico que ya esté en curso
+   * @param {Object} [options.headers] - Cabeceras adicionales (los interceptores pueden añadir más)
+   * @param {boolean} [options.auth=true] - Enviar las credenciales de la sesión (Authorization)
+   * @param {boolean} [options.skipAuthRefresh] - No renovar la sesión ni reintentar ante un 401
+   * @param {boolean} [options.silent] - No notificar el error de forma global (setError): lo gestiona quien llama
+   * @param {string} [options.schema] - Esquema con el que el worker valida y normaliza la respuesta
+   *   (ej: 'incident', 'incidents'; ver src/core/workers/schemas.js)
+   * @param {string} [options.priority] - Prioridad en la cola de red del worker: 'high', 'normal' o 'low'
+   *   (por defecto 'high' para mutaciones y 'normal' para lecturas; usar 'low' en precargas y polling)
+   * @param {boolean} [options.paginated] - Entregar la lista como página
+   *   `{ items, total, page, pageSize, serverPaging }` (ver getIncidents)
+   * @returns {Promise<any>} Datos de respuesta (rechaza con ApiError, o AbortError si se cancela)
    */
   async request(method, endpoint, options = {}) {
-    const { body, params, useCache = true, showLoader = true } = options;
+    const {
+      body,
+      params,
+      useCache = true,
+      cacheTTL = 300000, // 5 minutos de caché por defecto
+      cacheStrategy,
+      maxStale,
+      revalidateAction,
+      showLoader = true,
+      signal,
+      abortOnNavigation = method === 'GET',
+      retry,
+      tags = [],
+      invalidates = [],
+      dedupe = true,
+      headers = {},
+      auth = true,
+      schema,
+      paginated,
+      priority
+    } = options;
     
-    try {
-      // Construir URL completa
-      let url = apiUrl(endpoint);
-      
-      // Agregar parámetros de query si existen
-      if (params) {
-        const queryParams = new URLSearchParams();
-        for (const [key, value] of Object.entries(params)) {
-          if (value !== undefined && value !== null) {
-            queryParams.append(key, value);
-          }
-        }
-        
-        const queryString = queryParams.toString();
-        if (queryString) {
-          url = `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+    // Construir URL completa
+    let url = apiUrl(endpoint);
+    
+    // Agregar parámetros de query si existen
+    if (params) {
+      const queryParams = new URLSearchParams();
+      for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null) {
+          queryParams.append(key, value);
         }
       }
       
-      // Marcar como petición en curso
-      const requestId = `${method}:${url}:${Date.now()}`;
-      this.pendingRequests.add(requestId);
-      
-      // Mostrar loader global si se solicita
-      if (showLoader) {
-        store.dispatch(actions.setLoading(true));
+      const queryString = queryParams.toString();
+      if (queryString) {
+        url = `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
       }
-      
+    }
+    
+    // Interceptores de petición: pueden modificar la URL, las cabeceras y el cuerpo
+    const config = await this._runRequestInterceptors({
+      method,
+      endpoint,
+      url,
+      headers: { ...headers },
+      body,
+      options
+    });
+    url = config.url;
+    
+    // Contexto compartido con los interceptores de respuesta y de error
+    const context = {
+      method,
+      endpoint,
+      url,
+      options,
+      retry: (overrides = {}) => this.request(method, endpoint, { ...options, ...overrides })
+    };
+    
+    // Manejador cancelable de la petición, enlazado a la señal externa si existe
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', forwardAbort, { once: true });
+    }
+    
+    // Marcar como petición en curso
+    const requestId = `${method}:${url}:${this.requestCounter++}`;
+    this.pendingRequests.set(requestId, { controller, abortOnNavigation });
+    
+    // Mostrar loader global si se solicita
+    if (showLoader) {
+      this.loaderRequests++;
+      store.dispatch(actions.setLoading(true));
+    }
+    
+    let response;
+    
+    try {
       // Realizar la petición a través del worker
-      const response = await sendToWorker('api', 'request', {
+      response = await sendToWorker('api', 'request', {
         url,
         method,
-        body,
+        body: config.body,
+        headers: config.headers,
         useCache: useCache && method === 'GET',
-        cacheTTL: 300000 // 5 minutos de caché por defecto
-      });
+        cacheTTL,
+        cacheStrategy,
+        maxStale,
+        retry,
+        tags,
+        invalidates,
+        dedupe,
+        auth,
+        schema,
+        paginated,
+        priority
+      }, { signal: controller.signal });
+    } catch (error) {
+      // Las cancelaciones no son errores de la aplicación
+      if (isAbortError(error)) {
+        throw error;
+      }
       
+      // Sin respuesta del worker: el resultado es desconocido, no es un corte de red
+      if (isTimeoutError(error)) {
+        return this._handleRequestError(new TimeoutError(error.message), context);
+      }
+      
+      // Error inesperado (network, worker caído, etc)
+      return this._handleRequestError(
+        new NetworkError(error.message || 'Error de conexión'),
+        context
+      );
+    } finally {
       // Petición completada, eliminar del tracking
       this.pendingRequests.delete(requestId);
+      if (signal) signal.removeEventListener('abort', forwardAbort);
       
-      // Ocultar loader si no hay más peticiones pendientes y se solicitó mostrar
-      if (showLoader && this.pendingRequests.size === 0) {
+      // Ocultar loader cuando terminan todas las peticiones que lo mostraron
+      // (las de segundo plano no lo retienen)
+      if (showLoader && --this.loaderRequests === 0) {
         store.dispatch(actions.setLoading(false));
       }
-      
-      // Verificar si la petición fue exitosa
-      if (!response.success) {
-        // Construir objeto de error estandarizado
-        const error = {
-          message: response.data?.error || 'Error en la petición',
-          status: response.status,
-          data: response.data
-        };
-        
-        return this._handleError(error);
-      }
-      
-      // Devolver datos de respuesta
-      return response.data;
-    } catch (error) {
-      // Error inesperado (network, timeout, etc)
-      this._handleError({
-        message: error.message || 'Error de conexión',
-        status: 'NETWORK_ERROR'
+    }
+    
+    if (response.attempts > 1) {
+      console.warn(`⚠️ ${method} ${url} completada tras ${response.attempts} intentos`);
+    }
+    
+    if (response.quarantined) {
+      console.warn(`⚠️ ${method} ${url}: ${response.quarantined} registro(s) apartados por no cumplir el esquema`);
+    }
+    
+    // Verificar si la petición fue exitosa
+    if (!response.success) {
+      return this._handleRequestError(this._createError(response), context);
+    }
+    
+    // Dato obsoleto: el worker lo está revalidando y avisará con "cache-updated"
+    if (revalidateAction && response.stale) {
+      this.revalidateActions.set(`${method}:${url}`, revalidateAction);
+    }
+    
+    // Devolver datos de respuesta, transformados por los interceptores
+    return this._runResponseInterceptors(response.data, { ...context, response });
+  }
+  
+  /**
+   * Construye el error tipado de una respuesta fallida del worker
+   * @param {Object} response - Resultado del worker
+   * @returns {ApiError} Error estandarizado
+   * @private
+   */
+  _createError(response) {
+    const details = { data: response.data, attempts: response.attempts };
+    
+    if (response.isNetworkError) {
+      return new NetworkError(response.error || 'Error de conexión', details);
+    }
+    
+    if (response.schemaError) {
+      return new SchemaError(response.error, {
+        ...details,
+        errors: response.schemaErrors,
+        httpStatus: response.status
       });
     }
+    
+    return new ApiError(response.data?.error || response.error || 'Error en la petición', {
+      ...details,
+      status: response.status
+    });
   }
   
   /**
@@ -190,6 +504,15 @@ class ApiServiceClass {
     return sendToWorker('api', 'purgeCache', options);
   }
   
+  /**
+   * Invalida las entradas de caché asociadas a etiquetas de recurso
+   * @param {string[]} tags - Etiquetas a invalidar (ej: ['incidents', 'incidents/5'])
+   * @returns {Promise<Object>} Resultado de la purga
+   */
+  async invalidateCache(tags) {
+    return this.purgeCache({ tags });
+  }
+  
   /**
    * Obtiene estadísticas del caché
    * @returns {Promise<Object>} Estadísticas del caché
@@ -198,15 +521,97 @@ class ApiServiceClass {
     return sendToWorker('api', 'getCacheStats');
   }
   
+  /**
+   * Obtiene los registros recientes que el worker apartó por no cumplir su esquema
+   * @param {Object} [options={}] - Opciones
+   * @param {boolean} [options.clear=false] - Vaciar la cuarentena tras leerla
+   * @returns {Promise<Object>} Registros apartados ({ records: [{ url, schema, record, errors, receivedAt }] })
+   */
+  async getQuarantinedRecords(options = {}) {
+    return sendToWorker('api', 'getQuarantine', options);
+  }
+  
+  /**
+   * Obtiene la telemetría de red agregada por el worker
+   * @returns {Promise<Object>} Métricas ({ since, buckets, totals, endpoints })
+   */
+  async getMetrics() {
+    return sendToWorker('api', 'getMetrics');
+  }
+  
+  /**
+   * Reinicia la telemetría de red
+   * @returns {Promise<Object>} Momento del reinicio ({ since })
+   */
+  async resetMetrics() {
+    return sendToWorker('api', 'resetMetrics');
+  }
+  
+  /**
+   * Prepara la telemetría de red para exportarla, con el contexto del cliente
+   * @returns {Promise<Object>} Informe listo para serializar como JSON
+   */
+  async exportMetrics() {
+    const metrics = await this.getMetrics();
+    
+    return {
+      exportedAt: new Date().toISOString(),
+      client: {
+        version: CONFIG.APP_VERSION,
+        environment: CONFIG.ENVIRONMENT,
+        apiBaseUrl: CONFIG.API_BASE_URL,
+        transport: getWorkerTransport('api'),
+        userAgent: navigator.userAgent
+      },
+      metrics
+    };
+  }
+  
   // API específica para incidentes
   
   /**
-   * Obtiene todos los incidentes
-   * @param {Object} [options={}] - Opciones adicionales
-   * @returns {Promise<Array>} Lista de incidentes
+   * Obtiene los incidentes
+   * Sin `page` devuelve la lista completa. Con `page` pide una página filtrada y
+   * ordenada por el servidor y devuelve `{ items, total, page, pageSize, serverPaging }`;
+   * si la API no pagina (no informa del total), `serverPaging` es false e `items`
+   * trae la lista completa para filtrar y paginar en el cliente.
+   * @param {Object} [options={}] - Consulta y opciones adicionales de la petición
+   * @param {number} [options.page] - Página (desde 1)
+   * @param {number} [options.pageSize] - Incidentes por página (por defecto CONFIG.PAGINATION.PAGE_SIZE)
+   * @param {string} [options.status] - Estado (ver CONFIG.INCIDENT_STATUS)
+   * @param {string} [options.sort] - Campo de ordenación; con '-' delante es descendente (ej: '-created_at')
+   * @param {string} [options.q] - Texto a buscar en reportador y descripción
+   * @returns {Promise<Array|Object>} Lista de incidentes o página
    */
   async getIncidents(options = {}) {
-    return this.get('incidents', options);
+    const { page, pageSize, status, sort, q, ...requestOptions } = options;
+    const paginated = page !== undefined;
+    
+    // La lista se pinta al instante desde caché y se corrige sola al revalidar
+    return this.get('incidents', {
+      cacheTTL: CONFIG.CACHE.INCIDENTS_TTL,
+      cacheStrategy: 'staleWhileRevalidate',
+      maxStale: CONFIG.CACHE.MAX_STALE,
+      // Una página revalidada puede no ser la que se muestra: solo refresca los
+      // incidentes que ya están en el store, sin sustituirlos
+      revalidateAction: paginated
+        ? (result) => actions.setIncidents(mergeIncidents(store.getState().incidents, result.items))
+        : actions.setIncidents,
+      ...requestOptions,
+      params: paginated
+        ? {
+          ...requestOptions.params,
+          page,
+          pageSize: pageSize || CONFIG.PAGINATION.PAGE_SIZE,
+          status,
+          sort,
+          q: q || undefined
+        }
+        : requestOptions.params,
+      paginated,
+      tags: ['incidents'],
+      schema: 'incidents'
+    });
   }
   
   /**
@@ -216,17 +621,66 @@ class ApiServiceClass {
    * @returns {Promise<Object>} Datos del incidente
    */
   async getIncidentById(id, options = {}) {
-    return this.get(`incidents/${id}`, options);
+    return this.get(`incidents/${id}`, {
+      ...options,
+      tags: [`incidents/${id}`],
+      schema: 'incident'
+    });
+  }
+  
+  /**
+   * Valida los datos de un incidente antes de enviarlos
+   * @param {Object} data - Datos del incidente
+   * @param {boolean} partial - Validar solo los campos presentes (edición)
+   * @throws {ValidationError} Si algún campo no es válido
+   * @private
+   */
+  _assertValidIncident(data, partial) {
+    const errors = validateIncident(data, { partial });
+    
+    if (errors) {
+      throw new ValidationError(Object.values(errors)[0], errors);
+    }
   }
   
   /**
    * Crea un nuevo incidente
    * @param {Object} data - Datos del incidente
    * @param {Object} [options={}] - Opciones adicionales
-   * @returns {Promise<Object>} Incidente creado
+   * @returns {Promise<Object>} Incidente creado (rechaza con ValidationError si los datos no son válidos)
    */
   async createIncident(data, options = {}) {
-    return this.post('incidents', data, options);
+    this._assertValidIncident(data, false);
+    
+    return this.post('incidents', data, {
+      ...options,
+      invalidates: ['incidents'],
+      schema: 'incident'
+    });
+  }
+  
+  /**
+   * Actualiza un incidente
+   * Envía solo los campos modificados (la API aplica un PUT parcial) tras
+   * validarlos con las mismas reglas que la creación.
+   * @param {number|string} id - ID del incidente
+   * @param {Object} changes - Campos modificados (reporter, description, status)
+   * @param {Object} [options={}] - Opciones adicionales
+   * @returns {Promise<Object>} Incidente actualizado (rechaza con ValidationError si
+   *   no hay cambios o algún campo no es válido)
+   */
+  async updateIncident(id, changes, options = {}) {
+    if (!changes || Object.keys(changes).length === 0) {
+      throw new ValidationError('No hay cambios que guardar');
+    }
+    
+    this._assertValidIncident(changes, true);
+    
+    return this.put(`incidents/${id}`, changes, {
+      ...options,
+      invalidates: ['incidents', `incidents/${id}`],
+      schema: 'incident'
+    });
   }
   
   /**
@@ -237,7 +691,7 @@ class ApiServiceClass {
    * @returns {Promise<Object>} Incidente actualizado
    */
   async updateIncidentStatus(id, status, options = {}) {
-    return this.put(`incidents/${id}`, { status }, options);
+    return this.updateIncident(id, { status }, options);
   }
   
   /**
@@ -247,6 +701,133 @@ class ApiServiceClass {
    * @returns {Promise<Object>} Resultado de la eliminación
    */
   async deleteIncident(id, options = {}) {
-    return this.delete(`incidents/${id}`, options);
+    return this.delete(`incidents/${id}`, {
+      ...options,
+      invalidates: ['incidents', `incidents/${id}`]
+    });
+  }
+  
+  // Operaciones masivas sobre incidentes
+  
+  /**
+   * Cambia el estado de varios incidentes
+   * Usa el endpoint por lotes (CONFIG.BULK.BATCH_ENDPOINT) y, si la API no lo
+   * tiene, hace una petición por incidente con un máximo de CONFIG.BULK.CONCURRENCY
+   * a la vez. Un fallo de un incidente no detiene al resto.
+   * @param {Array<number|string>} ids - IDs de los incidentes
+   * @param {string} status - Nuevo estado
+   * @param {Object} [options={}] - Opciones adicionales de las peticiones
+   * @returns {Promise<Object>} Resultado por incidente
+   *   ({ results: [{ id, success, data, status, error }], succeeded, failed, batched })
+   */
+  async bulkUpdateStatus(ids, status, options = {}) {
+    return this._runBulk(
+      { action: 'updateStatus', ids, status },
+      (id) => this.updateIncidentStatus(id, status, options),
+      options
+    );
+  }
+  
+  /**
+   * Elimina varios incidentes
+   * Igual que bulkUpdateStatus: endpoint por lotes o peticiones individuales limitadas.
+   * @param {Array<number|string>} ids - IDs de los incidentes
+   * @param {Object} [options={}] - Opciones adicionales de las peticiones
+   * @returns {Promise<Object>} Resultado por incidente (ver bulkUpdateStatus)
+   */
+  async bulkDelete(ids, options = {}) {
+    return this._runBulk(
+      { action: 'delete', ids },
+      (id) => this.deleteIncident(id, options),
+      options
+    );
+  }
+  
+  /**
+   * Ejecuta una operación masiva por lotes o, sin endpoint por lotes, incidente a incidente
+   * @param {Object} operation - Cuerpo de la petición por lotes ({ action, ids, ... })
+   * @param {Function} callItem - Petición individual: (id) => Promise
+   * @param {Object} options - Opciones adicionales de las peticiones
+   * @returns {Promise<Object>} Resultado por incidente
+   * @private
+   */
+  async _runBulk(operation, callItem, options) {
+    const { ids } = operation;
+    let results = null;
+    
+    if (this.batchSupported !== false) {
+      try {
+        // Sin aviso global: si el endpoint no existe se recurre a peticiones individuales
+        const response = await this.post(CONFIG.BULK.BATCH_ENDPOINT, operation, {
+          ...options,
+          silent: true,
+          invalidates: ['incidents', ...ids.map(id => `incidents/${id}`)]
+        });
+        
+        this.batchSupported = true;
+        results = ids.map((id) => {
+          const item = (response?.results || []).find(result => String(result.id) === String(id));
+          
+          return item
+            ? { id, success: Boolean(item.success), data: item.data, status: item.status, error: item.error }
+            : { id, success: false, error: 'El servidor no informó del resultado' };
+        });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        
+        if (BATCH_UNSUPPORTED_STATUSES.includes(error.status)) {
+          // Recordarlo para no volver a intentarlo en esta sesión
+          this.batchSupported = false;
+          console.warn('⚠️ La API no tiene endpoint por lotes: se usarán peticiones individuales');
+        } else {
+          // El lote falló entero (5xx, red...): cada incidente se informa como fallido
+          results = ids.map(id => ({ id, success: false, status: error.status, error: error.message }));
+        }
+      }
+    }
+    
+    const batched = Boolean(results);
+    if (!results) {
+      results = await this._runThrottled(ids, callItem);
+    }
+    
+    const succeeded = results.filter(result => result.success).length;
+    return { results, succeeded, failed: results.length - succeeded, batched };
   }
-}
\ No newline at end of file
+  
+  /**
+   * Ejecuta una petición por ID con un máximo de CONFIG.BULK.CONCURRENCY a la vez
+   * @param {Array<number|string>} ids - IDs de los incidentes
+   * @param {Function} callItem - Petición individual: (id) => Promise
+   * @returns {Promise<Object[]>} Resultado por incidente, en el orden de `ids`
+   * @private
+   */
+  async _runThrottled(ids, callItem) {
+    const results = new Array(ids.length);
+    let next = 0;
+    
+    const runNext = async () => {
+      while (next < ids.length) {
+        const index = next++;
+        const id = ids[index];
+        
+        try {
+          results[index] = { id, success: true, data: await callItem(id) };
+        } catch (error) {
+          // Cancelar la operación detiene también las peticiones restantes
+          if (isAbortError(error)) throw error;
+          
+          results[index] = { id, success: false, status: error.status, error: error.message };
+        }
+      }
+    };
+    
+    const slots = Math.min(CONFIG.BULK.CONCURRENCY, ids.length);
+    await Promise.all(Array.from({ length: slots }, runNext));
+    
+    return results;
+  }
+}
+
+// Exportar instancia singleton
+export const ApiService = new ApiServiceClass();
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Servicio de autenticación
+ * Guarda la sesión (access y refresh token), la entrega al API Worker para que
+ * firme las peticiones y la renueva cuando la API responde 401.
+ */
+
+import { CONFIG } from "../../config.js";
+import { ApiService } from "./api.service.js";
+import { sendToWorker } from "../workers/worker-bridge.js";
+import { store, actions } from "../store/store.js";
+import { getRouter } from "../../router.js";
+
+/**
+ * Servicio de autenticación - Singleton
+ */
+class AuthServiceClass {
+  constructor() {
+    this.initialized = false;
+    // Sesión actual: { accessToken, refreshToken, user } o null
+    this.session = null;
+    // Renovación en curso, compartida por todas las peticiones que reciben 401
+    this.refreshPromise = null;
+    // Cierre por sesión caducada, compartido del mismo modo hasta la próxima sesión
+    this.expirePromise = null;
+    // Ruta a la que volver tras iniciar sesión
+    this.redirectPath = null;
+  }
+
+  /**
+   * Inicializa el servicio: recupera la sesión guardada y registra el
+   * interceptor que renueva el token ante un 401
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.initialized) return;
+
+    this.session = this._loadSession();
+    await this._applySession();
+
+    ApiService.useError((error, context) => this._handleUnauthorized(error, context));
+
+    // Otra pestaña inició, renovó o cerró la sesión
+    window.addEventListener("storage", (event) => {
+      if (event.key === CONFIG.AUTH.STORAGE_KEY) this._syncSession();
+    });
+
+    this.initialized = true;
+    console.log("✅ Auth Service inicializado");
+  }
+
+  /**
+   * Indica si hay una sesión iniciada
+   * @returns {boolean} True si hay sesión
+   */
+  isAuthenticated() {
+    return Boolean(this.session);
+  }
+
+  /**
+   * Obtiene el usuario de la sesión actual
+   * @returns {Object|null} Usuario o null
+   */
+  getUser() {
+    return this.session ? this.session.user : null;
+  }
+
+  /**
+   * Inicia sesión con usuario y contraseña
+   * @param {string} username - Usuario
+   * @param {string} password - Contraseña
+   * @returns {Promise<Object>} Usuario autenticado
+   */
+  async login(username, password) {
+    const response = await ApiService.post(
+      CONFIG.AUTH.LOGIN_ENDPOINT,
+      { username, password },
+      // Sin aviso global: la página de login muestra el error junto al formulario
+      { skipAuthRefresh: true, auth: false, silent: true }
+    );
+
+    await this._setSession({
+      accessToken: response.accessToken,
+      refreshToken: response.refreshToken,
+      user: response.user,
+    });
+
+    return response.user;
+  }
+
+  /**
+   * Cierra la sesión
+   * @param {Object} [options={}] - Opciones
+   * @param {boolean} [options.redirect=true] - Navegar a la página de login
+   * @returns {Promise<void>}
+   */
+  async logout(options = {}) {
+    const { redirect = true } = options;
+
+    await this._setSession(null);
+
+    // Los datos cacheados pertenecen al usuario anterior
+    await ApiService.purgeCache();
+
+    if (redirect) {
+      this.redirectToLogin();
+    }
+  }
+
+  /**
+   * Navega a la página de login recordando la ruta actual
+   */
+  redirectToLogin() {
+    const currentPath = window.location.pathname;
+
+    if (currentPath !== CONFIG.ROUTES.LOGIN) {
+      this.redirectPath = currentPath;
+      getRouter().navigate(CONFIG.ROUTES.LOGIN);
+    }
+  }
+
+  /**
+   * Obtiene (y olvida) la ruta a la que volver tras iniciar sesión
+   * @returns {string} Ruta de destino
+   */
+  consumeRedirectPath() {
+    const path = this.redirectPath || CONFIG.ROUTES.HOME;
+    this.redirectPath = null;
+    return path;
+  }
+
+  /**
+   * Renueva el access token con el refresh token
+   * Las llamadas concurrentes comparten la misma renovación.
+   * @returns {Promise<boolean>} True si se renovó la sesión
+   */
+  refresh() {
+    if (!this.session || !this.session.refreshToken) {
+      return Promise.resolve(false);
+    }
+
+    if (!this.refreshPromise) {
+      const { refreshToken } = this.session;
+
+      this.refreshPromise = ApiService.post(
+        CONFIG.AUTH.REFRESH_ENDPOINT,
+        { refreshToken },
+        { skipAuthRefresh: true, auth: false, showLoader: false }
+      )
+        .then(async (response) => {
+          await this._setSession({
+            accessToken: response.accessToken,
+            refreshToken: response.refreshToken || this.session.refreshToken,
+            user: response.user || this.session.user,
+          });
+          return true;
+        })
+        .catch(async (error) => {
+          // Otra pestaña pudo rotar el refresh token antes: usar su sesión
+          const stored = this._loadSession();
+          if (stored && stored.refreshToken !== refreshToken) {
+            await this._adoptSession(stored);
+            return true;
+          }
+
+          console.warn("⚠️ No se pudo renovar la sesión:", error.message);
+          return false;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Interceptor de error: ante un 401 renueva el token y reintenta una vez
+   * Si no se puede renovar, cierra la sesión y lleva al login.
+   * @param {Object} error - Error estandarizado
+   * @param {Object} context - Contexto de la petición
+   * @returns {Promise<any>} Resultado del reintento o undefined para seguir con el error
+   * @private
+   */
+  async _handleUnauthorized(error, context) {
+    if (error.status !== 401 || context.options.skipAuthRefresh) return undefined;
+
+    const hadSession = this.isAuthenticated();
+    const refreshed = await this.refresh();
+
+    if (!refreshed) {
+      await this._expireSession(hadSession);
+      return undefined;
+    }
+
+    // Reintentar una sola vez con el token renovado
+    return context.retry({ skipAuthRefresh: true });
+  }
+
+  /**
+   * Cierra la sesión que no se pudo renovar y avisa al usuario
+   * Las peticiones que reciben 401 hasta que se inicia otra sesión comparten el
+   * cierre y el aviso.
+   * @param {boolean} hadSession - Había una sesión iniciada
+   * @returns {Promise<void>}
+   * @private
+   */
+  _expireSession(hadSession) {
+    if (!this.expirePromise) {
+      this.expirePromise = this.logout()
+        .then(() => {
+          store.dispatch(
+            actions.showWarningNotification(
+              hadSession
+                ? "Tu sesión expiró, inicia sesión de nuevo"
+                : "Inicia sesión para continuar"
+            )
+          );
+        });
+    }
+
+    return this.expirePromise;
+  }
+
+  /**
+   * Adopta la sesión guardada por otra pestaña
+   * Si la otra pestaña la cerró, se cierra también aquí (y se lleva al login).
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncSession() {
+    const stored = this._loadSession();
+
+    if (this.isAuthenticated() && !stored) {
+      await this.logout();
+      return;
+    }
+
+    await this._adoptSession(stored);
+  }
+
+  /**
+   * Usa una sesión ya persistida sin volver a guardarla
+   * @param {Object|null} session - Sesión
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _adoptSession(session) {
+    this.session = session;
+    await this._applySession();
+  }
+
+  /**
+   * Guarda la sesión, la persiste y la entrega al worker
+   * @param {Object|null} session - Nueva sesión
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setSession(session) {
+    this.session = session;
+
+    try {
+      if (session) {
+        localStorage.setItem(CONFIG.AUTH.STORAGE_KEY, JSON.stringify(session));
+      } else {
+        localStorage.removeItem(CONFIG.AUTH.STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn("⚠️ No se pudo guardar la sesión:", error);
+    }
+
+    await this._applySession();
+  }
+
+  /**
+   * Envía el access token al worker y actualiza el usuario en el store
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applySession() {
+    // Una sesión nueva puede volver a caducar
+    if (this.session) this.expirePromise = null;
+
+    await sendToWorker("api", "configure", {
+      auth: this.session ? { accessToken: this.session.accessToken } : null,
+    });
+
+    store.dispatch(actions.setAuthUser(this.getUser()));
+  }
+
+  /**
+   * Recupera la sesión guardada
+   * @returns {Object|null} Sesión o null
+   * @private
+   */
+  _loadSession() {
+    try {
+      return JSON.parse(localStorage.getItem(CONFIG.AUTH.STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Exportar instancia singleton
+export const AuthService = new AuthServiceClass();
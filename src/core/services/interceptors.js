@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Interceptores incluidos para ApiService
+ * Se registran en ApiService.init(); cualquier módulo puede añadir los suyos
+ * con ApiService.useRequest / useResponse / useError.
+ */
+
+import { CONFIG } from '../../config.js';
+
+// Contador para IDs de petición cuando no hay crypto.randomUUID
+let requestIdCounter = 0;
+
+/**
+ * Genera un ID de correlación único
+ * @returns {string} ID de petición
+ */
+function generateRequestId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  
+  return `req_${Date.now()}_${requestIdCounter++}`;
+}
+
+/**
+ * Añade la cabecera X-Request-ID para correlacionar la petición con los logs del servidor
+ * Respeta un ID que ya venga en las cabeceras.
+ * @param {Object} config - Configuración de la petición
+ * @returns {Object} Configuración con la cabecera
+ */
+export function requestIdInterceptor(config) {
+  if (config.headers['X-Request-ID']) return config;
+  
+  return {
+    ...config,
+    headers: { ...config.headers, 'X-Request-ID': generateRequestId() }
+  };
+}
+
+/**
+ * Añade la cabecera X-Client-Version con la versión de la aplicación
+ * @param {Object} config - Configuración de la petición
+ * @returns {Object} Configuración con la cabecera
+ */
+export function clientVersionInterceptor(config) {
+  return {
+    ...config,
+    headers: { ...config.headers, 'X-Client-Version': CONFIG.APP_VERSION }
+  };
+}
@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Cola de cambios offline (outbox)
+ * Cuando la API no es alcanzable, las mutaciones de incidentes se guardan en una
+ * cola persistente, se aplican de forma optimista en el store y se reenvían en
+ * orden cuando vuelve la conexión.
+ *
+ * Con la opción `optimistic`, el cambio se aplica en el store antes de llamar a
+ * la API (sin loader global) y se revierte si la llamada falla.
+ */
+
+import { CONFIG } from "../../config.js";
+import { ApiService } from "./api.service.js";
+import { store, actions, syncOutboxFromStorage } from "../store/store.js";
+
+// Códigos de estado que indican que el servidor cambió el recurso en paralelo
+const CONFLICT_STATUSES = [404, 409, 412];
+
+// Web Lock que reserva el reenvío de la cola a una sola pestaña
+const REPLAY_LOCK = "outbox-replay";
+
+/**
+ * Servicio de cola offline - Singleton
+ */
+class OutboxServiceClass {
+  constructor() {
+    this.initialized = false;
+    this.replaying = false;
+    this.counter = 0;
+    // Distingue los IDs generados en esta pestaña de los de las demás
+    this.tabKey = Math.random().toString(36).slice(2, 6);
+  }
+
+  /**
+   * Inicializa el servicio y reenvía la cola si hay conexión
+   */
+  init() {
+    if (this.initialized) return;
+
+    window.addEventListener("online", () => {
+      store.dispatch(actions.setOnline(true));
+      this.replay();
+    });
+
+    window.addEventListener("offline", () => {
+      store.dispatch(actions.setOnline(false));
+    });
+
+    this.initialized = true;
+    console.log("✅ Outbox Service inicializado");
+
+    // Sincronizar lo que quedó pendiente de una sesión anterior
+    if (navigator.onLine && this.getPendingItems().length > 0) {
+      this.replay();
+    }
+  }
+
+  /**
+   * Obtiene los elementos pendientes de sincronizar
+   * @returns {Array} Elementos de la cola
+   */
+  getPendingItems() {
+    return store.getState().outbox;
+  }
+
+  /**
+   * Indica si un error se debe a que la API no es alcanzable
+   * Un timeout no cuenta: la petición pudo aplicarse y encolarla la duplicaría.
+   * @param {Object} error - Error de ApiService
+   * @returns {boolean} True si es un error de red
+   * @private
+   */
+  _isNetworkError(error) {
+    return Boolean(error) && error.status === "NETWORK_ERROR";
+  }
+
+  /**
+   * Indica si un ID corresponde a un incidente creado offline
+   * @param {number|string} id - ID del incidente
+   * @returns {boolean} True si es un ID temporal
+   * @private
+   */
+  _isTemporaryId(id) {
+    return String(id).startsWith("tmp_");
+  }
+
+  /**
+   * Genera un ID único para elementos de la cola
+   * @param {string} prefix - Prefijo del ID
+   * @returns {string} ID único
+   * @private
+   */
+  _generateId(prefix) {
+    return `${prefix}_${Date.now()}_${this.tabKey}${this.counter++}`;
+  }
+
+  /**
+   * Agrega un elemento a la cola (y lo aplica de forma optimista en el store)
+   * @param {Object} item - Datos del elemento
+   * @returns {Object} Elemento encolado
+   * @private
+   */
+  _enqueue(item) {
+    const queued = {
+      id: this._generateId("outbox"),
+      createdAt: Date.now(),
+      ...item,
+    };
+
+    store.dispatch(actions.enqueueOutboxItem(queued));
+    return queued;
+  }
+
+  /**
+   * Ejecuta una mutación online o la encola si no hay conexión
+   * @param {Function} call - Llamada a la API
+   * @param {Function} buildItem - Construye el elemento de cola
+   * @returns {Promise<{data: any, queued: boolean}>} Resultado de la operación
+   * @private
+   */
+  async _execute(call, buildItem) {
+    if (navigator.onLine) {
+      try {
+        return { data: await call(), queued: false };
+      } catch (error) {
+        if (!this._isNetworkError(error)) throw error;
+      }
+    }
+
+    const item = this._enqueue(buildItem());
+    return { data: item.optimistic || null, queued: true };
+  }
+
+  /**
+   * Ejecuta una mutación aplicándola antes en el store
+   * Si termina bien (o queda encolada) se confirma; si falla se revierte y el
+   * error se propaga para que la vista lo notifique.
+   * @param {Object} change - Cambio ({ type: "update"|"delete", incidentId, changes })
+   * @param {Function} execute - Ejecuta la mutación
+   * @returns {Promise<{data: any, queued: boolean}>} Resultado de la mutación
+   * @private
+   */
+  async _executeOptimistic(change, execute) {
+    const operationId = this._generateId("op");
+    store.dispatch(actions.applyOptimistic({ id: operationId, ...change }));
+
+    try {
+      const result = await execute();
+      store.dispatch(actions.commitOptimistic(operationId));
+      return result;
+    } catch (error) {
+      store.dispatch(actions.rollbackOptimistic(operationId));
+      throw error;
+    }
+  }
+
+  /**
+   * Crea un incidente (o lo encola si no hay conexión)
+   * @param {Object} data - Datos del incidente
+   * @returns {Promise<{data: Object, queued: boolean}>} Incidente creado u optimista
+   */
+  async createIncident(data) {
+    return this._execute(
+      () => ApiService.createIncident(data),
+      () => {
+        const incidentId = this._generateId("tmp");
+
+        return {
+          type: "create",
+          incidentId,
+          payload: data,
+          optimistic: {
+            ...data,
+            id: incidentId,
+            status: CONFIG.INCIDENT_STATUS.PENDING,
+            created_at: new Date().toISOString(),
+          },
+        };
+      }
+    );
+  }
+
+  /**
+   * Actualiza los campos modificados de un incidente (o lo encola si no hay conexión)
+   * @param {number|string} id - ID del incidente
+   * @param {Object} changes - Campos modificados
+   * @returns {Promise<{data: Object, queued: boolean}>} Incidente actualizado u optimista
+   */
+  async updateIncident(id, changes) {
+    return this._execute(
+      () => ApiService.updateIncident(id, changes),
+      () => ({
+        type: "update",
+        incidentId: id,
+        payload: changes,
+        optimistic: { id, ...changes },
+      })
+    );
+  }
+
+  /**
+   * Actualiza el estado de un incidente (o lo encola si no hay conexión)
+   * @param {number|string} id - ID del incidente
+   * @param {string} status - Nuevo estado
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.optimistic=false] - Aplicar el cambio antes de que responda la API
+   * @returns {Promise<{data: Object, queued: boolean}>} Incidente actualizado u optimista
+   */
+  async updateIncidentStatus(id, status, { optimistic = false } = {}) {
+    const execute = () =>
+      this._execute(
+        () =>
+          ApiService.updateIncidentStatus(id, status, {
+            showLoader: !optimistic,
+          }),
+        () => ({
+          type: "updateStatus",
+          incidentId: id,
+          payload: { status },
+          optimistic: { id, status },
+        })
+      );
+
+    if (!optimistic) return execute();
+
+    return this._executeOptimistic(
+      { type: "update", incidentId: id, changes: { status } },
+      execute
+    );
+  }
+
+  /**
+   * Elimina un incidente (o lo encola si no hay conexión)
+   * @param {number|string} id - ID del incidente
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.optimistic=false] - Quitarlo del store antes de que responda la API
+   * @returns {Promise<{data: any, queued: boolean}>} Resultado de la eliminación
+   */
+  async deleteIncident(id, { optimistic = false } = {}) {
+    // Un incidente creado offline se descarta localmente sin tocar la API
+    if (this._isTemporaryId(id)) {
+      store.dispatch(actions.discardOutboxIncident(id));
+      store.dispatch(actions.deleteIncident(id));
+      return { data: null, queued: false };
+    }
+
+    // La copia para reenviar se toma antes de quitarlo de forma optimista
+    const snapshot = store
+      .getState()
+      .incidents.find((incident) => String(incident.id) === String(id));
+
+    const execute = () =>
+      this._execute(
+        () => ApiService.deleteIncident(id, { showLoader: !optimistic }),
+        () => ({ type: "delete", incidentId: id, snapshot })
+      );
+
+    if (!optimistic) return execute();
+
+    return this._executeOptimistic(
+      { type: "delete", incidentId: id },
+      execute
+    );
+  }
+
+  /**
+   * Envía un elemento de la cola a la API
+   * @param {Object} item - Elemento de la cola
+   * @param {Map} idMap - IDs temporales ya resueltos durante este reenvío
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sync(item, idMap) {
+    const incidentId = idMap.get(item.incidentId) || item.incidentId;
+    const options = { showLoader: false };
+
+    switch (item.type) {
+      case "create": {
+        const created = await ApiService.createIncident(item.payload, options);
+
+        // Sustituir el incidente temporal por el real y actualizar referencias
+        idMap.set(item.incidentId, created.id);
+        store.dispatch(
+          actions.remapOutboxIncidentId({ from: item.incidentId, to: created.id })
+        );
+        store.dispatch(actions.deleteIncident(item.incidentId));
+        store.dispatch(actions.addIncident(created));
+        break;
+      }
+
+      case "update":
+      case "updateStatus": {
+        const updated = await ApiService.updateIncident(
+          incidentId,
+          item.payload,
+          options
+        );
+        store.dispatch(
+          actions.updateIncident({ ...updated, _pendingSync: false })
+        );
+        break;
+      }
+
+      case "delete":
+        try {
+          await ApiService.deleteIncident(incidentId, options);
+        } catch (error) {
+          // Ya no existe en el servidor: el resultado es el esperado
+          if (error.status !== 404) throw error;
+        }
+        break;
+    }
+  }
+
+  /**
+   * Resuelve un conflicto dejando ganar la versión del servidor
+   * @param {number|string} incidentId - ID real del incidente
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resolveConflict(incidentId) {
+    try {
+      const incident = await ApiService.getIncidentById(incidentId, {
+        useCache: false,
+        showLoader: false,
+      });
+      store.dispatch(
+        actions.updateIncident({ ...incident, _pendingSync: false })
+      );
+    } catch (error) {
+      if (error.status === 404) {
+        store.dispatch(actions.deleteIncident(incidentId));
+      }
+    }
+  }
+
+  /**
+   * Revierte el cambio optimista de un elemento rechazado por el servidor
+   * @param {Object} item - Elemento rechazado
+   * @private
+   */
+  _revert(item) {
+    switch (item.type) {
+      case "create":
+        store.dispatch(actions.deleteIncident(item.incidentId));
+        break;
+
+      case "update":
+      case "updateStatus":
+        // Recuperar el estado real desde el servidor
+        this._resolveConflict(item.incidentId);
+        break;
+
+      case "delete":
+        if (item.snapshot) {
+          store.dispatch(actions.addIncident(item.snapshot));
+        }
+        break;
+    }
+  }
+
+  /**
+   * Reenvía en orden los cambios pendientes
+   * Todas las pestañas comparten la cola y reciben el evento "online": solo la
+   * que obtiene el Web Lock la reenvía, así cada cambio se envía una vez.
+   * @returns {Promise<void>}
+   */
+  async replay() {
+    if (this.replaying || !navigator.onLine) return;
+
+    if (!navigator.locks) {
+      await this._replay();
+      return;
+    }
+
+    await navigator.locks.request(
+      REPLAY_LOCK,
+      { ifAvailable: true },
+      async (lock) => {
+        // Otra pestaña ya la está reenviando
+        if (lock) await this._replay();
+      }
+    );
+  }
+
+  /**
+   * Reenvía en orden la cola guardada
+   * Se detiene en el primer error de red; los conflictos y rechazos se
+   * notifican por elemento y se retiran de la cola.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _replay() {
+    // Releer la cola compartida: incluye lo encolado en otras pestañas y no lo
+    // que otra ya reenvió
+    const items = syncOutboxFromStorage();
+    if (!items.length) return;
+
+    this.replaying = true;
+    store.dispatch(actions.setOutboxSyncing(true));
+
+    const idMap = new Map();
+    let synced = 0;
+
+    try {
+      for (const item of items) {
+        const incidentId = idMap.get(item.incidentId) || item.incidentId;
+
+        try {
+          await this._sync(item, idMap);
+          synced++;
+        } catch (error) {
+          // Sin conexión de nuevo: conservar el resto de la cola
+          if (this._isNetworkError(error)) break;
+
+          if (CONFLICT_STATUSES.includes(error.status)) {
+            await this._resolveConflict(incidentId);
+            store.dispatch(
+              actions.showWarningNotification(
+                `Conflicto al sincronizar el incidente #${incidentId}: se conservó la versión del servidor`
+              )
+            );
+          } else {
+            this._revert(item);
+            store.dispatch(
+              actions.showErrorNotification(
+                `No se pudo sincronizar el incidente #${incidentId}: ${
+                  error.message || "error desconocido"
+                }`
+              )
+            );
+          }
+        }
+
+        store.dispatch(actions.dequeueOutboxItem(item.id));
+      }
+    } finally {
+      this.replaying = false;
+      store.dispatch(actions.setOutboxSyncing(false));
+    }
+
+    if (synced > 0) {
+      store.dispatch(
+        actions.showSuccessNotification(
+          `${synced} cambio(s) sin conexión sincronizados`
+        )
+      );
+    }
+  }
+}
+
+// Exportar instancia singleton
+export const OutboxService = new OutboxServiceClass();
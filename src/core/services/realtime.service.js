@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Servicio de actualizaciones en tiempo real
+ * El API Worker mantiene la conexión (SSE o WebSocket) y reenvía cada evento de
+ * incidente ya validado; este servicio lo aplica en el store y lo anuncia con el
+ * evento de ventana "realtime:incident" para que la UI resalte el cambio.
+ */
+
+import { CONFIG, apiUrl } from "../../config.js";
+import { sendToWorker, onWorkerMessage } from "../workers/worker-bridge.js";
+import { store, actions } from "../store/store.js";
+
+/**
+ * Servicio de tiempo real - Singleton
+ */
+class RealtimeServiceClass {
+  constructor() {
+    this.initialized = false;
+  }
+
+  /**
+   * Inicializa el servicio y abre el canal si está habilitado
+   * Un fallo al abrirlo no impide arrancar: la lista sigue funcionando sin él.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.initialized) return;
+
+    onWorkerMessage("api", "realtime-event", (message) => {
+      this._applyEvent(message);
+    });
+
+    onWorkerMessage("api", "realtime-status", ({ status }) => {
+      store.dispatch(actions.setRealtimeStatus(status));
+    });
+
+    this.initialized = true;
+    console.log("✅ Realtime Service inicializado");
+
+    if (CONFIG.REALTIME.ENABLED) {
+      try {
+        await this.connect();
+      } catch (error) {
+        console.warn("⚠️ No se pudo abrir el canal de tiempo real:", error);
+      }
+    }
+  }
+
+  /**
+   * Abre el canal de tiempo real
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    const { TRANSPORT, ENDPOINT, RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY } =
+      CONFIG.REALTIME;
+
+    const { realtime } = await sendToWorker("api", "configure", {
+      realtime: {
+        enabled: true,
+        url: apiUrl(ENDPOINT),
+        transport: TRANSPORT,
+        reconnectBaseDelay: RECONNECT_BASE_DELAY,
+        reconnectMaxDelay: RECONNECT_MAX_DELAY,
+      },
+    });
+
+    store.dispatch(actions.setRealtimeStatus(realtime));
+  }
+
+  /**
+   * Cierra el canal de tiempo real
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await sendToWorker("api", "configure", { realtime: { enabled: false } });
+    store.dispatch(actions.setRealtimeStatus("closed"));
+  }
+
+  /**
+   * Aplica en el store un evento recibido
+   * Los incidentes modificados que no están cargados (ej: de otra página) se
+   * ignoran; los nuevos se añaden aunque la respuesta del POST llegue después.
+   * @param {Object} message - Evento ({ event, id, incident })
+   * @private
+   */
+  _applyEvent({ event, id, incident }) {
+    const existing = store
+      .getState()
+      .incidents.find((item) => String(item.id) === String(id));
+
+    let action;
+
+    switch (event) {
+      case "incident.created":
+        action = existing
+          ? actions.updateIncident({ ...incident, id: existing.id })
+          : actions.addIncident(incident);
+        break;
+
+      case "incident.updated":
+        if (existing) {
+          action = actions.updateIncident({ ...incident, id: existing.id });
+        } else {
+          // Puede ser el incidente abierto en el detalle
+          const current = store.getState().currentIncident;
+          if (current && String(current.id) === String(id)) {
+            action = actions.updateIncident({ ...incident, id: current.id });
+          }
+        }
+        break;
+
+      case "incident.deleted":
+        action = actions.deleteIncident(existing ? existing.id : id);
+        break;
+
+      default:
+        return;
+    }
+
+    // Cada pestaña recibe sus propios eventos: no se difunden a las demás
+    if (action) {
+      store.dispatch({ ...action, _fromServer: true });
+    }
+
+    window.dispatchEvent(
+      new CustomEvent("realtime:incident", { detail: { event, id, incident } })
+    );
+  }
+}
+
+// Exportar instancia singleton
+export const RealtimeService = new RealtimeServiceClass();
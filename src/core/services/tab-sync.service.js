@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Sincronización entre pestañas
+ * Difunde por BroadcastChannel las acciones del store que deben verse en todas
+ * las pestañas abiertas (cambios de incidentes y preferencias de UI) y aplica
+ * las que llegan de las demás, invalidando también el caché del worker propio.
+ *
+ * Las acciones recibidas se marcan como remotas para no reenviarlas (evita
+ * bucles). Tampoco se difunden las que traen datos del servidor (`_fromServer`:
+ * tiempo real, refrescos periódicos), porque cada pestaña recibe los suyos. Si una pestaña pudo perder mensajes (hueco en la numeración,
+ * restaurada desde la caché de navegación o reanudada tras congelarse), se
+ * resincroniza: vacía el caché de incidentes y emite "tab-sync:resync" para
+ * que las vistas vuelvan a pedir sus datos.
+ */
+
+import { CONFIG } from "../../config.js";
+import { ApiService } from "./api.service.js";
+import { store, actions } from "../store/store.js";
+import { ACTION_TYPES } from "../store/actions.js";
+
+// Acciones que se difunden a las demás pestañas
+const SYNCED_ACTIONS = [
+  ACTION_TYPES.INCIDENTS.ADD_INCIDENT,
+  ACTION_TYPES.INCIDENTS.UPDATE_INCIDENT,
+  ACTION_TYPES.INCIDENTS.DELETE_INCIDENT,
+  ACTION_TYPES.UI.SET_DARK_MODE,
+];
+
+/**
+ * Obtiene las etiquetas de caché afectadas por una acción de incidentes
+ * @param {Object} action - Acción recibida
+ * @returns {string[]} Etiquetas a invalidar (vacío si no afecta al caché)
+ */
+function getAffectedTags(action) {
+  switch (action.type) {
+    case ACTION_TYPES.INCIDENTS.ADD_INCIDENT:
+      return ["incidents"];
+
+    case ACTION_TYPES.INCIDENTS.UPDATE_INCIDENT:
+      return ["incidents", `incidents/${action.payload.id}`];
+
+    case ACTION_TYPES.INCIDENTS.DELETE_INCIDENT:
+      return ["incidents", `incidents/${action.payload}`];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Servicio de sincronización entre pestañas - Singleton
+ */
+class TabSyncServiceClass {
+  constructor() {
+    this.initialized = false;
+    this.channel = null;
+    // Identificador de esta pestaña y número del último mensaje enviado
+    this.tabId = `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    this.sequence = 0;
+    // Último número recibido de cada pestaña
+    this.lastSeen = new Map();
+  }
+
+  /**
+   * Inicializa el servicio
+   */
+  init() {
+    if (this.initialized || !CONFIG.TAB_SYNC.ENABLED) return;
+
+    if (typeof BroadcastChannel === "undefined") {
+      console.warn(
+        "⚠️ BroadcastChannel no está disponible: las pestañas no se sincronizarán"
+      );
+      return;
+    }
+
+    this.channel = new BroadcastChannel(CONFIG.TAB_SYNC.CHANNEL);
+    this.channel.addEventListener("message", (event) => {
+      this._handleMessage(event.data);
+    });
+
+    // Difundir las acciones locales antes de que se apliquen
+    store.applyMiddleware(() => (action) => {
+      this._broadcast(action);
+    });
+
+    // Restaurada desde la caché de navegación o reanudada tras congelarse:
+    // los mensajes de ese intervalo se perdieron
+    window.addEventListener("pageshow", (event) => {
+      if (event.persisted) this.resync("pageshow");
+    });
+    document.addEventListener("resume", () => this.resync("resume"));
+
+    this.initialized = true;
+    console.log("✅ Tab Sync Service inicializado");
+  }
+
+  /**
+   * Envía una acción a las demás pestañas si corresponde
+   * @param {Object} action - Acción despachada
+   * @private
+   */
+  _broadcast(action) {
+    if (
+      action._remote ||
+      action._fromServer ||
+      !SYNCED_ACTIONS.includes(action.type)
+    ) {
+      return;
+    }
+
+    try {
+      this.channel.postMessage({
+        source: this.tabId,
+        sequence: ++this.sequence,
+        action: { type: action.type, payload: action.payload },
+      });
+    } catch (error) {
+      console.warn("⚠️ No se pudo difundir la acción a otras pestañas:", error);
+    }
+  }
+
+  /**
+   * Aplica un mensaje recibido de otra pestaña
+   * @param {Object} message - Mensaje ({ source, sequence, action })
+   * @private
+   */
+  _handleMessage(message) {
+    if (!message || message.source === this.tabId || !message.action) return;
+
+    const { source, sequence, action } = message;
+    if (!SYNCED_ACTIONS.includes(action.type)) return;
+
+    // Un hueco en la numeración indica mensajes perdidos
+    const lastSeen = this.lastSeen.get(source);
+    this.lastSeen.set(source, sequence);
+    if (lastSeen !== undefined && sequence !== lastSeen + 1) {
+      this.resync("gap");
+    }
+
+    store.dispatch({ ...action, _remote: true });
+
+    const tags = getAffectedTags(action);
+    if (tags.length) {
+      ApiService.invalidateCache(tags).catch((error) => {
+        console.warn("⚠️ No se pudo invalidar el caché:", error);
+      });
+    }
+  }
+
+  /**
+   * Resincroniza la pestaña tras haber podido perder mensajes
+   * @param {string} reason - Motivo ("gap", "pageshow" o "resume")
+   * @returns {Promise<void>}
+   */
+  async resync(reason) {
+    console.log(`🔄 Resincronizando la pestaña (${reason})`);
+
+    // Preferencias: las guarda en localStorage la pestaña que las cambió
+    const darkMode = localStorage.getItem("darkMode") === "true";
+    if (darkMode !== store.getState().ui.darkMode) {
+      store.dispatch({ ...actions.setDarkMode(darkMode), _remote: true });
+    }
+
+    try {
+      await ApiService.invalidateCache(["incidents"]);
+    } catch (error) {
+      console.warn("⚠️ No se pudo invalidar el caché:", error);
+    }
+
+    window.dispatchEvent(
+      new CustomEvent("tab-sync:resync", { detail: { reason } })
+    );
+  }
+}
+
+// Exportar instancia singleton
+export const TabSyncService = new TabSyncServiceClass();
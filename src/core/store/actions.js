@@ -19,6 +19,9 @@ const ActionTypes = {
     SET_DARK_MODE: "ui/setDarkMode",
     TOGGLE_MENU: "ui/toggleMenu",
     SET_FILTER_STATUS: "ui/setFilterStatus",
+    SET_ONLINE: "ui/setOnline",
+    SET_API_STATUS: "ui/setApiStatus",
+    SET_REALTIME_STATUS: "ui/setRealtimeStatus",
   },
 
   // Acciones de incidentes
@@ -32,6 +35,28 @@ const ActionTypes = {
     CLEAR_CURRENT_INCIDENT: "incidents/clearCurrentIncident",
   },
 
+  // Acciones de la cola de cambios pendientes de sincronizar (modo offline)
+  OUTBOX: {
+    ENQUEUE: "outbox/enqueue",
+    DEQUEUE: "outbox/dequeue",
+    DISCARD_INCIDENT: "outbox/discardIncident",
+    REMAP_INCIDENT_ID: "outbox/remapIncidentId",
+    SET_SYNCING: "outbox/setSyncing",
+    SET_ITEMS: "outbox/setItems",
+  },
+
+  // Acciones de cambios optimistas (aplicados antes de que responda la API)
+  OPTIMISTIC: {
+    APPLY: "optimistic/apply",
+    COMMIT: "optimistic/commit",
+    ROLLBACK: "optimistic/rollback",
+  },
+
+  // Acciones de autenticación
+  AUTH: {
+    SET_USER: "auth/setUser",
+  },
+
   // Acciones de notificaciones
   NOTIFICATIONS: {
     ADD_NOTIFICATION: "notifications/addNotification",
@@ -53,6 +78,9 @@ export const actions = {
   setDarkMode: createAction(ActionTypes.UI.SET_DARK_MODE),
   toggleMenu: createAction(ActionTypes.UI.TOGGLE_MENU),
   setFilterStatus: createAction(ActionTypes.UI.SET_FILTER_STATUS),
+  setOnline: createAction(ActionTypes.UI.SET_ONLINE),
+  setApiStatus: createAction(ActionTypes.UI.SET_API_STATUS),
+  setRealtimeStatus: createAction(ActionTypes.UI.SET_REALTIME_STATUS),
 
   // Incidentes
   loadIncidents: createAction(ActionTypes.INCIDENTS.LOAD_INCIDENTS),
@@ -65,6 +93,22 @@ export const actions = {
     ActionTypes.INCIDENTS.CLEAR_CURRENT_INCIDENT
   ),
 
+  // Cola offline
+  enqueueOutboxItem: createAction(ActionTypes.OUTBOX.ENQUEUE),
+  dequeueOutboxItem: createAction(ActionTypes.OUTBOX.DEQUEUE),
+  discardOutboxIncident: createAction(ActionTypes.OUTBOX.DISCARD_INCIDENT),
+  remapOutboxIncidentId: createAction(ActionTypes.OUTBOX.REMAP_INCIDENT_ID),
+  setOutboxSyncing: createAction(ActionTypes.OUTBOX.SET_SYNCING),
+  setOutboxItems: createAction(ActionTypes.OUTBOX.SET_ITEMS),
+
+  // Cambios optimistas
+  applyOptimistic: createAction(ActionTypes.OPTIMISTIC.APPLY),
+  commitOptimistic: createAction(ActionTypes.OPTIMISTIC.COMMIT),
+  rollbackOptimistic: createAction(ActionTypes.OPTIMISTIC.ROLLBACK),
+
+  // Autenticación
+  setAuthUser: createAction(ActionTypes.AUTH.SET_USER),
+
   // Notificaciones
   addNotification: createAction(ActionTypes.NOTIFICATIONS.ADD_NOTIFICATION),
   removeNotification: createAction(
@@ -30,6 +30,131 @@ function combineReducers(reducers) {
   };
 }
 
+/**
+ * Aplica de forma optimista un cambio de la cola offline sobre la lista de incidentes
+ * @param {Array} incidents - Lista de incidentes
+ * @param {Object} item - Elemento de la cola ({ type, incidentId, optimistic })
+ * @returns {Array} Lista con el cambio aplicado
+ */
+function applyOutboxItem(incidents, item) {
+  const isTarget = (incident) =>
+    String(incident.id) === String(item.incidentId);
+
+  switch (item.type) {
+    case "create":
+      if (incidents.some(isTarget)) return incidents;
+      return [
+        ...incidents,
+        { ...item.optimistic, id: item.incidentId, _pendingSync: true },
+      ];
+
+    case "update":
+    case "updateStatus":
+      return incidents.map((incident) =>
+        isTarget(incident)
+          ? { ...incident, ...item.optimistic, _pendingSync: true }
+          : incident
+      );
+
+    case "delete":
+      return incidents.filter((incident) => !isTarget(incident));
+
+    default:
+      return incidents;
+  }
+}
+
+/**
+ * Aplica un cambio optimista sobre la lista de incidentes
+ * @param {Array} incidents - Lista de incidentes
+ * @param {Object} operation - Operación ({ type, incidentId, changes })
+ * @returns {Array} Lista con el cambio aplicado
+ */
+function applyOptimisticOperation(incidents, operation) {
+  const isTarget = (incident) =>
+    String(incident.id) === String(operation.incidentId);
+
+  switch (operation.type) {
+    case "update":
+      return incidents.map((incident) =>
+        isTarget(incident)
+          ? { ...incident, ...operation.changes, _saving: true }
+          : incident
+      );
+
+    case "delete":
+      return incidents.filter((incident) => !isTarget(incident));
+
+    default:
+      return incidents;
+  }
+}
+
+/**
+ * Deshace un cambio optimista con la copia guardada al aplicarlo
+ * @param {Array} incidents - Lista de incidentes
+ * @param {Object} operation - Operación ({ type, incidentId, changes, snapshot, index })
+ * @param {boolean} saving - Si el incidente sigue con otras operaciones en curso
+ * @returns {Array} Lista con el cambio deshecho
+ */
+function revertOptimisticOperation(incidents, operation, saving) {
+  const { snapshot } = operation;
+  const isTarget = (incident) =>
+    String(incident.id) === String(operation.incidentId);
+
+  if (!snapshot) return incidents;
+
+  switch (operation.type) {
+    case "update": {
+      // Solo se restauran los campos que cambió la operación
+      const restored = {};
+      Object.keys(operation.changes).forEach((key) => {
+        restored[key] = snapshot[key];
+      });
+
+      return incidents.map((incident) =>
+        isTarget(incident)
+          ? { ...incident, ...restored, _saving: saving }
+          : incident
+      );
+    }
+
+    case "delete": {
+      if (incidents.some(isTarget)) return incidents;
+
+      // Volver a su posición original
+      const index =
+        operation.index < 0
+          ? incidents.length
+          : Math.min(operation.index, incidents.length);
+      return [
+        ...incidents.slice(0, index),
+        snapshot,
+        ...incidents.slice(index),
+      ];
+    }
+
+    default:
+      return incidents;
+  }
+}
+
+/**
+ * Indica si un incidente tiene otras operaciones optimistas en curso
+ * @param {Object} optimistic - Operaciones en curso por ID
+ * @param {string} operationId - Operación que termina
+ * @returns {boolean} True si quedan otras operaciones sobre el mismo incidente
+ */
+function hasOtherOptimistic(optimistic, operationId) {
+  const operation = optimistic[operationId];
+
+  return Object.entries(optimistic).some(
+    ([id, other]) =>
+      id !== operationId &&
+      String(other.incidentId) === String(operation.incidentId)
+  );
+}
+
 /**
  * Reducer para estado de UI
  */
@@ -60,6 +185,30 @@ function uiReducer(state = {}, action, globalState) {
         filterStatus: action.payload,
       };
 
+    case ACTION_TYPES.UI.SET_ONLINE:
+      return {
+        ...state,
+        online: action.payload,
+      };
+
+    case ACTION_TYPES.UI.SET_API_STATUS:
+      return {
+        ...state,
+        apiStatus: action.payload,
+      };
+
+    case ACTION_TYPES.UI.SET_REALTIME_STATUS:
+      return {
+        ...state,
+        realtimeStatus: action.payload,
+      };
+
+    case ACTION_TYPES.OUTBOX.SET_SYNCING:
+      return {
+        ...state,
+        syncing: action.payload,
+      };
+
     default:
       return state;
   }
@@ -71,9 +220,25 @@ function uiReducer(state = {}, action, globalState) {
 function incidentsReducer(state = [], action, globalState) {
   switch (action.type) {
     case ACTION_TYPES.INCIDENTS.SET_INCIDENTS:
-      return action.payload || [];
+      // Mantener visibles los cambios offline aún no sincronizados y los
+      // optimistas que esperan respuesta
+      return Object.values(globalState.optimistic || {}).reduce(
+        applyOptimisticOperation,
+        (globalState.outbox || []).reduce(applyOutboxItem, action.payload || [])
+      );
+
+    case ACTION_TYPES.OUTBOX.ENQUEUE:
+      return applyOutboxItem(state, action.payload);
 
     case ACTION_TYPES.INCIDENTS.ADD_INCIDENT:
+      // El evento de tiempo real puede llegar antes que la respuesta del POST
+      if (state.some((incident) => incident.id === action.payload.id)) {
+        return state.map((incident) =>
+          incident.id === action.payload.id
+            ? { ...incident, ...action.payload }
+            : incident
+        );
+      }
       return [...state, action.payload];
 
     case ACTION_TYPES.INCIDENTS.UPDATE_INCIDENT:
@@ -86,6 +251,32 @@ function incidentsReducer(state = [], action, globalState) {
     case ACTION_TYPES.INCIDENTS.DELETE_INCIDENT:
       return state.filter((incident) => incident.id !== action.payload);
 
+    case ACTION_TYPES.OPTIMISTIC.APPLY:
+      return applyOptimisticOperation(state, action.payload);
+
+    case ACTION_TYPES.OPTIMISTIC.COMMIT: {
+      const operation = globalState.optimistic[action.payload];
+      if (!operation || operation.type !== "update") return state;
+
+      const saving = hasOtherOptimistic(globalState.optimistic, action.payload);
+      return state.map((incident) =>
+        String(incident.id) === String(operation.incidentId)
+          ? { ...incident, _saving: saving }
+          : incident
+      );
+    }
+
+    case ACTION_TYPES.OPTIMISTIC.ROLLBACK: {
+      const operation = globalState.optimistic[action.payload];
+      if (!operation) return state;
+
+      return revertOptimisticOperation(
+        state,
+        operation,
+        hasOtherOptimistic(globalState.optimistic, action.payload)
+      );
+    }
+
     default:
       return state;
   }
@@ -116,6 +307,146 @@ function currentIncidentReducer(state = null, action, globalState) {
       }
       return state;
 
+    case ACTION_TYPES.OUTBOX.ENQUEUE:
+      // Reflejar también en el detalle los cambios encolados offline
+      if (state && String(state.id) === String(action.payload.incidentId)) {
+        return applyOutboxItem([state], action.payload)[0] || null;
+      }
+      return state;
+
+    case ACTION_TYPES.OPTIMISTIC.APPLY:
+      if (state && String(state.id) === String(action.payload.incidentId)) {
+        return applyOptimisticOperation([state], action.payload)[0] || null;
+      }
+      return state;
+
+    case ACTION_TYPES.OPTIMISTIC.COMMIT: {
+      const operation = globalState.optimistic[action.payload];
+      if (
+        state &&
+        operation &&
+        operation.type === "update" &&
+        String(state.id) === String(operation.incidentId)
+      ) {
+        return {
+          ...state,
+          _saving: hasOtherOptimistic(globalState.optimistic, action.payload),
+        };
+      }
+      return state;
+    }
+
+    case ACTION_TYPES.OPTIMISTIC.ROLLBACK: {
+      const operation = globalState.optimistic[action.payload];
+      if (!operation) return state;
+
+      // Un borrado revertido vuelve a ser el incidente actual si lo era
+      if (!state) {
+        return operation.type === "delete" && operation.isCurrent
+          ? operation.snapshot
+          : state;
+      }
+
+      if (String(state.id) !== String(operation.incidentId)) return state;
+      return revertOptimisticOperation(
+        [state],
+        operation,
+        hasOtherOptimistic(globalState.optimistic, action.payload)
+      )[0];
+    }
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Reducer para la cola de cambios pendientes de sincronizar
+ */
+function outboxReducer(state = [], action, globalState) {
+  switch (action.type) {
+    case ACTION_TYPES.OUTBOX.ENQUEUE:
+      return [...state, action.payload];
+
+    case ACTION_TYPES.OUTBOX.DEQUEUE:
+      return state.filter((item) => item.id !== action.payload);
+
+    case ACTION_TYPES.OUTBOX.SET_ITEMS:
+      // Cola guardada por todas las pestañas
+      return action.payload;
+
+    case ACTION_TYPES.OUTBOX.DISCARD_INCIDENT:
+      return state.filter(
+        (item) => String(item.incidentId) !== String(action.payload)
+      );
+
+    case ACTION_TYPES.OUTBOX.REMAP_INCIDENT_ID:
+      return state.map((item) =>
+        String(item.incidentId) === String(action.payload.from)
+          ? { ...item, incidentId: action.payload.to }
+          : item
+      );
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Reducer para los cambios optimistas en curso
+ * Guarda una copia del incidente al aplicar cada cambio para poder revertirlo.
+ */
+function optimisticReducer(state = {}, action, globalState) {
+  switch (action.type) {
+    case ACTION_TYPES.OPTIMISTIC.APPLY: {
+      const { id, incidentId } = action.payload;
+      const isTarget = (incident) =>
+        String(incident.id) === String(incidentId);
+
+      const index = globalState.incidents.findIndex(isTarget);
+      const current = globalState.currentIncident;
+      const isCurrent = Boolean(current && isTarget(current));
+      let snapshot = null;
+
+      if (index >= 0) {
+        snapshot = globalState.incidents[index];
+      } else if (isCurrent) {
+        snapshot = current;
+      }
+
+      return {
+        ...state,
+        [id]: {
+          ...action.payload,
+          snapshot,
+          index,
+          isCurrent,
+        },
+      };
+    }
+
+    case ACTION_TYPES.OPTIMISTIC.COMMIT:
+    case ACTION_TYPES.OPTIMISTIC.ROLLBACK: {
+      const { [action.payload]: finished, ...pending } = state;
+      return pending;
+    }
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Reducer para la sesión del usuario
+ */
+function authReducer(state = { user: null }, action, globalState) {
+  switch (action.type) {
+    case ACTION_TYPES.AUTH.SET_USER:
+      return {
+        ...state,
+        user: action.payload,
+      };
+
     default:
       return state;
   }
@@ -182,6 +513,9 @@ export function createReducer() {
     loading: loadingReducer,
     incidents: incidentsReducer,
     currentIncident: currentIncidentReducer,
+    outbox: outboxReducer,
+    optimistic: optimisticReducer,
+    auth: authReducer,
     notifications: notificationsReducer,
     error: errorReducer,
     ui: uiReducer,
@@ -6,6 +6,53 @@
 import { actions } from "./actions.js";
 import { createReducer } from "./reducers.js";
 
+// Clave de localStorage para la cola offline (compartida por todas las pestañas)
+const OUTBOX_STORAGE_KEY = "outbox";
+
+/**
+ * Recupera la cola offline persistida
+ * @returns {Array} Elementos pendientes de sincronizar
+ */
+function loadPersistedOutbox() {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Guarda los cambios de la cola de esta pestaña sin pisar los de las demás
+ * Se relee la cola guardada y solo se aplican las altas, bajas y modificaciones
+ * hechas aquí desde la última escritura.
+ * @param {Array} previous - Cola de esta pestaña en la última escritura
+ * @param {Array} next - Cola actual de esta pestaña
+ */
+function persistOutbox(previous, next) {
+  const nextIds = new Set(next.map((item) => item.id));
+  const removed = new Set(
+    previous.filter((item) => !nextIds.has(item.id)).map((item) => item.id)
+  );
+  const changed = new Map(
+    next
+      .filter((item) => !previous.includes(item))
+      .map((item) => [item.id, item])
+  );
+
+  const stored = loadPersistedOutbox()
+    .filter((item) => !removed.has(item.id))
+    .map((item) => changed.get(item.id) || item);
+  const storedIds = new Set(stored.map((item) => item.id));
+  const added = [...changed.values()].filter((item) => !storedIds.has(item.id));
+
+  // Mantener el orden de creación entre pestañas
+  const merged = [...stored, ...added].sort(
+    (a, b) => a.createdAt - b.createdAt
+  );
+
+  localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(merged));
+}
+
 // Estado inicial de la aplicación
 const initialState = {
   // Estado de carga global
@@ -14,6 +61,14 @@ const initialState = {
   incidents: [],
   // Incidente actualmente seleccionado/detalle
   currentIncident: null,
+  // Cambios realizados sin conexión pendientes de sincronizar
+  outbox: loadPersistedOutbox(),
+  // Cambios optimistas a la espera de la respuesta de la API (por ID de operación)
+  optimistic: {},
+  // Sesión del usuario autenticado
+  auth: {
+    user: null,
+  },
   // Cola de notificaciones
   notifications: [],
   // Información de errores
@@ -23,6 +78,12 @@ const initialState = {
     darkMode: localStorage.getItem("darkMode") === "true",
     menuOpen: false,
     filterStatus: "all",
+    online: navigator.onLine,
+    syncing: false,
+    // Estado del API Worker: "ready", "reconnecting" o "failed"
+    apiStatus: "ready",
+    // Canal de tiempo real: "closed", "connecting", "open", "reconnecting" o "unsupported"
+    realtimeStatus: "closed",
   },
   // Historial de acciones para depuración
   _actionLog: [],
@@ -198,17 +259,45 @@ if (process.env.NODE_ENV === "development") {
   });
 }
 
-// Middleware para persistencia selectiva en localStorage
-store.applyMiddleware((store) => (action) => {
-  // Ejecutar después de que se actualice el estado
-  return Promise.resolve().then(() => {
-    const state = store.getState();
+// Persistencia de preferencias de UI en localStorage
+// Se hace como suscriptor (y no como middleware) porque los middlewares se
+// ejecutan antes de que el reducer calcule el nuevo estado
+let persistedDarkMode = initialState.ui.darkMode;
 
-    // Persistir preferencias de UI
-    if (action.type === actions.SET_DARK_MODE.type) {
-      localStorage.setItem("darkMode", state.ui.darkMode);
-    }
-  });
+store.subscribe((state) => {
+  if (state.ui.darkMode === persistedDarkMode) return;
+
+  persistedDarkMode = state.ui.darkMode;
+  localStorage.setItem("darkMode", state.ui.darkMode);
+});
+
+// Persistencia de la cola offline para no perder cambios al recargar
+let persistedOutbox = initialState.outbox;
+// Última cola leída de localStorage (ya está guardada: no se reescribe)
+let storedOutbox = null;
+
+store.subscribe((state) => {
+  if (state.outbox === persistedOutbox) return;
+
+  if (state.outbox !== storedOutbox) {
+    persistOutbox(persistedOutbox, state.outbox);
+  }
+  persistedOutbox = state.outbox;
+});
+
+/**
+ * Carga en el store la cola guardada por todas las pestañas
+ * @returns {Array} Elementos pendientes de sincronizar
+ */
+export function syncOutboxFromStorage() {
+  storedOutbox = loadPersistedOutbox();
+  store.dispatch(actions.setOutboxItems(storedOutbox));
+  return storedOutbox;
+}
+
+// Otra pestaña cambió la cola
+window.addEventListener("storage", (event) => {
+  if (event.key === OUTBOX_STORAGE_KEY) syncOutboxFromStorage();
 });
 
 /**
@@ -0,0 +1,1173 @@
+/**
+ * @fileoverview Núcleo de operaciones de API
+ * Peticiones HTTP, reintentos, cache en dos niveles y purgas. No depende del
+ * entorno en el que se ejecuta: lo carga el API Worker y, cuando los workers no
+ * están disponibles, el transporte en proceso del hilo principal.
+ */
+
+import { CONFIG, applyConfig } from "../../config.js";
+import * as persistentCache from "./persistent-cache.js";
+import { mockFetch, configureMockApi } from "./mock-api.js";
+import { validateResponse } from "./schemas.js";
+import { recordRequest, getMetrics, resetMetrics } from "./metrics.js";
+import {
+  schedule,
+  resolvePriority,
+  configureScheduler,
+  getSchedulerStats,
+} from "./request-scheduler.js";
+import { startRealtime, stopRealtime, getRealtimeStatus } from "./realtime.js";
+
+// Transporte HTTP: fetch real o la API simulada (ver acción "configure")
+let transport = (url, options) => fetch(url, options);
+let mockMode = false;
+
+// Access token de la sesión actual (ver acción "configure"). En el worker
+// compartido cada petición trae además el de la pestaña que la envía
+let accessToken = null;
+
+// Canal de tiempo real (ver acción "configure"); null si está desactivado
+let realtimeSettings = null;
+
+// Destino de los mensajes no solicitados (ej: "cache-updated"); lo fija el anfitrión
+let emitMessage = () => {};
+
+// Cache en memoria para almacenar resultados de peticiones GET
+// (primer nivel; el segundo nivel persiste en IndexedDB)
+const apiCache = new Map();
+
+// Controladores de cancelación de las peticiones en curso, indexados por ID de mensaje
+const activeControllers = new Map();
+
+// Claves de cache con una revalidación en segundo plano en curso
+const revalidatingKeys = new Set();
+
+// Peticiones GET en curso compartidas entre llamadas idénticas
+// clave -> { promise, controller, callers: Set<ID de mensaje> }
+const inFlightRequests = new Map();
+
+// Cabeceras que cambian en cada llamada y no impiden compartir una petición
+const PER_CALL_HEADERS = ["x-request-id"];
+
+// Registros recientes que no cumplieron su esquema (los más nuevos al final)
+const quarantine = [];
+const MAX_QUARANTINE_SIZE = 50;
+
+// Estadísticas de peticiones compartidas
+const dedupeStats = {
+  // Peticiones que llegaron a la red (o al cache) por primera vez
+  started: 0,
+  // Llamadas que se unieron a una petición idéntica en curso
+  coalesced: 0,
+  // Peticiones compartidas canceladas porque todos sus llamadores desistieron
+  abandoned: 0,
+};
+
+// Estrategias de cache soportadas
+const CACHE_STRATEGIES = {
+  // Sirve el cache mientras esté vigente; si expiró, va a la red
+  CACHE_FIRST: "cacheFirst",
+  // Sirve el cache aunque haya expirado y lo refresca en segundo plano
+  STALE_WHILE_REVALIDATE: "staleWhileRevalidate",
+};
+
+// Configuración por defecto para peticiones fetch
+const defaultOptions = {
+  headers: {
+    "Content-Type": "application/json",
+    Accept: "application/json",
+  },
+};
+
+// Métodos que pueden repetirse sin efectos secundarios adicionales
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Política de reintentos por defecto
+const DEFAULT_RETRY_POLICY = {
+  // Número máximo de intentos (incluido el primero)
+  maxAttempts: 3,
+  // Espera base en ms, se duplica en cada intento
+  baseDelay: 300,
+  // Espera máxima entre intentos en ms
+  maxDelay: 5000,
+  // Fracción aleatoria de la espera (0 = sin jitter, 1 = jitter completo)
+  jitter: 0.5,
+  // Códigos de estado que se consideran transitorios
+  retryOn: [408, 425, 429, 500, 502, 503, 504],
+  // Respetar la cabecera Retry-After del servidor
+  respectRetryAfter: true,
+  // Si Retry-After pide esperar más que esto (ms), no se reintenta
+  maxRetryAfter: 10000,
+};
+
+/**
+ * Resuelve la política de reintentos de una petición
+ * Los métodos idempotentes reintentan por defecto; el resto (POST) solo si
+ * la petición lo solicita explícitamente con `retry: true` o un objeto de política.
+ * @param {string} method - Método HTTP
+ * @param {boolean|Object} [retry] - Política solicitada (false la desactiva)
+ * @returns {Object|null} Política a aplicar o null si no se reintenta
+ */
+function resolveRetryPolicy(method, retry) {
+  if (retry === false) return null;
+
+  if (retry === undefined || retry === null) {
+    return IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRY_POLICY : null;
+  }
+
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...(typeof retry === "object" ? retry : {}),
+  };
+}
+
+/**
+ * Calcula la espera antes del siguiente intento
+ * @param {Object} policy - Política de reintentos
+ * @param {number} attempt - Número del intento que acaba de fallar
+ * @param {Response} [response] - Respuesta fallida, si la hubo
+ * @returns {number|null} Espera en ms o null si no se debe reintentar
+ */
+function getRetryDelay(policy, attempt, response) {
+  // Retry-After puede venir en segundos o como fecha HTTP
+  const retryAfter = response && response.headers.get("retry-after");
+  if (policy.respectRetryAfter && retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds)
+      ? new Date(retryAfter).getTime() - Date.now()
+      : seconds * 1000;
+
+    if (!Number.isNaN(delay)) {
+      return delay > policy.maxRetryAfter ? null : Math.max(0, delay);
+    }
+  }
+
+  // Backoff exponencial con jitter
+  const exponential = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * 2 ** (attempt - 1)
+  );
+  const jitter = exponential * policy.jitter * Math.random();
+
+  return Math.round(exponential - jitter);
+}
+
+/**
+ * Espera un tiempo determinado, interrumpible mediante una señal
+ * @param {number} ms - Tiempo de espera en ms
+ * @param {AbortSignal} [signal] - Señal de cancelación
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", handleAbort);
+      resolve();
+    }, ms);
+
+    function handleAbort() {
+      clearTimeout(timer);
+      reject(new DOMException("Petición cancelada", "AbortError"));
+    }
+
+    if (signal) signal.addEventListener("abort", handleAbort, { once: true });
+  });
+}
+
+/**
+ * Obtiene la etiqueta de recurso de una URL (su ruta sin barras extremas)
+ * Ej: "http://api/incidents/5?x=1" -> "incidents/5"
+ * @param {string} url - URL de la petición
+ * @returns {string} Etiqueta del recurso
+ */
+function getResourceTag(url) {
+  const { pathname } = new URL(url, self.location.href);
+  return pathname.replace(/^\/+|\/+$/g, "");
+}
+
+/**
+ * Obtiene las etiquetas que invalida una escritura sobre una URL:
+ * el propio recurso y todas sus colecciones padre.
+ * Ej: una escritura en "/incidents/5" invalida "incidents/5" e "incidents"
+ * @param {string} url - URL de la petición
+ * @returns {string[]} Etiquetas a invalidar
+ */
+function getInvalidatedTags(url) {
+  const segments = getResourceTag(url).split("/").filter(Boolean);
+  const tags = [];
+
+  for (let i = segments.length; i > 0; i--) {
+    tags.push(segments.slice(0, i).join("/"));
+  }
+
+  return tags;
+}
+
+/**
+ * Elimina del cache (ambos niveles) las entradas asociadas a alguna de las etiquetas
+ * @param {string[]} tags - Etiquetas a invalidar
+ * @returns {Promise<string[]>} Claves eliminadas
+ */
+async function invalidateTags(tags) {
+  const tagSet = new Set(tags);
+  const purgedKeys = [];
+
+  for (const [key, value] of apiCache.entries()) {
+    if (value.tags && value.tags.some((tag) => tagSet.has(tag))) {
+      apiCache.delete(key);
+      purgedKeys.push(key);
+    }
+  }
+
+  const persistedKeys = await persistentCache.deleteByTags(tags);
+
+  return Array.from(new Set([...purgedKeys, ...persistedKeys]));
+}
+
+/**
+ * Extrae los validadores de una respuesta para peticiones condicionales
+ * @param {Response} response - Respuesta del servidor
+ * @returns {Object|null} Validadores ({ etag, lastModified }) o null si no hay
+ */
+function getValidators(response) {
+  const etag = response.headers.get("etag");
+  const lastModified = response.headers.get("last-modified");
+
+  if (!etag && !lastModified) return null;
+  return { etag, lastModified };
+}
+
+/**
+ * Construye las cabeceras condicionales a partir de una entrada de cache
+ * @param {Object|null} entry - Entrada de cache
+ * @returns {Object} Cabeceras If-None-Match / If-Modified-Since
+ */
+function getConditionalHeaders(entry) {
+  const headers = {};
+  if (!entry || !entry.validators) return headers;
+
+  if (entry.validators.etag) {
+    headers["If-None-Match"] = entry.validators.etag;
+  }
+  if (entry.validators.lastModified) {
+    headers["If-Modified-Since"] = entry.validators.lastModified;
+  }
+
+  return headers;
+}
+
+/**
+ * Guarda una entrada en ambos niveles de cache
+ * @param {string} cacheKey - Clave de cache
+ * @param {Object} entry - Entrada ({ timestamp, data, tags, validators })
+ * @param {number} persistTTL - Tiempo de vida en el cache persistente en ms
+ */
+function writeCacheEntry(cacheKey, entry, persistTTL) {
+  apiCache.set(cacheKey, entry);
+
+  // Persistir sin bloquear la respuesta
+  persistentCache.setEntry(cacheKey, entry, persistTTL);
+}
+
+/**
+ * Lee una entrada de cache, primero en memoria y después en IndexedDB
+ * Las entradas recuperadas de IndexedDB se promocionan a memoria.
+ * @param {string} cacheKey - Clave de cache
+ * @returns {Promise<Object|null>} Entrada ({ timestamp, data, tags, validators }) o null
+ */
+async function readCacheEntry(cacheKey) {
+  if (apiCache.has(cacheKey)) {
+    return apiCache.get(cacheKey);
+  }
+
+  const persisted = await persistentCache.getEntry(cacheKey);
+  if (!persisted) return null;
+
+  const entry = {
+    timestamp: persisted.timestamp,
+    data: persisted.data,
+    tags: persisted.tags,
+    validators: persisted.validators || null,
+  };
+  apiCache.set(cacheKey, entry);
+
+  return entry;
+}
+
+/**
+ * Convierte una respuesta de lista en una página
+ * Reconoce un array con el total en la cabecera CONFIG.PAGINATION.TOTAL_COUNT_HEADER
+ * o un sobre `{ data|items, total, page, pageSize }`. Un array sin total significa
+ * que la API no pagina: se devuelve la lista completa con `serverPaging: false`.
+ * @param {any} data - Datos de la respuesta
+ * @param {Response} response - Respuesta del servidor
+ * @param {string} url - URL de la petición (de ella salen page y pageSize por defecto)
+ * @returns {Object} Página ({ items, total, page, pageSize, serverPaging })
+ */
+function extractPage(data, response, url) {
+  const { searchParams } = new URL(url, self.location.href);
+  const requestedPage = parseInt(searchParams.get("page"), 10) || 1;
+  const requestedSize = parseInt(searchParams.get("pageSize"), 10) || null;
+
+  if (Array.isArray(data)) {
+    const totalHeader = response.headers.get(CONFIG.PAGINATION.TOTAL_COUNT_HEADER);
+    const total = totalHeader === null ? NaN : Number(totalHeader);
+
+    if (Number.isNaN(total)) {
+      return {
+        items: data,
+        total: data.length,
+        page: 1,
+        pageSize: data.length,
+        serverPaging: false,
+      };
+    }
+
+    return {
+      items: data,
+      total,
+      page: requestedPage,
+      pageSize: requestedSize || data.length,
+      serverPaging: true,
+    };
+  }
+
+  // Sobre con los elementos y los metadatos de paginación
+  const items = data && (data.data || data.items);
+  const meta = (data && data.meta) || data || {};
+  const total = Number(meta.total ?? meta.totalCount);
+
+  if (!Array.isArray(items) || Number.isNaN(total)) {
+    return { items: data, total: 0, page: requestedPage, pageSize: requestedSize, serverPaging: false };
+  }
+
+  return {
+    items,
+    total,
+    page: Number(meta.page) || requestedPage,
+    pageSize: Number(meta.pageSize) || requestedSize || items.length,
+    serverPaging: true,
+  };
+}
+
+/**
+ * Guarda en cuarentena los registros apartados de una respuesta
+ * @param {string} url - URL de la petición
+ * @param {string} schemaName - Esquema aplicado
+ * @param {Array} records - Registros apartados ({ index, record, errors })
+ */
+function quarantineRecords(url, schemaName, records) {
+  const receivedAt = Date.now();
+
+  for (const { record, errors } of records) {
+    quarantine.push({ url, schema: schemaName, record, errors, receivedAt });
+  }
+
+  quarantine.splice(0, Math.max(0, quarantine.length - MAX_QUARANTINE_SIZE));
+}
+
+/**
+ * Procesa una petición HTTP
+ * @param {Object} request - Datos de la petición
+ * @param {AbortSignal} [signal] - Señal para cancelar la petición
+ * @returns {Promise<Object>} Resultado de la petición
+ */
+async function processRequest(request, signal) {
+  const {
+    url,
+    method = "GET",
+    body = null,
+    headers = {},
+    useCache = false,
+    cacheTTL = 300000,
+    retry,
+    tags = [],
+    invalidates = [],
+    cacheStrategy = CACHE_STRATEGIES.CACHE_FIRST,
+    maxStale = 24 * 60 * 60 * 1000,
+    forceRefresh = false,
+    auth = true,
+    schema,
+    paginated = false,
+    priority,
+  } = request;
+
+  // Número de intentos realizados, se informa también en los errores
+  let attempts = 0;
+
+  try {
+    // Si es una petición GET y está habilitado el cache, intentar retornar datos cacheados
+    const cacheKey = `${method}:${url}`;
+    let cachedData =
+      method === "GET" && useCache ? await readCacheEntry(cacheKey) : null;
+
+    // Tiempo que se conserva una entrada que aún puede servirse obsoleta o revalidarse
+    const persistTTL = cacheTTL + maxStale;
+
+    if (cachedData && !forceRefresh) {
+      const age = Date.now() - cachedData.timestamp;
+      const isCacheValid = age < cacheTTL;
+
+      if (isCacheValid) {
+        return {
+          success: true,
+          data: cachedData.data,
+          fromCache: true,
+        };
+      } else if (
+        cacheStrategy === CACHE_STRATEGIES.STALE_WHILE_REVALIDATE &&
+        age < cacheTTL + maxStale
+      ) {
+        // Servir el dato obsoleto al instante y refrescarlo en segundo plano
+        revalidateInBackground(request, cacheKey);
+
+        return {
+          success: true,
+          data: cachedData.data,
+          fromCache: true,
+          stale: true,
+        };
+      } else if (!cachedData.validators) {
+        // Cache expirado y sin validadores, eliminarlo de ambos niveles
+        apiCache.delete(cacheKey);
+        persistentCache.deleteEntries([cacheKey]);
+        cachedData = null;
+      }
+    }
+
+    // Preparar opciones para fetch
+    const options = {
+      ...defaultOptions,
+      method,
+      headers: {
+        ...defaultOptions.headers,
+        // Revalidación condicional: el servidor responde 304 si no hubo cambios
+        ...getConditionalHeaders(cachedData),
+        // Credenciales de la sesión, salvo que la petición las excluya
+        ...(auth && getRequestToken(request)
+          ? { Authorization: `Bearer ${getRequestToken(request)}` }
+          : {}),
+        ...headers,
+      },
+      signal,
+    };
+
+    // Agregar body si existe y no es GET
+    if (body && method !== "GET") {
+      options.body = JSON.stringify(body);
+    }
+
+    // Ejecutar la petición, reintentando fallos transitorios según la política
+    const retryPolicy = resolveRetryPolicy(method, retry);
+    const maxAttempts = retryPolicy ? retryPolicy.maxAttempts : 1;
+    let response;
+    let text;
+    let startTime;
+    let endTime;
+
+    while (true) {
+      attempts++;
+
+      try {
+        // Esperar turno en la cola de red según la prioridad de la petición;
+        // el tiempo de respuesta se mide desde que sale, sin la espera en cola.
+        // El cuerpo se lee dentro del turno: su descarga también ocupa la red
+        ({ response, text } = await schedule(
+          async () => {
+            startTime = performance.now();
+            const result = await transport(url, options);
+            return { response: result, text: await result.text() };
+          },
+          {
+            priority: resolvePriority(priority, method),
+            signal,
+          }
+        ));
+      } catch (error) {
+        // Las cancelaciones y el último intento no se reintentan
+        if (error.name === "AbortError" || attempts >= maxAttempts) {
+          throw error;
+        }
+
+        await wait(getRetryDelay(retryPolicy, attempts), signal);
+        continue;
+      }
+
+      endTime = performance.now();
+
+      if (
+        !response.ok &&
+        attempts < maxAttempts &&
+        retryPolicy.retryOn.includes(response.status)
+      ) {
+        const delay = getRetryDelay(retryPolicy, attempts, response);
+
+        if (delay !== null) {
+          await wait(delay, signal);
+          continue;
+        }
+      }
+
+      break;
+    }
+
+    // 304: el dato cacheado sigue vigente, solo se renueva su antigüedad
+    if (response.status === 304 && cachedData) {
+      const entry = {
+        ...cachedData,
+        timestamp: Date.now(),
+        validators: getValidators(response) || cachedData.validators,
+      };
+      writeCacheEntry(cacheKey, entry, persistTTL);
+
+      return {
+        success: true,
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        data: cachedData.data,
+        fromCache: true,
+        revalidated: true,
+        responseTime: Math.round(endTime - startTime),
+        attempts,
+      };
+    }
+
+    // Obtener datos de respuesta (el texto sirve también para medir su tamaño)
+    let data;
+    const contentType = response.headers.get("content-type");
+    const size = Number(response.headers.get("content-length")) || text.length;
+
+    if (contentType && contentType.includes("application/json")) {
+      data = text ? JSON.parse(text) : null;
+    } else {
+      data = text;
+    }
+
+    // Las listas paginadas se entregan como { items, total, page, pageSize, serverPaging }
+    const page = response.ok && paginated ? extractPage(data, response, url) : null;
+
+    // Validar y normalizar los datos antes de cachearlos
+    let schemaReport = null;
+    if (response.ok && schema) {
+      schemaReport = validateResponse(schema, page ? page.items : data);
+
+      if (schemaReport.warnings.length) {
+        console.warn(`⚠️ ${method} ${url} no cumple el esquema "${schema}":`, schemaReport.warnings);
+      }
+
+      // Una escritura que el servidor ya aplicó no se da por fallida: se avisa
+      // y se entrega la respuesta tal cual (la caché se invalida más abajo)
+      if (schemaReport.errors.length && method !== "GET") {
+        console.warn(`⚠️ ${method} ${url} aplicada, pero su respuesta no cumple el esquema "${schema}":`, schemaReport.errors);
+        schemaReport = {
+          data: page ? page.items : data,
+          warnings: [...schemaReport.warnings, ...schemaReport.errors],
+          errors: [],
+          quarantined: [],
+        };
+      }
+
+      if (schemaReport.errors.length) {
+        quarantineRecords(url, schema, [{ record: data, errors: schemaReport.errors }]);
+
+        return {
+          success: false,
+          status: response.status,
+          statusText: response.statusText,
+          error: `La respuesta no cumple el esquema "${schema}"`,
+          schemaError: true,
+          schemaErrors: schemaReport.errors,
+          responseTime: Math.round(endTime - startTime),
+          size,
+          attempts,
+        };
+      }
+
+      quarantineRecords(url, schema, schemaReport.quarantined);
+
+      if (page) {
+        page.items = schemaReport.data;
+      } else {
+        data = schemaReport.data;
+      }
+    }
+
+    if (page) {
+      data = page;
+    }
+
+    // Construir objeto de respuesta
+    const result = {
+      success: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      data,
+      responseTime: Math.round(endTime - startTime),
+      size,
+      attempts,
+    };
+
+    if (schemaReport && schemaReport.warnings.length) {
+      result.schemaWarnings = schemaReport.warnings;
+      result.quarantined = schemaReport.quarantined.length;
+    }
+
+    // Si la petición fue exitosa y es GET, guardar en cache si está habilitado
+    // etiquetada con su recurso para poder invalidarla tras una escritura
+    if (response.ok && method === "GET" && useCache) {
+      const validators = getValidators(response);
+      const entry = {
+        timestamp: Date.now(),
+        data,
+        tags: Array.from(new Set([getResourceTag(url), ...tags])),
+        validators,
+      };
+
+      // En el persistente caduca cuando ya no podría servirse ni revalidarse
+      writeCacheEntry(
+        cacheKey,
+        entry,
+        cacheStrategy === CACHE_STRATEGIES.STALE_WHILE_REVALIDATE || validators
+          ? persistTTL
+          : cacheTTL
+      );
+    }
+
+    // Una escritura exitosa invalida el recurso, sus colecciones padre
+    // y las etiquetas declaradas por la petición
+    if (response.ok && method !== "GET") {
+      result.invalidated = await invalidateTags([
+        ...getInvalidatedTags(url),
+        ...invalidates,
+      ]);
+    }
+
+    return result;
+  } catch (error) {
+    // Petición cancelada desde el hilo principal
+    if (error.name === "AbortError") {
+      return {
+        success: false,
+        error: "Petición cancelada",
+        aborted: true,
+        attempts,
+      };
+    }
+
+    // Error en la petición (red, CORS, etc)
+    return {
+      success: false,
+      error: error.message,
+      isNetworkError: true,
+      attempts,
+    };
+  }
+}
+
+/**
+ * Obtiene el access token con el que se firma una petición
+ * @param {Object} request - Datos de la petición (con `accessToken` si la
+ *   pestaña que la envía tiene su propia sesión)
+ * @returns {string|null} Token o null si no hay sesión
+ */
+function getRequestToken(request) {
+  return request.accessToken !== undefined ? request.accessToken : accessToken;
+}
+
+/**
+ * Obtiene la clave que identifica peticiones idénticas
+ * Las cabeceras propias de cada llamada (ej: X-Request-ID) no cuentan; sí las
+ * opciones que cambian el resultado que entrega processRequest (forma de la
+ * página, esquema, estrategia de caché, credenciales).
+ * @param {Object} request - Datos de la petición
+ * @returns {string} Clave de la petición
+ */
+function getDedupeKey(request) {
+  const {
+    url,
+    method = "GET",
+    headers = {},
+    paginated = false,
+    schema = "",
+    cacheStrategy = "",
+    useCache = false,
+    auth = true,
+  } = request;
+  const headerKey = Object.keys(headers)
+    .filter((name) => !PER_CALL_HEADERS.includes(name.toLowerCase()))
+    .sort()
+    .map((name) => `${name}=${headers[name]}`)
+    .join("&");
+  const optionsKey = [
+    paginated,
+    schema,
+    cacheStrategy,
+    useCache,
+    auth ? getRequestToken(request) : "",
+  ].join(",");
+
+  return `${method}:${url}|${headerKey}|${optionsKey}`;
+}
+
+/**
+ * Procesa una petición compartiendo las GET idénticas que estén en curso
+ * Todas las llamadas reciben la misma respuesta de un único fetch. Cancelar
+ * una llamada solo la desvincula; el fetch se cancela cuando no queda ninguna.
+ * @param {string} id - ID del mensaje que originó la petición
+ * @param {Object} request - Datos de la petición
+ * @param {AbortSignal} signal - Señal para cancelar esta llamada
+ * @returns {Promise<Object>} Resultado de la petición
+ */
+function processSharedRequest(id, request, signal) {
+  const { method = "GET", dedupe = true } = request;
+
+  if (method !== "GET" || !dedupe) {
+    return processRequest(request, signal);
+  }
+
+  const key = getDedupeKey(request);
+  let inFlight = inFlightRequests.get(key);
+  const coalesced = Boolean(inFlight);
+
+  if (coalesced) {
+    dedupeStats.coalesced++;
+  } else {
+    const controller = new AbortController();
+
+    inFlight = {
+      controller,
+      callers: new Set(),
+      promise: processRequest(request, controller.signal).finally(() => {
+        if (inFlightRequests.get(key) === inFlight) {
+          inFlightRequests.delete(key);
+        }
+      }),
+    };
+
+    inFlightRequests.set(key, inFlight);
+    dedupeStats.started++;
+  }
+
+  inFlight.callers.add(id);
+
+  return new Promise((resolve) => {
+    const handleAbort = () => {
+      inFlight.callers.delete(id);
+
+      // Nadie más espera esta respuesta: cancelar el fetch compartido
+      if (inFlight.callers.size === 0) {
+        inFlight.controller.abort();
+        inFlightRequests.delete(key);
+        dedupeStats.abandoned++;
+      }
+
+      resolve({
+        success: false,
+        error: "Petición cancelada",
+        aborted: true,
+        attempts: 0,
+      });
+    };
+
+    signal.addEventListener("abort", handleAbort, { once: true });
+
+    inFlight.promise.then((result) => {
+      if (!inFlight.callers.delete(id)) return;
+
+      signal.removeEventListener("abort", handleAbort);
+      resolve(coalesced ? { ...result, coalesced: true } : result);
+    });
+  });
+}
+
+/**
+ * Refresca una entrada de cache sin bloquear la respuesta
+ * Si el servidor devuelve datos distintos a los cacheados, notifica al hilo
+ * principal con un mensaje no solicitado "cache-updated". Al terminar, con
+ * cambios o sin ellos, emite "cache-revalidated".
+ * @param {Object} request - Petición original
+ * @param {string} cacheKey - Clave de cache a refrescar
+ */
+async function revalidateInBackground(request, cacheKey) {
+  // Evitar revalidaciones duplicadas de la misma entrada
+  if (revalidatingKeys.has(cacheKey)) return;
+  revalidatingKeys.add(cacheKey);
+
+  try {
+    const previous = apiCache.get(cacheKey);
+    const result = await processRequest({
+      ...request,
+      forceRefresh: true,
+      priority: "low",
+    });
+    recordRequest(request, result);
+
+    if (!result.success) return;
+
+    const hasChanged =
+      !previous || JSON.stringify(previous.data) !== JSON.stringify(result.data);
+
+    if (hasChanged) {
+      emitMessage({
+        type: "cache-updated",
+        key: cacheKey,
+        url: request.url,
+        data: result.data,
+      });
+    }
+  } finally {
+    revalidatingKeys.delete(cacheKey);
+    emitMessage({ type: "cache-revalidated", key: cacheKey });
+  }
+}
+
+/**
+ * Cancela peticiones en curso
+ * @param {Object} options - Opciones de cancelación
+ * @param {string[]} [options.ids] - IDs de mensaje a cancelar (todas si se omite)
+ * @returns {Object} IDs de las peticiones canceladas
+ */
+function abortRequests(options = {}) {
+  const { ids } = options;
+  const targetIds = ids || Array.from(activeControllers.keys());
+  const aborted = [];
+
+  for (const id of targetIds) {
+    const controller = activeControllers.get(id);
+
+    if (controller) {
+      controller.abort();
+      activeControllers.delete(id);
+      aborted.push(id);
+    }
+  }
+
+  return { aborted };
+}
+
+/**
+ * Purga entradas de cache (ambos niveles) según diferentes estrategias
+ * @param {Object} options - Opciones de purga
+ * @returns {Promise<Object>} Claves purgadas
+ */
+async function purgeCache(options = {}) {
+  const { url, pattern, olderThan, tags } = options;
+
+  // Caso 1: Purgar una URL específica
+  if (url) {
+    const getKey = `GET:${url}`;
+    apiCache.delete(getKey);
+    await persistentCache.deleteEntries([getKey]);
+    return { purged: [getKey] };
+  }
+
+  // Caso 2: Purgar entradas asociadas a etiquetas de recurso
+  if (tags && tags.length) {
+    return { purged: await invalidateTags(tags) };
+  }
+
+  // Caso 3: Purgar URLs que coincidan con un patrón
+  if (pattern) {
+    const regex = new RegExp(pattern);
+    const purgedKeys = [];
+
+    for (const key of apiCache.keys()) {
+      if (regex.test(key)) {
+        apiCache.delete(key);
+        purgedKeys.push(key);
+      }
+    }
+
+    const persistedKeys = await persistentCache.deleteWhere((entry) =>
+      regex.test(entry.key)
+    );
+
+    return { purged: Array.from(new Set([...purgedKeys, ...persistedKeys])) };
+  }
+
+  // Caso 4: Purgar entradas más antiguas que cierto tiempo
+  if (olderThan && typeof olderThan === "number") {
+    const threshold = Date.now() - olderThan;
+    const purgedKeys = [];
+
+    for (const [key, value] of apiCache.entries()) {
+      if (value.timestamp < threshold) {
+        apiCache.delete(key);
+        purgedKeys.push(key);
+      }
+    }
+
+    const persistedKeys = await persistentCache.deleteWhere(
+      (entry) => entry.timestamp < threshold
+    );
+
+    return { purged: Array.from(new Set([...purgedKeys, ...persistedKeys])) };
+  }
+
+  // Si no se especificó ninguna opción, purgar todo el cache
+  const allKeys = Array.from(apiCache.keys());
+  apiCache.clear();
+  const persistedKeys = await persistentCache.clearEntries();
+
+  return { purged: Array.from(new Set([...allKeys, ...persistedKeys])) };
+}
+
+/**
+ * Procesa un evento de tiempo real
+ * Valida el incidente recibido, invalida el cache afectado y reenvía el evento
+ * al hilo principal con un mensaje no solicitado "realtime-event".
+ * @param {Object} event - Evento ({ type, data })
+ */
+async function handleRealtimeEvent({ type, data }) {
+  const url = realtimeSettings ? realtimeSettings.url : "";
+  let incident = null;
+
+  if (type === "incident.deleted") {
+    if (data.id === undefined || data.id === null) {
+      quarantineRecords(url, "incident", [{ record: data, errors: ["id: es obligatorio"] }]);
+      return;
+    }
+  } else {
+    const report = validateResponse("incident", data);
+
+    if (report.errors.length) {
+      console.warn(`⚠️ Evento ${type} no cumple el esquema "incident":`, report.errors);
+      quarantineRecords(url, "incident", [{ record: data, errors: report.errors }]);
+      return;
+    }
+
+    incident = report.data;
+  }
+
+  const id = incident ? incident.id : data.id;
+  await invalidateTags(["incidents", `incidents/${id}`]);
+
+  emitMessage({ type: "realtime-event", event: type, id, incident });
+}
+
+/**
+ * Abre o cierra el canal de tiempo real según la configuración actual
+ */
+function applyRealtime() {
+  if (!realtimeSettings || !realtimeSettings.enabled) {
+    stopRealtime();
+    return;
+  }
+
+  startRealtime(
+    {
+      ...realtimeSettings,
+      mock: mockMode,
+      getToken: () => accessToken,
+    },
+    {
+      onEvent: handleRealtimeEvent,
+      onStatus: (status) => emitMessage({ type: "realtime-status", status }),
+    }
+  );
+}
+
+/**
+ * Configura el worker en tiempo de ejecución
+ * @param {Object} options - Opciones
+ * @param {Object} [options.config] - CONFIG del hilo principal (con la configuración de tiempo de ejecución)
+ * @param {Object} [options.mock] - API simulada ({ enabled, latency, errorRate, reset })
+ * @param {Object|null} [options.auth] - Sesión ({ accessToken }); null la cierra
+ * @param {Object} [options.queue] - Cola de red ({ concurrency })
+ * @param {Object} [options.realtime] - Canal de tiempo real
+ *   ({ enabled, url, transport, reconnectBaseDelay, reconnectMaxDelay })
+ * @returns {Promise<Object>} Configuración aplicada
+ */
+async function configure(options = {}) {
+  const { config, mock, auth, queue, realtime } = options;
+  const wasMock = mockMode;
+  const wasAuthenticated = Boolean(accessToken);
+
+  if (config) {
+    applyConfig(config);
+  }
+
+  if (queue) {
+    configureScheduler(queue);
+  }
+
+  if (auth !== undefined) {
+    accessToken = auth ? auth.accessToken : null;
+  }
+
+  if (mock) {
+    const enabled = Boolean(mock.enabled);
+
+    const changed = enabled !== mockMode;
+
+    // Cambiar el transporte antes de cualquier espera, para que los mensajes
+    // que lleguen a continuación ya lo usen
+    if (enabled) {
+      configureMockApi(mock);
+      transport = mockFetch;
+    } else {
+      transport = (url, fetchOptions) => fetch(url, fetchOptions);
+    }
+
+    mockMode = enabled;
+
+    // Los datos cacheados de un transporte no valen para el otro: cada uno
+    // tiene su cache persistente. La simulada se vacía al activarse porque sus
+    // datos solo viven mientras dura el worker
+    if (changed) {
+      apiCache.clear();
+      persistentCache.useNamespace(enabled ? "mock" : null);
+      if (enabled) await persistentCache.clearEntries();
+    }
+  }
+
+  // Reabrir el canal si cambia su configuración, el transporte o la sesión
+  // (el token viaja en la URL de conexión). Con el worker compartido cada
+  // pestaña envía la misma configuración al arrancar: eso no lo reabre
+  const realtimeChanged =
+    realtime !== undefined &&
+    JSON.stringify(realtime) !== JSON.stringify(realtimeSettings);
+
+  if (realtimeChanged) {
+    realtimeSettings = realtime;
+  }
+
+  if (
+    realtimeSettings &&
+    (realtimeChanged ||
+      mockMode !== wasMock ||
+      Boolean(accessToken) !== wasAuthenticated)
+  ) {
+    applyRealtime();
+  }
+
+  return {
+    mock: mockMode,
+    authenticated: Boolean(accessToken),
+    concurrency: getSchedulerStats().concurrency,
+    realtime: getRealtimeStatus(),
+  };
+}
+
+/**
+ * Obtiene estadísticas del cache en memoria y del persistente
+ * @returns {Promise<Object>} Estadísticas del cache
+ */
+async function getCacheStats() {
+  return {
+    size: apiCache.size,
+    keys: Array.from(apiCache.keys()),
+    totalSize: Array.from(apiCache.values()).reduce(
+      (total, item) => total + JSON.stringify(item).length,
+      0
+    ),
+    persistent: await persistentCache.getStats(),
+    inFlight: {
+      ...dedupeStats,
+      active: inFlightRequests.size,
+      keys: Array.from(inFlightRequests.keys()),
+    },
+  };
+}
+
+/**
+ * Obtiene los registros en cuarentena por no cumplir su esquema
+ * @param {Object} [options={}] - Opciones
+ * @param {boolean} [options.clear=false] - Vaciar la cuarentena tras leerla
+ * @returns {Object} Registros apartados ({ records })
+ */
+function getQuarantine(options = {}) {
+  const records = quarantine.slice();
+
+  if (options.clear) {
+    quarantine.length = 0;
+  }
+
+  return { records };
+}
+
+/**
+ * Define cómo se envían los mensajes no solicitados al hilo principal
+ * @param {Function} emitter - Recibe el mensaje a enviar
+ */
+export function setMessageEmitter(emitter) {
+  emitMessage = emitter;
+}
+
+/**
+ * Prepara el núcleo para recibir mensajes
+ * Limpia las entradas caducadas del cache persistente.
+ */
+export function startApiCore() {
+  persistentCache.enforceQuota();
+}
+
+/**
+ * Procesa un mensaje del hilo principal
+ * @param {Object} message - Mensaje ({ id, action, payload })
+ * @returns {Promise<any>} Resultado de la acción
+ */
+export async function handleMessage(message) {
+  const { id, action, payload } = message;
+
+  let result;
+
+  // Procesar según la acción solicitada
+  switch (action) {
+    case "request": {
+      // Registrar un controlador para permitir cancelar la petición
+      const controller = new AbortController();
+      activeControllers.set(id, controller);
+
+      try {
+        result = await processSharedRequest(id, payload, controller.signal);
+        recordRequest(payload, result);
+      } finally {
+        activeControllers.delete(id);
+      }
+      break;
+    }
+
+    case "abort":
+      result = abortRequests(payload);
+      break;
+
+    case "purgeCache":
+      result = await purgeCache(payload);
+      break;
+
+    case "ping":
+      result = { pong: true };
+      break;
+
+    case "configure":
+      result = await configure(payload);
+      break;
+
+    case "getCacheStats":
+      result = await getCacheStats();
+      break;
+
+    case "getQuarantine":
+      result = getQuarantine(payload);
+      break;
+
+    case "getMetrics":
+      result = { ...getMetrics(), queue: getSchedulerStats() };
+      break;
+
+    case "resetMetrics":
+      result = resetMetrics();
+      break;
+
+    default:
+      result = {
+        success: false,
+        error: `Acción no soportada: ${action}`,
+      };
+  }
+
+  return result;
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview SharedWorker para operaciones de API
+ * Variante compartida de api.worker.js: todas las pestañas se conectan a la
+ * misma instancia, así que comparten caché, cola de red, telemetría y canal de
+ * tiempo real. Cada pestaña habla por su propio puerto; los IDs de mensaje se
+ * prefijan con el del puerto para que no choquen entre pestañas y cada
+ * respuesta vuelve solo a quien la pidió. Los mensajes no solicitados
+ * ("cache-updated", "realtime-event"...) se envían a todas.
+ *
+ * La configuración es global salvo la sesión: cada petición se firma con la de
+ * la pestaña que la envía. Las pestañas con la API simulada usan otra instancia
+ * (ver initSharedWorker en worker-bridge.js).
+ */
+
+import { handleMessage, setMessageEmitter, startApiCore } from "./api-core.js";
+
+// Puertos conectados: puerto -> { id, lastSeen, requests, auth }
+const ports = new Map();
+
+// Tiempo sin mensajes tras el que un puerto se da por cerrado (ms); las
+// pestañas vivas envían un heartbeat periódico
+const PORT_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+let portCounter = 0;
+
+/**
+ * Envía un mensaje a todos los puertos conectados
+ * @param {Object} message - Mensaje
+ */
+function broadcast(message) {
+  for (const port of ports.keys()) {
+    port.postMessage(message);
+  }
+}
+
+/**
+ * Cierra un puerto y cancela sus peticiones en curso
+ * @param {MessagePort} port - Puerto
+ */
+function closePort(port) {
+  const state = ports.get(port);
+  if (!state) return;
+
+  ports.delete(port);
+  port.close();
+
+  if (state.requests.size) {
+    handleMessage({
+      action: "abort",
+      payload: { ids: Array.from(state.requests) },
+    });
+  }
+}
+
+/**
+ * Procesa un mensaje de una pestaña
+ * @param {MessagePort} port - Puerto de la pestaña
+ * @param {Object} data - Mensaje ({ id, action, payload })
+ */
+async function handlePortMessage(port, data) {
+  const state = ports.get(port);
+  if (!state) return;
+
+  state.lastSeen = Date.now();
+  const { id, action, payload = {} } = data;
+
+  // La pestaña se cierra
+  if (action === "disconnect") {
+    closePort(port);
+    return;
+  }
+
+  const scope = (messageId) => `${state.id}:${messageId}`;
+  let message = { ...data, id: scope(id) };
+
+  // Una pestaña solo puede cancelar sus propias peticiones
+  if (action === "abort") {
+    message = {
+      ...message,
+      payload: {
+        ids: payload.ids ? payload.ids.map(scope) : Array.from(state.requests),
+      },
+    };
+  }
+
+  // Recordar la sesión de la pestaña para firmar sus peticiones
+  if (action === "configure" && payload.auth !== undefined) {
+    state.auth = payload.auth;
+  }
+
+  if (action === "request") {
+    state.requests.add(message.id);
+
+    if (state.auth !== undefined) {
+      message = {
+        ...message,
+        payload: {
+          ...payload,
+          accessToken: state.auth ? state.auth.accessToken : null,
+        },
+      };
+    }
+  }
+
+  let result;
+
+  try {
+    result = await handleMessage(message);
+  } catch (error) {
+    result = { success: false, error: error.message, workerError: true };
+  } finally {
+    state.requests.delete(message.id);
+  }
+
+  if (ports.has(port)) {
+    port.postMessage({ id, result });
+  }
+}
+
+// Los mensajes no solicitados van a todas las pestañas
+setMessageEmitter(broadcast);
+
+// Nueva pestaña conectada
+self.addEventListener("connect", (event) => {
+  const port = event.ports[0];
+
+  ports.set(port, {
+    id: `p${++portCounter}`,
+    lastSeen: Date.now(),
+    requests: new Set(),
+    auth: undefined,
+  });
+
+  port.addEventListener("message", (messageEvent) => {
+    handlePortMessage(port, messageEvent.data);
+  });
+  port.start();
+
+  port.postMessage({
+    type: "init",
+    message: `API Worker compartido listo (${ports.size} pestaña(s) conectada(s))`,
+  });
+});
+
+// Errores fuera de cualquier petición (ej: revalidaciones en segundo plano)
+self.addEventListener("unhandledrejection", (event) => {
+  broadcast({
+    type: "worker-error",
+    message: event.reason?.message || String(event.reason),
+  });
+});
+
+// Retirar los puertos de pestañas que se cerraron sin avisar
+setInterval(() => {
+  const now = Date.now();
+
+  for (const [port, state] of ports.entries()) {
+    if (now - state.lastSeen > PORT_IDLE_TIMEOUT) closePort(port);
+  }
+}, PORT_IDLE_TIMEOUT / 5);
+
+startApiCore();
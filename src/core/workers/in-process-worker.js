@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Transporte en proceso para la lógica de los workers
+ * Imita la interfaz de un Worker (postMessage, eventos "message", terminate)
+ * pero ejecuta el núcleo en el hilo principal. El Worker Bridge lo usa cuando
+ * los Web Workers no están soportados, los bloquea la CSP o no arrancan.
+ */
+
+/**
+ * Copia un mensaje como lo haría postMessage, para no compartir referencias
+ * @param {any} data - Mensaje
+ * @returns {any} Copia del mensaje
+ */
+function cloneMessage(data) {
+  return typeof structuredClone === "function"
+    ? structuredClone(data)
+    : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Worker simulado en el hilo principal
+ */
+export class InProcessWorker extends EventTarget {
+  /**
+   * @param {string} name - Nombre del worker
+   * @param {Function} loadCore - Carga el módulo núcleo
+   *   ({ handleMessage, setMessageEmitter, startApiCore })
+   */
+  constructor(name, loadCore) {
+    super();
+    this.name = name;
+    this.core = null;
+    this.terminated = false;
+
+    this._start(loadCore);
+  }
+
+  /**
+   * Carga el núcleo y anuncia que está listo, igual que un worker real
+   * @param {Function} loadCore - Carga el módulo núcleo
+   * @private
+   */
+  async _start(loadCore) {
+    try {
+      this.core = await loadCore();
+      this.core.setMessageEmitter((message) => this._emit(message));
+      this.core.startApiCore();
+
+      this._emit({
+        type: "init",
+        message: "Núcleo de API ejecutándose en el hilo principal",
+      });
+    } catch (error) {
+      this.dispatchEvent(new ErrorEvent("error", { error, message: error.message }));
+    }
+  }
+
+  /**
+   * Entrega un mensaje a los listeners de forma asíncrona
+   * @param {any} data - Mensaje
+   * @private
+   */
+  _emit(data) {
+    const message = cloneMessage(data);
+
+    setTimeout(() => {
+      if (this.terminated) return;
+      this.dispatchEvent(new MessageEvent("message", { data: message }));
+    }, 0);
+  }
+
+  /**
+   * Envía un mensaje al núcleo
+   * @param {Object} data - Mensaje ({ id, action, payload })
+   */
+  postMessage(data) {
+    if (this.terminated) return;
+
+    const message = cloneMessage(data);
+
+    // Procesar en una tarea aparte, sin bloquear a quien envía
+    setTimeout(async () => {
+      let result;
+
+      try {
+        result = await this.core.handleMessage(message);
+      } catch (error) {
+        result = { success: false, error: error.message, workerError: true };
+      }
+
+      this._emit({ id: message.id, result });
+    }, 0);
+  }
+
+  /**
+   * Detiene el transporte; los mensajes posteriores se ignoran
+   */
+  terminate() {
+    this.terminated = true;
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Telemetría de red del API Worker
+ * Agrega por endpoint las peticiones atendidas: histograma de latencias, tasa de
+ * errores, aciertos de cache y tamaño de las respuestas. Los datos viven en
+ * memoria del worker y se consultan con la acción "getMetrics".
+ */
+
+// Límites superiores (ms) de los intervalos del histograma de latencias
+export const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, Infinity];
+
+// Métricas por endpoint: "MÉTODO /ruta" -> métricas
+const endpoints = new Map();
+
+// Momento desde el que se acumulan las métricas
+let since = Date.now();
+
+/**
+ * Obtiene el endpoint de una petición agrupando los identificadores
+ * Ej: "GET http://api/incidents/5?x=1" -> "GET /incidents/:id"
+ * @param {string} method - Método HTTP
+ * @param {string} url - URL de la petición
+ * @returns {string} Endpoint
+ */
+function getEndpointKey(method, url) {
+  const { pathname } = new URL(url, self.location.href);
+  const path = pathname
+    .split("/")
+    .map((segment) => (/^(\d+|[0-9a-f-]{36})$/i.test(segment) ? ":id" : segment))
+    .join("/");
+
+  return `${method} ${path || "/"}`;
+}
+
+/**
+ * Crea las métricas vacías de un endpoint
+ * @returns {Object} Métricas
+ */
+function createEndpointMetrics() {
+  return {
+    requests: 0,
+    errors: 0,
+    networkErrors: 0,
+    aborted: 0,
+    cacheHits: 0,
+    revalidated: 0,
+    coalesced: 0,
+    retries: 0,
+    statuses: {},
+    latency: {
+      count: 0,
+      sum: 0,
+      min: null,
+      max: null,
+      buckets: LATENCY_BUCKETS.map(() => 0),
+    },
+    bytes: { total: 0, max: 0, count: 0 },
+  };
+}
+
+/**
+ * Registra el resultado de una petición
+ * @param {Object} request - Datos de la petición ({ url, method })
+ * @param {Object} result - Resultado de la petición
+ */
+export function recordRequest(request, result) {
+  const { url, method = "GET" } = request;
+  const key = getEndpointKey(method, url);
+
+  if (!endpoints.has(key)) {
+    endpoints.set(key, createEndpointMetrics());
+  }
+
+  const metrics = endpoints.get(key);
+  metrics.requests++;
+
+  if (result.aborted) {
+    metrics.aborted++;
+    return;
+  }
+
+  if (result.coalesced) metrics.coalesced++;
+  if (result.attempts > 1) metrics.retries += result.attempts - 1;
+
+  if (result.status) {
+    metrics.statuses[result.status] = (metrics.statuses[result.status] || 0) + 1;
+  }
+
+  if (!result.success) {
+    metrics.errors++;
+    if (result.isNetworkError) metrics.networkErrors++;
+  }
+
+  // Servido desde cache sin tocar la red
+  if (result.fromCache && !result.revalidated) {
+    metrics.cacheHits++;
+    return;
+  }
+
+  if (result.revalidated) metrics.revalidated++;
+
+  // Las llamadas compartidas no vuelven a contar la latencia ni el tamaño
+  if (result.coalesced) return;
+
+  if (typeof result.responseTime === "number") {
+    const { latency } = metrics;
+    const index = LATENCY_BUCKETS.findIndex((limit) => result.responseTime <= limit);
+
+    latency.count++;
+    latency.sum += result.responseTime;
+    latency.min = latency.min === null ? result.responseTime : Math.min(latency.min, result.responseTime);
+    latency.max = latency.max === null ? result.responseTime : Math.max(latency.max, result.responseTime);
+    latency.buckets[index]++;
+  }
+
+  if (typeof result.size === "number") {
+    metrics.bytes.total += result.size;
+    metrics.bytes.max = Math.max(metrics.bytes.max, result.size);
+    metrics.bytes.count++;
+  }
+}
+
+/**
+ * Estima un percentil a partir del histograma (límite superior del intervalo)
+ * @param {Object} latency - Latencias de un endpoint
+ * @param {number} percentile - Percentil entre 0 y 1
+ * @returns {number|null} Latencia estimada en ms
+ */
+function estimatePercentile(latency, percentile) {
+  if (!latency.count) return null;
+
+  const target = Math.ceil(latency.count * percentile);
+  let accumulated = 0;
+
+  for (let i = 0; i < LATENCY_BUCKETS.length; i++) {
+    accumulated += latency.buckets[i];
+    if (accumulated >= target) {
+      return Math.min(LATENCY_BUCKETS[i], latency.max);
+    }
+  }
+
+  return latency.max;
+}
+
+/**
+ * Calcula los indicadores derivados de unas métricas
+ * @param {Object} metrics - Métricas acumuladas
+ * @returns {Object} Indicadores
+ */
+function summarize(metrics) {
+  const completed = metrics.requests - metrics.aborted;
+  const { latency, bytes } = metrics;
+
+  return {
+    errorRate: completed ? metrics.errors / completed : 0,
+    cacheHitRatio: completed ? metrics.cacheHits / completed : 0,
+    avgLatency: latency.count ? Math.round(latency.sum / latency.count) : null,
+    p50: estimatePercentile(latency, 0.5),
+    p95: estimatePercentile(latency, 0.95),
+    avgBytes: bytes.count ? Math.round(bytes.total / bytes.count) : null,
+  };
+}
+
+/**
+ * Obtiene las métricas acumuladas
+ * @returns {Object} Métricas ({ since, buckets, totals, endpoints })
+ */
+export function getMetrics() {
+  const totals = createEndpointMetrics();
+  const result = [];
+
+  for (const [endpoint, metrics] of endpoints.entries()) {
+    result.push({ endpoint, ...metrics, ...summarize(metrics) });
+
+    // Acumular los totales
+    for (const field of [
+      "requests",
+      "errors",
+      "networkErrors",
+      "aborted",
+      "cacheHits",
+      "revalidated",
+      "coalesced",
+      "retries",
+    ]) {
+      totals[field] += metrics[field];
+    }
+
+    for (const [status, count] of Object.entries(metrics.statuses)) {
+      totals.statuses[status] = (totals.statuses[status] || 0) + count;
+    }
+
+    totals.latency.count += metrics.latency.count;
+    totals.latency.sum += metrics.latency.sum;
+    if (metrics.latency.count) {
+      totals.latency.min =
+        totals.latency.min === null
+          ? metrics.latency.min
+          : Math.min(totals.latency.min, metrics.latency.min);
+      totals.latency.max = Math.max(totals.latency.max || 0, metrics.latency.max);
+    }
+    metrics.latency.buckets.forEach((count, index) => {
+      totals.latency.buckets[index] += count;
+    });
+
+    totals.bytes.total += metrics.bytes.total;
+    totals.bytes.max = Math.max(totals.bytes.max, metrics.bytes.max);
+    totals.bytes.count += metrics.bytes.count;
+  }
+
+  result.sort((a, b) => b.requests - a.requests);
+
+  return {
+    since,
+    buckets: LATENCY_BUCKETS.map((limit) => (limit === Infinity ? null : limit)),
+    totals: { ...totals, ...summarize(totals) },
+    endpoints: result,
+  };
+}
+
+/**
+ * Reinicia las métricas
+ * @returns {Object} Momento del reinicio ({ since })
+ */
+export function resetMetrics() {
+  endpoints.clear();
+  since = Date.now();
+  return { since };
+}
@@ -0,0 +1,598 @@
+/**
+ * @fileoverview API simulada de incidentes
+ * Sustituye a fetch dentro del API Worker para poder usar la aplicación sin
+ * backend: responde el CRUD de /incidents desde datos en memoria, con latencia
+ * realista y los mismos errores de validación que la API real. Incluye el
+ * endpoint por lotes /incidents/batch, un sustituto de /auth/login y
+ * /auth/refresh para probar la autenticación y eventos de tiempo real de cada
+ * cambio (más la actividad simulada de un compañero, ver subscribeMockEvents).
+ */
+
+import { CONFIG } from "../../config.js";
+import { validateIncident } from "../../utils/validation.utils.js";
+
+const { PENDING, IN_PROGRESS, RESOLVED } = CONFIG.INCIDENT_STATUS;
+
+// Incidentes iniciales (relativos al momento de arrancar el worker)
+const SEED_INCIDENTS = [
+  ["Ana Torres", "La impresora del segundo piso no responde a ningún equipo", RESOLVED, 20],
+  ["Luis Méndez", "El correo corporativo rechaza adjuntos mayores a 5 MB", RESOLVED, 18],
+  ["María López", "La VPN se desconecta cada diez minutos desde casa", IN_PROGRESS, 15],
+  ["Carlos Ruiz", "El proyector de la sala de juntas parpadea al conectar HDMI", PENDING, 12],
+  ["Sofía Herrera", "No puedo acceder a la carpeta compartida de finanzas", IN_PROGRESS, 10],
+  ["Jorge Castillo", "El sistema de nómina muestra montos duplicados en marzo", PENDING, 8],
+  ["Valeria Gómez", "La red wifi de invitados no asigna dirección IP", RESOLVED, 7],
+  ["Diego Morales", "El equipo de recepción tarda más de cinco minutos en arrancar", PENDING, 5],
+  ["Camila Rojas", "Error 500 al exportar reportes mensuales a Excel", IN_PROGRESS, 3],
+  ["Andrés Pérez", "El teléfono IP de soporte no recibe llamadas externas", PENDING, 2],
+  ["Lucía Vargas", "Solicito restablecer la contraseña del portal de proveedores", PENDING, 1],
+];
+
+// Cambios que hace el compañero simulado
+const TEAMMATE_INCIDENTS = [
+  ["Pablo Núñez", "El monitor de la sala de soporte se apaga solo cada hora"],
+  ["Elena Ríos", "No llegan las notificaciones del calendario compartido"],
+  ["Tomás Aguirre", "El escáner de la recepción guarda los documentos en blanco"],
+];
+
+// Usuarios de prueba
+const USERS = [
+  { id: 1, username: "admin", password: "admin123", name: "Administrador" },
+  { id: 2, username: "demo", password: "demo", name: "Usuario Demo" },
+];
+
+// Recursos que entiende la API simulada (primer segmento de la ruta)
+const RESOURCES = ["incidents", "auth"];
+
+// Configuración activa de la simulación
+let settings = {
+  latency: CONFIG.MOCK_API.LATENCY,
+  errorRate: CONFIG.MOCK_API.ERROR_RATE,
+  requireAuth: CONFIG.MOCK_API.REQUIRE_AUTH,
+  tokenTTL: CONFIG.MOCK_API.TOKEN_TTL,
+  teammateInterval: CONFIG.MOCK_API.TEAMMATE_INTERVAL,
+};
+
+// Suscriptores de los eventos de tiempo real
+const eventListeners = new Set();
+let teammateTimer = null;
+
+// Tokens emitidos: token -> { userId, expiresAt }
+const accessTokens = new Map();
+// Refresh tokens vigentes: token -> userId
+const refreshTokens = new Map();
+let tokenCounter = 0;
+
+// Datos en memoria (se siembran una sola vez: borrar el último incidente no
+// debe devolver los de ejemplo)
+let incidents = [];
+let seeded = false;
+let nextId = 1;
+// Versión de la colección, usada como ETag
+let version = 1;
+
+/**
+ * Restablece los datos iniciales
+ */
+function seed() {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+
+  incidents = SEED_INCIDENTS.map(([reporter, description, status, daysAgo], index) => ({
+    id: index + 1,
+    reporter,
+    description,
+    status,
+    created_at: new Date(now - daysAgo * day).toISOString(),
+  }));
+  nextId = incidents.length + 1;
+  version++;
+  seeded = true;
+}
+
+/**
+ * Configura la simulación
+ * @param {Object} [options={}] - Opciones
+ * @param {Object} [options.latency] - Latencia simulada ({ MIN, MAX } en ms)
+ * @param {number} [options.errorRate] - Fracción de peticiones que fallan con 503
+ * @param {boolean} [options.requireAuth] - Exigir token en /incidents
+ * @param {number} [options.tokenTTL] - Vida de los access tokens en ms
+ * @param {number} [options.teammateInterval] - Cada cuánto (ms) un compañero simulado
+ *   cambia un incidente mientras haya suscriptores de eventos (0 lo desactiva)
+ * @param {boolean} [options.reset] - Restablecer los datos iniciales
+ */
+export function configureMockApi(options = {}) {
+  const { latency, errorRate, requireAuth, tokenTTL, teammateInterval, reset } =
+    options;
+
+  settings = {
+    latency: latency || settings.latency,
+    errorRate: typeof errorRate === "number" ? errorRate : settings.errorRate,
+    requireAuth:
+      typeof requireAuth === "boolean" ? requireAuth : settings.requireAuth,
+    tokenTTL: tokenTTL || settings.tokenTTL,
+    teammateInterval:
+      typeof teammateInterval === "number"
+        ? teammateInterval
+        : settings.teammateInterval,
+  };
+
+  if (reset || !seeded) {
+    seed();
+  }
+
+  updateTeammate();
+}
+
+/**
+ * Emite un evento de tiempo real a los suscriptores
+ * Se entrega en la siguiente vuelta, como si llegara por la red.
+ * @param {string} type - Tipo de evento (ej: "incident.updated")
+ * @param {Object} data - Incidente (o `{ id }` si se eliminó)
+ */
+function emitMockEvent(type, data) {
+  const event = { type, data: { ...data } };
+
+  setTimeout(() => {
+    eventListeners.forEach((listener) => listener(event));
+  }, 0);
+}
+
+/**
+ * Simula a un compañero: crea un incidente o avanza el estado de uno abierto
+ */
+function simulateTeammate() {
+  const open = incidents.filter((incident) => incident.status !== RESOLVED);
+
+  if (open.length === 0 || Math.random() < 0.25) {
+    const [reporter, description] =
+      TEAMMATE_INCIDENTS[Math.floor(Math.random() * TEAMMATE_INCIDENTS.length)];
+    const incident = {
+      id: nextId++,
+      reporter,
+      description,
+      status: PENDING,
+      created_at: new Date().toISOString(),
+    };
+
+    incidents.push(incident);
+    version++;
+    emitMockEvent("incident.created", incident);
+    return;
+  }
+
+  const target = open[Math.floor(Math.random() * open.length)];
+  const index = incidents.indexOf(target);
+
+  incidents[index] = {
+    ...target,
+    status: target.status === PENDING ? IN_PROGRESS : RESOLVED,
+  };
+  version++;
+  emitMockEvent("incident.updated", incidents[index]);
+}
+
+/**
+ * Arranca o detiene el compañero simulado según la configuración y los suscriptores
+ */
+function updateTeammate() {
+  const active = eventListeners.size > 0 && settings.teammateInterval > 0;
+
+  clearInterval(teammateTimer);
+  teammateTimer = active
+    ? setInterval(simulateTeammate, settings.teammateInterval)
+    : null;
+}
+
+/**
+ * Se suscribe a los eventos de tiempo real de la API simulada
+ * Recibe `{ type, data }` por cada incidente creado, modificado o eliminado.
+ * @param {Function} listener - Recibe cada evento
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function subscribeMockEvents(listener) {
+  if (!seeded) seed();
+
+  eventListeners.add(listener);
+  updateTeammate();
+
+  return () => {
+    eventListeners.delete(listener);
+    updateTeammate();
+  };
+}
+
+/**
+ * Construye una respuesta JSON
+ * @param {number} status - Código de estado
+ * @param {any} body - Cuerpo de la respuesta
+ * @param {Object} [headers={}] - Cabeceras adicionales
+ * @returns {Response} Respuesta
+ */
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+/**
+ * Respuesta de error de validación
+ * @param {Object} errors - Errores por campo
+ * @returns {Response} Respuesta 400
+ */
+function validationError(errors) {
+  return jsonResponse(400, {
+    error: Object.values(errors)[0],
+    errors,
+  });
+}
+
+/**
+ * Emite un par de tokens para un usuario
+ * @param {Object} user - Usuario
+ * @returns {Object} Sesión ({ accessToken, refreshToken, expiresIn, user })
+ */
+function issueTokens(user) {
+  const suffix = `${Date.now().toString(36)}${(tokenCounter++).toString(36)}`;
+  const accessToken = `mock-access-${suffix}`;
+  const refreshToken = `mock-refresh-${suffix}`;
+
+  accessTokens.set(accessToken, {
+    userId: user.id,
+    expiresAt: Date.now() + settings.tokenTTL,
+  });
+  refreshTokens.set(refreshToken, user.id);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: Math.round(settings.tokenTTL / 1000),
+    user: { id: user.id, username: user.username, name: user.name },
+  };
+}
+
+/**
+ * Filtra, ordena y pagina la colección según los parámetros de la URL
+ * Admite `status`, `q` (texto en reportador o descripción), `sort` (campo,
+ * con "-" delante para orden descendente), `page` y `pageSize`.
+ * @param {URLSearchParams} query - Parámetros de la URL
+ * @returns {{ items: Array, total: number, paginated: boolean }} Resultado
+ */
+function queryIncidents(query) {
+  let items = incidents.slice();
+
+  const status = query.get("status");
+  if (status) {
+    items = items.filter((incident) => incident.status === status);
+  }
+
+  const q = (query.get("q") || "").trim().toLowerCase();
+  if (q) {
+    items = items.filter(
+      (incident) =>
+        incident.reporter.toLowerCase().includes(q) ||
+        incident.description.toLowerCase().includes(q)
+    );
+  }
+
+  const sort = query.get("sort");
+  if (sort) {
+    const descending = sort.startsWith("-");
+    const field = descending ? sort.slice(1) : sort;
+    const direction = descending ? -1 : 1;
+
+    items.sort((a, b) => {
+      const left = a[field];
+      const right = b[field];
+
+      if (typeof left === "string" && typeof right === "string") {
+        return left.localeCompare(right) * direction;
+      }
+      return (left > right ? 1 : left < right ? -1 : 0) * direction;
+    });
+  }
+
+  const total = items.length;
+
+  if (!query.has("page")) {
+    return { items, total, paginated: false };
+  }
+
+  const page = Math.max(1, parseInt(query.get("page"), 10) || 1);
+  const pageSize = Math.max(
+    1,
+    parseInt(query.get("pageSize"), 10) || CONFIG.PAGINATION.PAGE_SIZE
+  );
+
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    total,
+    paginated: true,
+  };
+}
+
+/**
+ * Comprueba las credenciales de una petición a /incidents
+ * @param {Object} headers - Cabeceras de la petición
+ * @returns {Response|null} Respuesta 401 o null si la petición está autorizada
+ */
+function checkAuthorization(headers) {
+  const authorization = headers.Authorization || headers.authorization;
+
+  if (!authorization) {
+    return settings.requireAuth
+      ? jsonResponse(401, { error: "Autenticación requerida" })
+      : null;
+  }
+
+  const session = accessTokens.get(authorization.replace(/^Bearer\s+/i, ""));
+  if (!session) {
+    return jsonResponse(401, { error: "Token no válido" });
+  }
+  if (session.expiresAt <= Date.now()) {
+    return jsonResponse(401, { error: "Token expirado" });
+  }
+
+  return null;
+}
+
+/**
+ * Resuelve las peticiones de autenticación
+ * @param {string} method - Método HTTP
+ * @param {string} action - Acción ("login" o "refresh")
+ * @param {Object|null} body - Cuerpo de la petición
+ * @returns {Response} Respuesta
+ */
+function routeAuth(method, action, body) {
+  if (method !== "POST") {
+    return jsonResponse(405, { error: `Método ${method} no permitido` });
+  }
+
+  switch (action) {
+    case "login": {
+      const { username, password } = body || {};
+      const user = USERS.find(
+        (candidate) =>
+          candidate.username === username && candidate.password === password
+      );
+
+      if (!user) {
+        return jsonResponse(401, { error: "Usuario o contraseña incorrectos" });
+      }
+
+      return jsonResponse(200, issueTokens(user));
+    }
+
+    case "refresh": {
+      const refreshToken = body && body.refreshToken;
+      const userId = refreshTokens.get(refreshToken);
+
+      if (!userId) {
+        return jsonResponse(401, { error: "Sesión expirada" });
+      }
+
+      // Cada refresh token solo se puede usar una vez
+      refreshTokens.delete(refreshToken);
+      return jsonResponse(
+        200,
+        issueTokens(USERS.find((user) => user.id === userId))
+      );
+    }
+
+    default:
+      return jsonResponse(404, { error: "Ruta no encontrada" });
+  }
+}
+
+/**
+ * Resuelve una operación por lotes sobre varios incidentes
+ * Cuerpo: `{ action: "updateStatus" | "delete", ids: [...], status }`. Responde
+ * 200 con el resultado de cada incidente: `{ results: [{ id, success, status, data, error }] }`.
+ * @param {string} method - Método HTTP
+ * @param {Object|null} body - Cuerpo de la petición
+ * @returns {Response} Respuesta
+ */
+function routeBatch(method, body) {
+  if (method !== "POST") {
+    return jsonResponse(405, { error: `Método ${method} no permitido` });
+  }
+
+  const { action, ids, status } = body || {};
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return validationError({ ids: "Se requiere al menos un incidente" });
+  }
+
+  if (action !== "updateStatus" && action !== "delete") {
+    return validationError({ action: "Acción no válida" });
+  }
+
+  if (action === "updateStatus") {
+    const errors = validateIncident({ status }, { partial: true });
+    if (errors) return validationError(errors);
+  }
+
+  const results = ids.map((id) => {
+    const index = incidents.findIndex(
+      (incident) => String(incident.id) === String(id)
+    );
+
+    if (index === -1) {
+      return { id, success: false, status: 404, error: "Incidente no encontrado" };
+    }
+
+    if (action === "delete") {
+      emitMockEvent("incident.deleted", { id: incidents[index].id });
+      incidents.splice(index, 1);
+      return { id, success: true, status: 200, data: null };
+    }
+
+    incidents[index] = { ...incidents[index], status };
+    emitMockEvent("incident.updated", incidents[index]);
+    return { id, success: true, status: 200, data: incidents[index] };
+  });
+
+  version++;
+  return jsonResponse(200, { results });
+}
+
+/**
+ * Resuelve una petición contra los datos simulados
+ * @param {string} method - Método HTTP
+ * @param {string[]} segments - Segmentos de la ruta
+ * @param {Object|null} body - Cuerpo de la petición
+ * @param {Object} headers - Cabeceras de la petición
+ * @param {URLSearchParams} query - Parámetros de la URL
+ * @returns {Response} Respuesta
+ */
+function route(method, segments, body, headers, query) {
+  const [resource, id] = segments;
+
+  if (!RESOURCES.includes(resource) || segments.length > 2) {
+    return jsonResponse(404, { error: "Ruta no encontrada" });
+  }
+
+  if (resource === "auth") {
+    return routeAuth(method, id, body);
+  }
+
+  const unauthorized = checkAuthorization(headers);
+  if (unauthorized) return unauthorized;
+
+  // Colección
+  if (!id) {
+    if (method === "GET") {
+      const etag = `"incidents-${version}"`;
+      if (headers["If-None-Match"] === etag) {
+        return new Response(null, { status: 304, headers: { ETag: etag } });
+      }
+
+      // Con `page` responde una página e informa del total en una cabecera
+      const { items, total, paginated } = queryIncidents(query);
+      return jsonResponse(200, items, {
+        ETag: etag,
+        ...(paginated ? { [CONFIG.PAGINATION.TOTAL_COUNT_HEADER]: String(total) } : {}),
+      });
+    }
+
+    if (method === "POST") {
+      const errors = validateIncident(body || {});
+      if (errors) return validationError(errors);
+
+      const incident = {
+        id: nextId++,
+        reporter: body.reporter.trim(),
+        description: body.description.trim(),
+        status: body.status || PENDING,
+        created_at: new Date().toISOString(),
+      };
+
+      incidents.push(incident);
+      version++;
+      emitMockEvent("incident.created", incident);
+      return jsonResponse(201, incident);
+    }
+
+    return jsonResponse(405, { error: `Método ${method} no permitido` });
+  }
+
+  if (id === "batch") {
+    return routeBatch(method, body);
+  }
+
+  // Recurso individual
+  const index = incidents.findIndex((incident) => String(incident.id) === id);
+  if (index === -1) {
+    return jsonResponse(404, { error: "Incidente no encontrado" });
+  }
+
+  switch (method) {
+    case "GET":
+      return jsonResponse(200, incidents[index]);
+
+    case "PUT": {
+      const errors = validateIncident(body || {}, { partial: true });
+      if (errors) return validationError(errors);
+
+      // El identificador y la fecha de creación no son editables
+      const { id: _id, created_at: _createdAt, ...changes } = body;
+      incidents[index] = { ...incidents[index], ...changes };
+      version++;
+      emitMockEvent("incident.updated", incidents[index]);
+      return jsonResponse(200, incidents[index]);
+    }
+
+    case "DELETE":
+      emitMockEvent("incident.deleted", { id: incidents[index].id });
+      incidents.splice(index, 1);
+      version++;
+      return jsonResponse(200, { message: "Incidente eliminado" });
+
+    default:
+      return jsonResponse(405, { error: `Método ${method} no permitido` });
+  }
+}
+
+/**
+ * Espera la latencia simulada, interrumpible mediante una señal
+ * @param {AbortSignal} [signal] - Señal de cancelación
+ * @returns {Promise<void>}
+ */
+function simulateLatency(signal) {
+  const { MIN, MAX } = settings.latency;
+  const delay = MIN + Math.random() * (MAX - MIN);
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delay);
+
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new DOMException("Petición cancelada", "AbortError"));
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+/**
+ * Sustituto de fetch que responde desde los datos simulados
+ * @param {string} url - URL de la petición
+ * @param {Object} [options={}] - Opciones de fetch
+ * @returns {Promise<Response>} Respuesta simulada
+ */
+export async function mockFetch(url, options = {}) {
+  const { method = "GET", body, headers = {}, signal } = options;
+
+  if (!seeded) seed();
+
+  await simulateLatency(signal);
+
+  // Fallo transitorio simulado
+  if (Math.random() < settings.errorRate) {
+    return jsonResponse(503, { error: "Servicio no disponible (simulado)" });
+  }
+
+  // Ignorar el prefijo de la URL base (ej: "/api/incidents/5" -> ["incidents", "5"])
+  const { pathname, searchParams } = new URL(url, self.location.href);
+  const segments = pathname.split("/").filter(Boolean);
+  const start = Math.max(
+    segments.findIndex((segment) => RESOURCES.includes(segment)),
+    0
+  );
+
+  let parsedBody = null;
+  if (body) {
+    try {
+      parsedBody = JSON.parse(body);
+    } catch (error) {
+      return jsonResponse(400, { error: "El cuerpo de la petición no es JSON válido" });
+    }
+  }
+
+  return route(method, segments.slice(start), parsedBody, headers, searchParams);
+}
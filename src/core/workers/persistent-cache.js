@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Cache persistente de respuestas sobre IndexedDB
+ * Segundo nivel del cache del API Worker: sobrevive a recargas de la página
+ * para que la aplicación arranque con los últimos datos conocidos.
+ */
+
+// Nombre y versión del esquema de la base de datos
+const DB_NAME = "incidents-api-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "responses";
+
+// Tamaño máximo del cache persistente en bytes (aprox. 5 MB)
+const MAX_BYTES = 5 * 1024 * 1024;
+
+// Escrituras tras las que se recorre el almacén aunque no se haya superado la
+// cuota (retira lo caducado y corrige lo escrito por workers de otras pestañas)
+const QUOTA_SCAN_INTERVAL = 50;
+
+// Migraciones por versión del esquema; cada una recibe la base de datos y la transacción de upgrade
+const migrations = {
+  1: (db) => {
+    const store = db.createObjectStore(STORE_NAME, { keyPath: "key" });
+    store.createIndex("timestamp", "timestamp");
+    store.createIndex("expiresAt", "expiresAt");
+    store.createIndex("tags", "tags", { multiEntry: true });
+  },
+};
+
+// Promesa de conexión compartida (null si IndexedDB no está disponible)
+let dbPromise = null;
+
+// Espacio de nombres activo (cada transporte tiene su propia base de datos)
+let namespace = null;
+
+// Tamaño total estimado desde el último recorrido (null si no se conoce).
+// Las eliminaciones no lo descuentan: sobrestimar solo adelanta un recorrido
+let estimatedSize = null;
+let writesSinceScan = 0;
+
+/**
+ * Convierte una IDBRequest en promesa
+ * @param {IDBRequest} request - Petición de IndexedDB
+ * @returns {Promise<any>} Resultado de la petición
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Abre (o crea/migra) la base de datos
+ * @returns {Promise<IDBDatabase|null>} Conexión o null si no hay soporte
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === "undefined") {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  const pending = new Promise((resolve) => {
+    const request = indexedDB.open(
+      namespace ? `${DB_NAME}-${namespace}` : DB_NAME,
+      DB_VERSION
+    );
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      // Aplicar en orden las migraciones pendientes
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        migrations[version](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Otra pestaña actualizó el esquema: cerrar para no bloquearla
+      db.onversionchange = () => {
+        db.close();
+        if (dbPromise === pending) dbPromise = null;
+      };
+
+      resolve(db);
+    };
+
+    // Sin IndexedDB (modo privado, cuota agotada...) se trabaja solo en memoria
+    request.onerror = () => {
+      console.warn("⚠️ Cache persistente no disponible:", request.error);
+      resolve(null);
+    };
+  });
+
+  dbPromise = pending;
+  return dbPromise;
+}
+
+/**
+ * Cambia el espacio de nombres de la cache persistente
+ * Las respuestas de la API simulada no deben servirse con la real (ni al revés):
+ * cada una usa su base de datos y la de la otra se conserva intacta.
+ * @param {string|null} name - Espacio de nombres (null para el de la API real)
+ */
+export function useNamespace(name) {
+  if (name === namespace) return;
+
+  const previous = dbPromise;
+  namespace = name;
+  dbPromise = null;
+  estimatedSize = null;
+  writesSinceScan = 0;
+
+  if (previous) {
+    previous.then((db) => db && db.close());
+  }
+}
+
+/**
+ * Ejecuta una operación dentro de una transacción sobre el almacén
+ * @param {IDBTransactionMode} mode - Modo de la transacción
+ * @param {Function} operation - Recibe el object store y devuelve una promesa
+ * @param {any} fallback - Valor devuelto si no hay base de datos
+ * @returns {Promise<any>} Resultado de la operación
+ */
+async function withStore(mode, operation, fallback) {
+  const db = await openDatabase();
+  if (!db) return fallback;
+
+  try {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onabort = () => reject(transaction.error);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    const result = await operation(transaction.objectStore(STORE_NAME));
+    await completed;
+
+    return result;
+  } catch (error) {
+    console.warn("⚠️ Error en cache persistente:", error);
+    return fallback;
+  }
+}
+
+/**
+ * Recorre las entradas del almacén o de un índice con un cursor
+ * @param {IDBObjectStore|IDBIndex} source - Origen del cursor
+ * @param {IDBKeyRange|string} [query] - Rango o clave a recorrer
+ * @param {Function} onEntry - Recibe (entrada, cursor) por cada resultado
+ * @returns {Promise<void>}
+ */
+function iterate(source, query, onEntry) {
+  return new Promise((resolve, reject) => {
+    const request = source.openCursor(query);
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+
+      onEntry(cursor.value, cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Obtiene una entrada vigente del cache persistente
+ * @param {string} key - Clave de cache
+ * @returns {Promise<Object|null>} Entrada o null si no existe o caducó
+ */
+export function getEntry(key) {
+  return withStore(
+    "readonly",
+    async (store) => {
+      const entry = await promisify(store.get(key));
+
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry;
+    },
+    null
+  );
+}
+
+/**
+ * Guarda una entrada en el cache persistente y aplica la cuota de tamaño
+ * @param {string} key - Clave de cache
+ * @param {Object} entry - Entrada ({ timestamp, data, tags })
+ * @param {number} ttl - Tiempo de vida total de la entrada en ms
+ * @returns {Promise<void>}
+ */
+export async function setEntry(key, entry, ttl) {
+  const record = {
+    ...entry,
+    key,
+    expiresAt: entry.timestamp + ttl,
+    size: JSON.stringify(entry.data).length,
+  };
+
+  // Una entrada mayor que la cuota completa no se persiste
+  if (record.size > MAX_BYTES) return;
+
+  const previousSize = await withStore(
+    "readwrite",
+    async (store) => {
+      const previous = await promisify(store.get(key));
+      await promisify(store.put(record));
+      return previous ? previous.size : 0;
+    },
+    null
+  );
+
+  // Sin base de datos o la escritura falló
+  if (previousSize === null) return;
+
+  writesSinceScan++;
+  if (estimatedSize !== null) {
+    estimatedSize += record.size - previousSize;
+  }
+
+  // Recorrer el almacén solo si la cuota puede haberse superado
+  if (
+    estimatedSize === null ||
+    estimatedSize > MAX_BYTES ||
+    writesSinceScan >= QUOTA_SCAN_INTERVAL
+  ) {
+    await enforceQuota();
+  }
+}
+
+/**
+ * Elimina entradas por clave
+ * @param {string[]} keys - Claves a eliminar
+ * @returns {Promise<string[]>} Claves eliminadas
+ */
+export function deleteEntries(keys) {
+  return withStore(
+    "readwrite",
+    async (store) => {
+      await Promise.all(keys.map((key) => promisify(store.delete(key))));
+      return keys;
+    },
+    []
+  );
+}
+
+/**
+ * Elimina las entradas asociadas a alguna de las etiquetas
+ * @param {string[]} tags - Etiquetas a invalidar
+ * @returns {Promise<string[]>} Claves eliminadas
+ */
+export function deleteByTags(tags) {
+  return withStore(
+    "readwrite",
+    async (store) => {
+      const purged = new Set();
+      const index = store.index("tags");
+
+      for (const tag of tags) {
+        await iterate(index, tag, (entry, cursor) => {
+          purged.add(entry.key);
+          cursor.delete();
+        });
+      }
+
+      return Array.from(purged);
+    },
+    []
+  );
+}
+
+/**
+ * Elimina las entradas que cumplen una condición
+ * @param {Function} predicate - Recibe la entrada y devuelve true para eliminarla
+ * @returns {Promise<string[]>} Claves eliminadas
+ */
+export function deleteWhere(predicate) {
+  return withStore(
+    "readwrite",
+    async (store) => {
+      const purged = [];
+
+      await iterate(store, undefined, (entry, cursor) => {
+        if (predicate(entry)) {
+          purged.push(entry.key);
+          cursor.delete();
+        }
+      });
+
+      return purged;
+    },
+    []
+  );
+}
+
+/**
+ * Vacía el cache persistente
+ * @returns {Promise<string[]>} Claves eliminadas
+ */
+export function clearEntries() {
+  return withStore(
+    "readwrite",
+    async (store) => {
+      const keys = await promisify(store.getAllKeys());
+      await promisify(store.clear());
+      estimatedSize = 0;
+      return keys;
+    },
+    []
+  );
+}
+
+/**
+ * Elimina las entradas caducadas y, si se supera la cuota, las más antiguas
+ * Recorre todo el almacén: setEntry solo lo llama cuando hace falta.
+ * @returns {Promise<void>}
+ */
+export function enforceQuota() {
+  return withStore("readwrite", async (store) => {
+    const now = Date.now();
+    let totalSize = 0;
+    const alive = [];
+
+    // Recorrer por antigüedad eliminando lo caducado
+    await iterate(store.index("timestamp"), undefined, (entry, cursor) => {
+      if (entry.expiresAt <= now) {
+        cursor.delete();
+        return;
+      }
+
+      totalSize += entry.size;
+      alive.push(entry);
+    });
+
+    // Desalojar las entradas más antiguas hasta cumplir la cuota
+    for (const entry of alive) {
+      if (totalSize <= MAX_BYTES) break;
+
+      await promisify(store.delete(entry.key));
+      totalSize -= entry.size;
+    }
+
+    estimatedSize = totalSize;
+    writesSinceScan = 0;
+  });
+}
+
+/**
+ * Obtiene estadísticas del cache persistente
+ * @returns {Promise<Object>} Estadísticas
+ */
+export function getStats() {
+  return withStore(
+    "readonly",
+    async (store) => {
+      const entries = await promisify(store.getAll());
+
+      return {
+        available: true,
+        size: entries.length,
+        keys: entries.map((entry) => entry.key),
+        totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+        quota: MAX_BYTES,
+        schemaVersion: DB_VERSION,
+      };
+    },
+    { available: false, size: 0, keys: [], totalSize: 0, quota: MAX_BYTES }
+  );
+}
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Canal de tiempo real del API Worker
+ * Mantiene una conexión Server-Sent Events (EventSource) o WebSocket con la API
+ * y entrega los eventos de incidentes. Si la conexión se pierde, se reconecta
+ * con espera exponencial. Con la API simulada los eventos los genera la propia
+ * simulación, sin tocar la red.
+ *
+ * Formato de los eventos: un evento SSE con nombre (`event: incident.updated`)
+ * y el incidente como datos, o un mensaje `{ type, data }` por cualquiera de
+ * los dos transportes. En `incident.deleted` basta con `{ id }`.
+ */
+
+import { subscribeMockEvents } from "./mock-api.js";
+
+// Eventos de incidentes que entiende el cliente
+export const REALTIME_EVENTS = [
+  "incident.created",
+  "incident.updated",
+  "incident.deleted",
+];
+
+// Espera de reconexión por defecto (ms)
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 30000;
+
+// Conexión activa: EventSource, WebSocket o suscripción a la API simulada
+let connection = null;
+// Opciones de la conexión activa (null si el canal está cerrado)
+let settings = null;
+// Destino de los eventos y de los cambios de estado
+let handlers = { onEvent: () => {}, onStatus: () => {} };
+// Estado: "closed", "connecting", "open", "reconnecting" o "unsupported"
+let status = "closed";
+// Reconexiones seguidas sin llegar a abrir
+let attempts = 0;
+let reconnectTimer = null;
+
+/**
+ * Cambia el estado del canal y lo notifica
+ * @param {string} nextStatus - Nuevo estado
+ */
+function setStatus(nextStatus) {
+  if (nextStatus === status) return;
+
+  status = nextStatus;
+  handlers.onStatus(status);
+}
+
+/**
+ * Interpreta un evento recibido
+ * @param {string} name - Nombre del evento SSE ("message" si no tiene)
+ * @param {string|Object} raw - Datos del evento
+ * @returns {{ type: string, data: Object }|null} Evento o null si no es de incidentes
+ */
+function parseEvent(name, raw) {
+  let message;
+
+  try {
+    message = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (error) {
+    console.warn("⚠️ Evento de tiempo real con datos no válidos:", raw);
+    return null;
+  }
+
+  if (!message || typeof message !== "object") return null;
+
+  // Sobre { type, data } o evento con nombre y el incidente como datos
+  const isEnvelope = typeof message.type === "string";
+  const type = isEnvelope ? message.type : name;
+  const data = isEnvelope ? message.data : message;
+
+  if (!REALTIME_EVENTS.includes(type) || !data || typeof data !== "object") {
+    return null;
+  }
+
+  return { type, data };
+}
+
+/**
+ * Entrega un evento recibido por la conexión activa
+ * @param {string} name - Nombre del evento
+ * @param {string|Object} raw - Datos del evento
+ */
+function deliver(name, raw) {
+  const event = parseEvent(name, raw);
+  if (event) handlers.onEvent(event);
+}
+
+/**
+ * Construye la URL de conexión con las credenciales de la sesión
+ * EventSource y WebSocket no permiten cabeceras: el token viaja en la URL.
+ * @returns {string} URL
+ */
+function buildUrl() {
+  const url = new URL(settings.url, self.location.href);
+  const token = settings.getToken ? settings.getToken() : null;
+
+  if (token) url.searchParams.set("access_token", token);
+
+  if (settings.transport === "websocket") {
+    url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  }
+
+  return url.toString();
+}
+
+/**
+ * Marca la conexión como abierta
+ */
+function handleOpen() {
+  attempts = 0;
+  setStatus("open");
+}
+
+/**
+ * Abre una conexión Server-Sent Events
+ * @returns {EventSource} Conexión
+ */
+function openEventSource() {
+  const eventSource = new EventSource(buildUrl());
+
+  eventSource.onopen = handleOpen;
+  eventSource.onmessage = (event) => deliver("message", event.data);
+  REALTIME_EVENTS.forEach((type) => {
+    eventSource.addEventListener(type, (event) => deliver(type, event.data));
+  });
+
+  // EventSource se reconecta solo y sin espera: se cierra y se aplica la nuestra
+  eventSource.onerror = () => {
+    if (connection !== eventSource) return;
+
+    eventSource.close();
+    scheduleReconnect();
+  };
+
+  return eventSource;
+}
+
+/**
+ * Abre una conexión WebSocket
+ * @returns {WebSocket} Conexión
+ */
+function openWebSocket() {
+  const socket = new WebSocket(buildUrl());
+
+  socket.onopen = handleOpen;
+  socket.onmessage = (event) => deliver("message", event.data);
+  socket.onclose = () => {
+    if (connection === socket) scheduleReconnect();
+  };
+
+  return socket;
+}
+
+/**
+ * Se suscribe a los eventos de la API simulada
+ * @returns {{ close: Function }} Conexión
+ */
+function openMock() {
+  const mockConnection = {
+    close: subscribeMockEvents((event) => deliver(event.type, event)),
+  };
+
+  // Abrir en la siguiente vuelta, como una conexión real
+  setTimeout(() => {
+    if (connection === mockConnection) handleOpen();
+  }, 0);
+
+  return mockConnection;
+}
+
+/**
+ * Abre la conexión según el transporte configurado
+ */
+function connect() {
+  reconnectTimer = null;
+  if (!settings) return;
+
+  const transportName =
+    settings.transport === "websocket" ? "WebSocket" : "EventSource";
+  if (!settings.mock && typeof self[transportName] === "undefined") {
+    console.warn(
+      `⚠️ ${transportName} no está disponible: sin actualizaciones en tiempo real`
+    );
+    setStatus("unsupported");
+    return;
+  }
+
+  setStatus(attempts > 0 ? "reconnecting" : "connecting");
+
+  try {
+    if (settings.mock) {
+      connection = openMock();
+    } else if (settings.transport === "websocket") {
+      connection = openWebSocket();
+    } else {
+      connection = openEventSource();
+    }
+  } catch (error) {
+    console.warn("⚠️ No se pudo abrir el canal de tiempo real:", error);
+    scheduleReconnect();
+  }
+}
+
+/**
+ * Programa una reconexión con espera exponencial (con variación aleatoria)
+ */
+function scheduleReconnect() {
+  connection = null;
+  if (!settings || reconnectTimer) return;
+
+  const baseDelay = settings.reconnectBaseDelay || DEFAULT_BASE_DELAY;
+  const maxDelay = settings.reconnectMaxDelay || DEFAULT_MAX_DELAY;
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempts);
+
+  attempts++;
+  setStatus("reconnecting");
+  reconnectTimer = setTimeout(connect, delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Cierra la conexión activa sin programar reconexiones
+ */
+function closeConnection() {
+  const current = connection;
+  connection = null;
+
+  if (current) current.close();
+}
+
+/**
+ * Abre el canal de tiempo real (cierra antes el que hubiera)
+ * @param {Object} options - Opciones
+ * @param {string} options.url - URL del endpoint de eventos
+ * @param {string} [options.transport="sse"] - "sse" o "websocket"
+ * @param {boolean} [options.mock] - Recibir los eventos de la API simulada
+ * @param {Function} [options.getToken] - Devuelve el access token vigente
+ * @param {number} [options.reconnectBaseDelay] - Espera inicial de reconexión (ms)
+ * @param {number} [options.reconnectMaxDelay] - Espera máxima de reconexión (ms)
+ * @param {Object} nextHandlers - Destinos ({ onEvent, onStatus })
+ */
+export function startRealtime(options, nextHandlers) {
+  stopRealtime();
+
+  settings = options;
+  handlers = nextHandlers;
+  attempts = 0;
+  connect();
+}
+
+/**
+ * Cierra el canal de tiempo real
+ */
+export function stopRealtime() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  settings = null;
+  closeConnection();
+  setStatus("closed");
+}
+
+/**
+ * Obtiene el estado del canal
+ * @returns {string} Estado ("closed", "connecting", "open", "reconnecting" o "unsupported")
+ */
+export function getRealtimeStatus() {
+  return status;
+}
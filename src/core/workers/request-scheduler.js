@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Planificador de peticiones del API Worker
+ * Limita las peticiones de red simultáneas y las atiende por prioridad: las
+ * acciones del usuario se adelantan a las precargas, el polling y las
+ * revalidaciones en segundo plano. Dentro de una misma prioridad el orden es FIFO.
+ */
+
+// Prioridades soportadas (menor número = antes)
+export const PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2,
+};
+
+// Peticiones de red simultáneas por defecto
+const DEFAULT_CONCURRENCY = 6;
+
+let concurrency = DEFAULT_CONCURRENCY;
+let active = 0;
+
+// Tareas en espera por prioridad: [alta, normal, baja]
+const queues = [[], [], []];
+
+// Estadísticas acumuladas
+const stats = {
+  // Tareas que tuvieron que esperar turno
+  queued: 0,
+  // Tareas canceladas mientras esperaban
+  cancelled: 0,
+  // Máximo de tareas en espera a la vez
+  maxDepth: 0,
+  // Tareas que esperaron y ya salieron de la cola, y su espera total (ms)
+  waited: 0,
+  totalWait: 0,
+  // Tareas iniciadas
+  started: 0,
+};
+
+/**
+ * Resuelve la prioridad de una petición
+ * Las mutaciones son acciones del usuario: por defecto tienen prioridad alta.
+ * @param {string} [priority] - Prioridad solicitada ("high", "normal" o "low")
+ * @param {string} method - Método HTTP
+ * @returns {number} Índice de la cola
+ */
+export function resolvePriority(priority, method) {
+  if (Object.prototype.hasOwnProperty.call(PRIORITIES, priority)) {
+    return PRIORITIES[priority];
+  }
+  return method === "GET" ? PRIORITIES.normal : PRIORITIES.high;
+}
+
+/**
+ * Obtiene el número de tareas en espera
+ * @returns {number} Tareas en espera
+ */
+function getDepth() {
+  return queues.reduce((total, queue) => total + queue.length, 0);
+}
+
+/**
+ * Inicia tareas en espera mientras haya hueco
+ */
+function drain() {
+  while (active < concurrency) {
+    const queue = queues.find((candidate) => candidate.length > 0);
+    if (!queue) return;
+
+    const entry = queue.shift();
+    stats.waited++;
+    stats.totalWait += Date.now() - entry.enqueuedAt;
+    run(entry);
+  }
+}
+
+/**
+ * Ejecuta una tarea ocupando un hueco hasta que termine
+ * @param {Object} entry - Tarea ({ task, resolve, reject, signal, handleAbort })
+ */
+function run(entry) {
+  if (entry.signal) {
+    entry.signal.removeEventListener("abort", entry.handleAbort);
+  }
+
+  active++;
+  stats.started++;
+
+  Promise.resolve()
+    .then(entry.task)
+    .then(entry.resolve, entry.reject)
+    .finally(() => {
+      active--;
+      drain();
+    });
+}
+
+/**
+ * Programa una tarea de red
+ * Si hay hueco se ejecuta de inmediato; si no, espera su turno según prioridad.
+ * Cancelar la señal mientras espera la retira de la cola y rechaza con AbortError.
+ * @param {Function} task - Tarea que devuelve una promesa (ej: el fetch)
+ * @param {Object} [options={}] - Opciones
+ * @param {number} [options.priority=PRIORITIES.normal] - Índice de prioridad (ver resolvePriority)
+ * @param {AbortSignal} [options.signal] - Señal de cancelación
+ * @returns {Promise<any>} Resultado de la tarea
+ */
+export function schedule(task, options = {}) {
+  const { priority = PRIORITIES.normal, signal } = options;
+
+  if (signal && signal.aborted) {
+    return Promise.reject(new DOMException("Petición cancelada", "AbortError"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = {
+      task,
+      resolve,
+      reject,
+      signal,
+      enqueuedAt: Date.now(),
+    };
+
+    if (active < concurrency && getDepth() === 0) {
+      run(entry);
+      return;
+    }
+
+    const queue = queues[priority] || queues[PRIORITIES.normal];
+
+    entry.handleAbort = () => {
+      const index = queue.indexOf(entry);
+      if (index !== -1) queue.splice(index, 1);
+
+      stats.cancelled++;
+      reject(new DOMException("Petición cancelada", "AbortError"));
+    };
+
+    if (signal) {
+      signal.addEventListener("abort", entry.handleAbort, { once: true });
+    }
+
+    queue.push(entry);
+    stats.queued++;
+    stats.maxDepth = Math.max(stats.maxDepth, getDepth());
+  });
+}
+
+/**
+ * Configura el planificador
+ * @param {Object} [options={}] - Opciones
+ * @param {number} [options.concurrency] - Peticiones de red simultáneas (mínimo 1)
+ */
+export function configureScheduler(options = {}) {
+  if (typeof options.concurrency === "number") {
+    concurrency = Math.max(1, Math.floor(options.concurrency));
+    drain();
+  }
+}
+
+/**
+ * Obtiene el estado de la cola
+ * @returns {Object} Estado ({ concurrency, active, depth, byPriority, ... })
+ */
+export function getSchedulerStats() {
+  return {
+    concurrency,
+    active,
+    depth: getDepth(),
+    byPriority: {
+      high: queues[PRIORITIES.high].length,
+      normal: queues[PRIORITIES.normal].length,
+      low: queues[PRIORITIES.low].length,
+    },
+    ...stats,
+    avgWait: stats.waited ? Math.round(stats.totalWait / stats.waited) : 0,
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Esquemas de las respuestas de la API
+ * Describen de forma declarativa los recursos que espera la UI. El núcleo de API
+ * valida y normaliza cada respuesta antes de cachearla: convierte fechas a ISO,
+ * normaliza los estados contra CONFIG.INCIDENT_STATUS y aparta (cuarentena) los
+ * registros de una colección que no se pueden reparar.
+ */
+
+import { CONFIG } from "../../config.js";
+
+// Variantes de escritura aceptadas para cada estado (en minúsculas y sin separadores)
+const STATUS_ALIASES = {
+  [CONFIG.INCIDENT_STATUS.PENDING]: ["pendiente", "pending", "open", "abierto"],
+  [CONFIG.INCIDENT_STATUS.IN_PROGRESS]: [
+    "en proceso",
+    "en progreso",
+    "in progress",
+    "inprogress",
+    "processing",
+  ],
+  [CONFIG.INCIDENT_STATUS.RESOLVED]: [
+    "resuelto",
+    "resolved",
+    "closed",
+    "cerrado",
+    "done",
+  ],
+};
+
+/**
+ * Esquema de un incidente
+ * Cada campo declara su tipo y si es obligatorio. Un campo obligatorio inválido
+ * invalida el registro; uno opcional inválido se descarta con un aviso.
+ */
+export const INCIDENT_SCHEMA = {
+  name: "incident",
+  fields: {
+    id: { type: "id", required: true },
+    reporter: { type: "string", required: true },
+    description: { type: "string", required: true },
+    status: { type: "enum", required: true, aliases: STATUS_ALIASES },
+    created_at: { type: "date", required: true },
+    updated_at: { type: "date" },
+  },
+};
+
+// Esquemas disponibles por nombre (las peticiones indican el suyo con `schema`)
+export const SCHEMAS = {
+  incident: INCIDENT_SCHEMA,
+  incidents: { name: "incidents", list: true, item: INCIDENT_SCHEMA },
+};
+
+/**
+ * Simplifica un texto para compararlo con los alias de un enumerado
+ * Ej: "  EN_PROCESO " -> "en proceso"
+ * @param {string} value - Texto original
+ * @returns {string} Texto normalizado
+ */
+function normalizeToken(value) {
+  return value.trim().toLowerCase().replace(/[\s_-]+/g, " ");
+}
+
+/**
+ * Convierte un valor según la definición de su campo
+ * @param {any} value - Valor recibido
+ * @param {Object} field - Definición del campo
+ * @returns {{ value?: any, error?: string }} Valor convertido o error
+ */
+function coerceField(value, field) {
+  switch (field.type) {
+    case "id":
+      if (typeof value === "number" && Number.isFinite(value)) return { value };
+      if (typeof value === "string" && value.trim()) return { value: value.trim() };
+      return { error: "no es un identificador válido" };
+
+    case "string":
+      if (typeof value === "number") return { value: String(value) };
+      if (typeof value === "string" && value.trim()) return { value: value.trim() };
+      return { error: "debe ser un texto no vacío" };
+
+    case "date": {
+      // Acepta fechas ISO/HTTP y marcas de tiempo en segundos o milisegundos
+      let date = null;
+
+      if (typeof value === "number") {
+        date = new Date(value < 1e12 ? value * 1000 : value);
+      } else if (typeof value === "string" && value.trim()) {
+        date = new Date(value.trim());
+      }
+
+      if (!date || Number.isNaN(date.getTime())) {
+        return { error: "no es una fecha válida" };
+      }
+      return { value: date.toISOString() };
+    }
+
+    case "enum": {
+      if (typeof value !== "string") return { error: "debe ser un texto" };
+
+      const token = normalizeToken(value);
+      for (const [canonical, aliases] of Object.entries(field.aliases)) {
+        if (aliases.includes(token)) return { value: canonical };
+      }
+      return { error: `valor desconocido "${value}"` };
+    }
+
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Valida y normaliza un registro
+ * Los campos que el esquema no declara se conservan tal cual.
+ * @param {Object} schema - Esquema del registro
+ * @param {any} record - Registro recibido
+ * @returns {{ value: Object|null, errors: string[], warnings: string[] }}
+ *   Registro normalizado (null si es inválido), errores y avisos
+ */
+export function validateRecord(schema, record) {
+  if (record === null || typeof record !== "object" || Array.isArray(record)) {
+    return { value: null, errors: ["el registro no es un objeto"], warnings: [] };
+  }
+
+  const value = { ...record };
+  const errors = [];
+  const warnings = [];
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const raw = record[name];
+
+    if (raw === undefined || raw === null) {
+      if (field.required) errors.push(`${name}: es obligatorio`);
+      continue;
+    }
+
+    const coerced = coerceField(raw, field);
+
+    if (coerced.error) {
+      if (field.required) {
+        errors.push(`${name}: ${coerced.error}`);
+      } else {
+        delete value[name];
+        warnings.push(`${name}: ${coerced.error} (se descarta)`);
+      }
+    } else {
+      value[name] = coerced.value;
+    }
+  }
+
+  return { value: errors.length ? null : value, errors, warnings };
+}
+
+/**
+ * Valida una respuesta contra un esquema registrado
+ * En una colección los registros inválidos se apartan y el resto se entrega;
+ * en un recurso individual cualquier error invalida la respuesta.
+ * @param {string} schemaName - Nombre del esquema (ver SCHEMAS)
+ * @param {any} data - Datos de la respuesta
+ * @returns {{ data: any, errors: string[], warnings: string[], quarantined: Array }}
+ *   Datos normalizados, errores que invalidan la respuesta, avisos y registros apartados
+ */
+export function validateResponse(schemaName, data) {
+  const schema = SCHEMAS[schemaName];
+
+  if (!schema) {
+    return {
+      data,
+      errors: [],
+      warnings: [`Esquema desconocido: ${schemaName}`],
+      quarantined: [],
+    };
+  }
+
+  if (!schema.list) {
+    const { value, errors, warnings } = validateRecord(schema, data);
+    return { data: value, errors, warnings, quarantined: [] };
+  }
+
+  if (!Array.isArray(data)) {
+    return {
+      data: null,
+      errors: ["la respuesta no es una lista"],
+      warnings: [],
+      quarantined: [],
+    };
+  }
+
+  const valid = [];
+  const warnings = [];
+  const quarantined = [];
+
+  data.forEach((record, index) => {
+    const result = validateRecord(schema.item, record);
+    const label = `${schema.item.name} #${record && record.id != null ? record.id : `[${index}]`}`;
+
+    result.warnings.forEach((warning) => warnings.push(`${label}: ${warning}`));
+
+    if (result.value) {
+      valid.push(result.value);
+    } else {
+      quarantined.push({ index, record, errors: result.errors });
+      warnings.push(`${label}: apartado (${result.errors.join("; ")})`);
+    }
+  });
+
+  return { data: valid, errors: [], warnings, quarantined };
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Conexión a un SharedWorker con la interfaz de un Worker
+ * Envuelve el puerto de un SharedWorker (postMessage, eventos "message" y
+ * "error", terminate) para que el Worker Bridge lo trate igual que a un worker
+ * dedicado. Terminar la conexión solo cierra el puerto de esta pestaña: el
+ * worker sigue atendiendo a las demás.
+ */
+
+/**
+ * Conexión de una pestaña a un SharedWorker
+ */
+export class SharedWorkerConnection extends EventTarget {
+  /**
+   * @param {string} workerPath - Ruta al script del SharedWorker
+   * @param {Object} options - Opciones del SharedWorker ({ name, type })
+   */
+  constructor(workerPath, options) {
+    super();
+    this.worker = new SharedWorker(workerPath, options);
+    this.port = this.worker.port;
+    this.terminated = false;
+
+    this.port.addEventListener("message", (event) => {
+      this.dispatchEvent(new MessageEvent("message", { data: event.data }));
+    });
+
+    this.worker.addEventListener("error", (event) => {
+      this.dispatchEvent(
+        new ErrorEvent("error", { message: event.message, error: event.error })
+      );
+    });
+
+    this.port.start();
+  }
+
+  /**
+   * Envía un mensaje al worker
+   * @param {Object} data - Mensaje ({ id, action, payload })
+   */
+  postMessage(data) {
+    if (this.terminated) return;
+    this.port.postMessage(data);
+  }
+
+  /**
+   * Se desconecta del worker; sus peticiones en curso se cancelan allí
+   */
+  terminate() {
+    if (this.terminated) return;
+
+    this.terminated = true;
+    this.port.postMessage({ action: "disconnect" });
+    this.port.close();
+  }
+}
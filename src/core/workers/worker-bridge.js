@@ -1,16 +1,58 @@
 /**
  * @fileoverview Puente de comunicación con Web Workers
- * Proporciona una API de promesas para interactuar con workers
+ * Proporciona una API de promesas para interactuar con workers. El API Worker
+ * puede ser dedicado (uno por pestaña) o, con CONFIG.WORKERS.SHARED, un
+ * SharedWorker común a todas las pestañas.
  */
 
-import { CONFIG } from "../../config.js";
+import { CONFIG, isMockApiEnabled } from "../../config.js";
+import { InProcessWorker } from "./in-process-worker.js";
+import { SharedWorkerConnection } from "./shared-worker-connection.js";
 
-// Mapa de workers activos
+// Mapa de workers activos (Worker real, SharedWorkerConnection o InProcessWorker)
 const workers = new Map();
 
+// Núcleos que pueden ejecutarse en el hilo principal si el worker no arranca
+const IN_PROCESS_CORES = {
+  api: () => import("./api-core.js"),
+};
+
+// Tiempo máximo de espera al mensaje "init" de un worker
+const WORKER_STARTUP_TIMEOUT = 5000;
+
 // Mapa de callbacks pendientes por ID de mensaje
+// ID -> { resolve, reject, workerName, message, requeue, sent }
 const pendingCallbacks = new Map();
 
+// Rutas de los workers reales, para poder reiniciarlos
+const workerPaths = new Map();
+
+// Última configuración enviada a cada worker; se reaplica tras un reinicio
+const workerConfigs = new Map();
+
+// Workers que se están reiniciando tras un fallo
+const recoveringWorkers = new Set();
+
+// Temporizadores de heartbeat por worker
+const heartbeatTimers = new Map();
+
+// Acciones que pueden reenviarse al worker reiniciado sin efectos duplicados
+const REQUEUE_ACTIONS = [
+  "request",
+  "purgeCache",
+  "getCacheStats",
+  "getQuarantine",
+  "getMetrics",
+  "resetMetrics",
+  "configure",
+];
+
+// Métodos HTTP que pueden repetirse sin efectos secundarios adicionales
+const REQUEUE_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Suscriptores de mensajes no solicitados: nombre del worker -> tipo -> Set de handlers
+const messageListeners = new Map();
+
 // Contador para generar IDs únicos de mensajes
 let messageIdCounter = 0;
 
@@ -23,110 +65,615 @@ function generateMessageId() {
 }
 
 /**
- * Inicializa un worker específico
+ * Crea un error de cancelación distinguible del resto de errores
+ * @param {string} [message] - Mensaje del error
+ * @returns {DOMException} Error con nombre "AbortError"
+ */
+function createAbortError(message = "Petición cancelada") {
+  return new DOMException(message, "AbortError");
+}
+
+/**
+ * Crea el error de una petición que el worker no respondió a tiempo
+ * @param {string} message - Mensaje del error
+ * @returns {DOMException} Error con nombre "TimeoutError"
+ */
+function createTimeoutError(message) {
+  return new DOMException(message, "TimeoutError");
+}
+
+/**
+ * Indica si un error corresponde a una petición sin respuesta del worker
+ * @param {any} error - Error a comprobar
+ * @returns {boolean} True si venció el timeout
+ */
+export function isTimeoutError(error) {
+  return Boolean(error) && error.name === "TimeoutError";
+}
+
+/**
+ * Indica si un error corresponde a una petición cancelada
+ * @param {any} error - Error a comprobar
+ * @returns {boolean} True si la petición fue cancelada
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === "AbortError";
+}
+
+/**
+ * Notifica un mensaje no solicitado a los suscriptores de su tipo
+ * @param {string} name - Nombre del worker emisor
+ * @param {Object} data - Mensaje recibido
+ */
+function notifyMessageListeners(name, data) {
+  const listeners = messageListeners.get(name)?.get(data.type);
+  if (!listeners) return;
+
+  for (const listener of listeners) {
+    try {
+      listener(data);
+    } catch (error) {
+      console.error(`Error en suscriptor de worker [${name}]:`, error);
+    }
+  }
+}
+
+/**
+ * Notifica el estado de un worker a los suscriptores de mensajes "status"
  * @param {string} name - Nombre del worker
- * @param {string} workerPath - Ruta al archivo del worker
- * @returns {Promise<Worker>} Worker inicializado
+ * @param {"ready"|"reconnecting"|"failed"} status - Estado
  */
-function initWorker(name, workerPath) {
-  return new Promise((resolve, reject) => {
+function notifyStatus(name, status) {
+  notifyMessageListeners(name, { type: "status", status });
+}
+
+/**
+ * Indica si un mensaje puede reenviarse a un worker reiniciado
+ * @param {string} action - Acción del mensaje
+ * @param {Object} payload - Datos del mensaje
+ * @returns {boolean} True si reenviarlo no duplica efectos en el servidor
+ */
+function canRequeue(action, payload) {
+  if (!REQUEUE_ACTIONS.includes(action)) return false;
+  if (action !== "request") return true;
+
+  return REQUEUE_METHODS.includes(payload.method || "GET");
+}
+
+/**
+ * Espera un tiempo determinado
+ * @param {number} ms - Tiempo en ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Envía un mensaje al worker si está disponible
+ * @param {string} name - Nombre del worker
+ * @param {Object} message - Mensaje a enviar
+ * @returns {boolean} True si se envió; false si el worker se está reiniciando
+ */
+function postToWorker(name, message) {
+  const worker = workers.get(name);
+  if (!worker || recoveringWorkers.has(name)) return false;
+
+  worker.postMessage(message);
+  return true;
+}
+
+/**
+ * Envía los mensajes pendientes que aún no llegaron al worker
+ * @param {string} name - Nombre del worker
+ */
+function flushPendingMessages(name) {
+  for (const entry of pendingCallbacks.values()) {
+    if (entry.workerName === name && !entry.sent) {
+      entry.sent = postToWorker(name, entry.message);
+    }
+  }
+}
+
+/**
+ * Rechaza los mensajes pendientes de un worker
+ * @param {string} name - Nombre del worker
+ * @param {Function} shouldReject - Recibe la entrada y devuelve true para rechazarla
+ * @param {string} reason - Mensaje del error
+ */
+function rejectPendingMessages(name, shouldReject, reason) {
+  for (const [id, entry] of pendingCallbacks.entries()) {
+    if (entry.workerName === name && shouldReject(entry)) {
+      pendingCallbacks.delete(id);
+      entry.reject(new Error(reason));
+    }
+  }
+}
+
+/**
+ * Comprueba periódicamente que un worker real sigue respondiendo
+ * @param {string} name - Nombre del worker
+ */
+function startHeartbeat(name) {
+  stopHeartbeat(name);
+
+  const timer = setInterval(async () => {
+    if (recoveringWorkers.has(name)) return;
+
     try {
-      // Crear worker
-      const worker = new Worker(workerPath, { name });
+      await sendToWorker(name, "ping", {}, {
+        timeout: CONFIG.WORKERS.HEARTBEAT_TIMEOUT,
+      });
+    } catch (error) {
+      recoverWorker(name, error);
+    }
+  }, CONFIG.WORKERS.HEARTBEAT_INTERVAL);
+
+  heartbeatTimers.set(name, timer);
+}
+
+/**
+ * Detiene el heartbeat de un worker
+ * @param {string} name - Nombre del worker
+ */
+function stopHeartbeat(name) {
+  clearInterval(heartbeatTimers.get(name));
+  heartbeatTimers.delete(name);
+}
+
+/**
+ * Reinicia un worker caído
+ * Las peticiones en curso que pueden repetirse se reenvían al nuevo worker y
+ * el resto se rechaza. Tras agotar los reintentos, la lógica pasa a ejecutarse
+ * en el hilo principal.
+ * @param {string} name - Nombre del worker
+ * @param {any} reason - Causa del fallo
+ * @returns {Promise<void>}
+ */
+async function recoverWorker(name, reason) {
+  if (recoveringWorkers.has(name) || !workers.has(name)) return;
+
+  recoveringWorkers.add(name);
+  console.error(`💥 Worker [${name}] caído, reiniciando:`, reason);
+  notifyStatus(name, "reconnecting");
+
+  stopHeartbeat(name);
+  workers.get(name).terminate();
+  workers.delete(name);
+
+  // Lo que ya estaba en el worker se reenvía solo si es seguro repetirlo
+  rejectPendingMessages(
+    name,
+    (entry) => entry.sent && !entry.requeue,
+    `El worker [${name}] se detuvo antes de responder`
+  );
+  for (const entry of pendingCallbacks.values()) {
+    if (entry.workerName === name) entry.sent = false;
+  }
+
+  const { RESPAWN_BASE_DELAY, RESPAWN_MAX_DELAY, RESPAWN_MAX_ATTEMPTS } =
+    CONFIG.WORKERS;
+  let recovered = false;
+
+  for (let attempt = 1; attempt <= RESPAWN_MAX_ATTEMPTS && !recovered; attempt++) {
+    await wait(
+      Math.min(RESPAWN_MAX_DELAY, RESPAWN_BASE_DELAY * 2 ** (attempt - 1))
+    );
+
+    // Siempre con un worker dedicado: un SharedWorker bloqueado no puede
+    // terminarse desde una pestaña y reconectar llevaría a la misma instancia
+    try {
+      await initWorker(name, workerPaths.get(name));
+      recovered = true;
+    } catch (error) {
+      console.warn(`⚠️ Reinicio ${attempt} del worker [${name}] fallido:`, error);
+    }
+  }
+
+  // Último recurso: ejecutar la lógica en el hilo principal
+  if (!recovered) {
+    try {
+      await initInProcessWorker(name);
+      recovered = true;
+    } catch (error) {
+      console.error(`❌ Worker [${name}] no disponible:`, error);
+    }
+  }
+
+  recoveringWorkers.delete(name);
+
+  if (!recovered) {
+    rejectPendingMessages(name, () => true, `Worker [${name}] no disponible`);
+    notifyStatus(name, "failed");
+    return;
+  }
+
+  // Reaplicar la configuración antes que cualquier otro mensaje
+  const config = workerConfigs.get(name);
+  if (config) {
+    postToWorker(name, {
+      id: generateMessageId(),
+      action: "configure",
+      payload: config,
+    });
+  }
+
+  flushPendingMessages(name);
+  notifyStatus(name, "ready");
+  console.log(`✅ Worker [${name}] recuperado`);
+}
+
+/**
+ * Conecta un worker (real o en proceso) con el bridge
+ * @param {string} name - Nombre del worker
+ * @param {Worker|InProcessWorker} worker - Worker a conectar
+ * @returns {Promise<Worker|InProcessWorker>} Worker listo para recibir mensajes
+ */
+function connectWorker(name, worker) {
+  return new Promise((resolve, reject) => {
+    let ready = false;
+
+    // Un worker que no anuncia su arranque (ej: module workers no soportados) se descarta
+    const startupTimer = setTimeout(() => {
+      reject(new Error(`El worker [${name}] no respondió al iniciar`));
+    }, WORKER_STARTUP_TIMEOUT);
+
+    // Configurar handler para mensajes
+    worker.addEventListener("message", (event) => {
+      const { id, result, type, message } = event.data;
 
-      // Configurar handler para mensajes
-      worker.addEventListener("message", (event) => {
-        const { id, result, type, message } = event.data;
+      // Mensaje de inicialización
+      if (type === "init") {
+        ready = true;
+        clearTimeout(startupTimer);
+        console.log(`🔄 Worker [${name}]: ${message}`);
+        resolve(worker);
+        return;
+      }
+
+      // Error del worker fuera de cualquier petición
+      if (type === "worker-error") {
+        console.error(`❌ Error en worker [${name}]:`, message);
+      }
+
+      // Mensaje no solicitado emitido por el worker (ej: "cache-updated")
+      if (type) {
+        notifyMessageListeners(name, event.data);
+        return;
+      }
+
+      // Mensaje de respuesta a una petición
+      if (id && pendingCallbacks.has(id)) {
+        const { resolve: resolveCb, reject: rejectCb } =
+          pendingCallbacks.get(id);
+        pendingCallbacks.delete(id);
 
-        // Mensaje de inicialización
-        if (type === "init") {
-          console.log(`🔄 Worker [${name}]: ${message}`);
-          resolve(worker);
+        // La petición fue cancelada dentro del worker
+        if (result && result.aborted) {
+          rejectCb(createAbortError(result.error));
           return;
         }
 
-        // Mensaje de respuesta a una petición
-        if (id && pendingCallbacks.has(id)) {
-          const { resolve: resolveCb, reject: rejectCb } =
-            pendingCallbacks.get(id);
-          pendingCallbacks.delete(id);
-
-          resolveCb(result);
+        // Excepción no controlada al procesar el mensaje
+        if (result && result.workerError) {
+          rejectCb(new Error(result.error));
+          return;
         }
-      });
 
-      // Manejar errores
-      worker.addEventListener("error", (error) => {
-        console.error(`❌ Error en worker [${name}]:`, error);
-        reject(error);
-      });
+        resolveCb(result);
+      }
+    });
 
-      // Guardar worker en el mapa
-      workers.set(name, worker);
-    } catch (error) {
-      console.error(`❌ Error al inicializar worker [${name}]:`, error);
+    // Manejar errores: antes de arrancar descartan el worker, después lo reinician
+    worker.addEventListener("error", (error) => {
+      console.error(`❌ Error en worker [${name}]:`, error);
+
+      if (ready) {
+        recoverWorker(name, error);
+        return;
+      }
+
+      clearTimeout(startupTimer);
       reject(error);
-    }
+    });
+
+    // Guardar worker en el mapa
+    workers.set(name, worker);
   });
 }
 
+/**
+ * Inicializa un worker específico
+ * @param {string} name - Nombre del worker
+ * @param {string} workerPath - Ruta al archivo del worker
+ * @returns {Promise<Worker>} Worker inicializado
+ */
+async function initWorker(name, workerPath) {
+  let worker;
+
+  try {
+    // Crear worker (module worker: puede importar otros módulos)
+    worker = new Worker(workerPath, { name, type: "module" });
+    workerPaths.set(name, workerPath);
+    await connectWorker(name, worker);
+    startHeartbeat(name);
+
+    return worker;
+  } catch (error) {
+    // Sin arrancar (CSP, error de carga...): no dejarlo registrado
+    if (worker) worker.terminate();
+    workers.delete(name);
+    throw error;
+  }
+}
+
+/**
+ * Se conecta al SharedWorker de un worker (lo crea si ninguna pestaña lo tiene)
+ * @param {string} name - Nombre del worker
+ * @param {string} workerPath - Ruta al script del SharedWorker
+ * @returns {Promise<SharedWorkerConnection>} Conexión inicializada
+ */
+async function initSharedWorker(name, workerPath) {
+  let worker;
+
+  try {
+    // La versión en el nombre evita compartir instancia con pestañas de otra
+    // versión, y el modo con las que usan el otro transporte (API real o simulada)
+    const mode = isMockApiEnabled() ? "-mock" : "";
+    worker = new SharedWorkerConnection(workerPath, {
+      name: `${name}${mode}@${CONFIG.APP_VERSION}`,
+      type: "module",
+    });
+    await connectWorker(name, worker);
+    startHeartbeat(name);
+
+    return worker;
+  } catch (error) {
+    if (worker) worker.terminate();
+    workers.delete(name);
+    throw error;
+  }
+}
+
+/**
+ * Inicializa el núcleo de un worker en el hilo principal
+ * @param {string} name - Nombre del worker
+ * @returns {Promise<InProcessWorker>} Transporte en proceso inicializado
+ */
+function initInProcessWorker(name) {
+  const loadCore = IN_PROCESS_CORES[name];
+
+  if (!loadCore) {
+    return Promise.reject(
+      new Error(`El worker [${name}] no puede ejecutarse en el hilo principal`)
+    );
+  }
+
+  return connectWorker(name, new InProcessWorker(name, loadCore));
+}
+
+/**
+ * Inicializa un worker o, si no es posible, su núcleo en el hilo principal
+ * Con `sharedWorkerPath` (y CONFIG.WORKERS.SHARED) se intenta antes el
+ * SharedWorker; si no está disponible se usa un worker dedicado.
+ * @param {string} name - Nombre del worker
+ * @param {string} workerPath - Ruta al archivo del worker
+ * @param {string} [sharedWorkerPath] - Ruta al script del SharedWorker
+ * @returns {Promise<Worker|SharedWorkerConnection|InProcessWorker>} Worker o transporte en proceso
+ */
+async function initWorkerWithFallback(name, workerPath, sharedWorkerPath) {
+  // Ruta del worker dedicado, necesaria para reiniciarlo aunque arranque el compartido
+  workerPaths.set(name, workerPath);
+
+  if (sharedWorkerPath && CONFIG.WORKERS.SHARED) {
+    if (typeof SharedWorker !== "undefined") {
+      try {
+        return await initSharedWorker(name, sharedWorkerPath);
+      } catch (error) {
+        console.warn(
+          `⚠️ No se pudo conectar al worker compartido [${name}], se usará uno dedicado:`,
+          error
+        );
+      }
+    } else {
+      console.warn(
+        "⚠️ Este navegador no soporta SharedWorker: cada pestaña usará su propio worker"
+      );
+    }
+  }
+
+  if (window.Worker) {
+    try {
+      return await initWorker(name, workerPath);
+    } catch (error) {
+      console.warn(
+        `⚠️ No se pudo iniciar el worker [${name}], se usará el hilo principal:`,
+        error
+      );
+    }
+  } else {
+    console.warn(
+      "⚠️ Este navegador no soporta Web Workers. La aplicación funcionará en modo degradado."
+    );
+  }
+
+  return initInProcessWorker(name);
+}
+
+/**
+ * Indica cómo se ejecuta un worker
+ * @param {string} name - Nombre del worker
+ * @returns {"worker"|"shared-worker"|"in-process"|null} Transporte en uso o null si no está iniciado
+ */
+export function getWorkerTransport(name) {
+  const worker = workers.get(name);
+  if (!worker) return null;
+
+  if (worker instanceof InProcessWorker) return "in-process";
+  return worker instanceof SharedWorkerConnection ? "shared-worker" : "worker";
+}
+
 /**
  * Envía un mensaje a un worker y devuelve una promesa con la respuesta
+ * Si el worker se está reiniciando, el mensaje se envía cuando vuelva a estar listo.
  * @param {string} workerName - Nombre del worker
  * @param {string} action - Acción a ejecutar
  * @param {Object} payload - Datos para la acción
- * @returns {Promise<any>} Resultado de la acción
+ * @param {Object} [options={}] - Opciones del envío
+ * @param {AbortSignal} [options.signal] - Señal para cancelar la acción en el worker
+ * @param {number} [options.timeout=30000] - Tiempo máximo de espera de la respuesta en ms
+ * @returns {Promise<any>} Resultado de la acción (rechaza con AbortError si se cancela)
  */
-export function sendToWorker(workerName, action, payload = {}) {
-  return new Promise((resolve, reject) => {
-    const worker = workers.get(workerName);
+export function sendToWorker(workerName, action, payload = {}, options = {}) {
+  const { signal, timeout = 30000 } = options;
 
-    if (!worker) {
+  return new Promise((resolve, reject) => {
+    if (!workers.has(workerName) && !recoveringWorkers.has(workerName)) {
       reject(new Error(`Worker [${workerName}] no inicializado`));
       return;
     }
 
+    // No enviar nada si la petición ya fue cancelada
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
     // Generar ID único para esta petición
     const messageId = generateMessageId();
+    const message = { id: messageId, action, payload };
+
+    // Recordar la configuración para reaplicarla si el worker se reinicia
+    if (action === "configure") {
+      workerConfigs.set(workerName, {
+        ...workerConfigs.get(workerName),
+        ...payload,
+      });
+    }
+
+    // Cancelación: avisar al worker (si el mensaje llegó a él) y rechazar de inmediato
+    const handleAbort = () => {
+      const entry = pendingCallbacks.get(messageId);
+      if (!entry) return;
+
+      pendingCallbacks.delete(messageId);
+      if (entry.sent) {
+        postToWorker(workerName, {
+          id: generateMessageId(),
+          action: "abort",
+          payload: { ids: [messageId] },
+        });
+      }
+      reject(createAbortError());
+    };
+
+    if (signal) {
+      signal.addEventListener("abort", handleAbort, { once: true });
+    }
 
     // Registrar callbacks para esta petición
-    pendingCallbacks.set(messageId, { resolve, reject });
+    const entry = {
+      workerName,
+      message,
+      requeue: canRequeue(action, payload),
+      sent: false,
+      resolve: (value) => {
+        if (signal) signal.removeEventListener("abort", handleAbort);
+        resolve(value);
+      },
+      reject: (error) => {
+        if (signal) signal.removeEventListener("abort", handleAbort);
+        reject(error);
+      },
+    };
+    pendingCallbacks.set(messageId, entry);
 
-    // Enviar mensaje al worker
-    worker.postMessage({
-      id: messageId,
-      action,
-      payload,
-    });
+    // Enviar mensaje al worker (o dejarlo en espera si se está reiniciando)
+    entry.sent = postToWorker(workerName, message);
 
     // Timeout de seguridad para evitar memory leaks
     setTimeout(() => {
       if (pendingCallbacks.has(messageId)) {
+        const { reject: rejectCb } = pendingCallbacks.get(messageId);
         pendingCallbacks.delete(messageId);
-        reject(
-          new Error(`Timeout al esperar respuesta del worker [${workerName}]`)
+        rejectCb(
+          createTimeoutError(
+            `Timeout al esperar respuesta del worker [${workerName}]`
+          )
         );
       }
-    }, 30000); // 30 segundos de timeout
+    }, timeout);
   });
 }
 
+/**
+ * Suscribe un handler a los mensajes no solicitados de un worker
+ * @param {string} workerName - Nombre del worker
+ * @param {string} type - Tipo de mensaje (ej: "cache-updated")
+ * @param {Function} handler - Función que recibe el mensaje completo
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function onWorkerMessage(workerName, type, handler) {
+  if (!messageListeners.has(workerName)) {
+    messageListeners.set(workerName, new Map());
+  }
+
+  const byType = messageListeners.get(workerName);
+  if (!byType.has(type)) {
+    byType.set(type, new Set());
+  }
+
+  byType.get(type).add(handler);
+
+  return () => {
+    byType.get(type)?.delete(handler);
+  };
+}
+
 /**
  * Inicializa todos los workers de la aplicación
  * @returns {Promise<void>}
  */
 export async function initWorkerBridge() {
   try {
-    // Detectar si el navegador soporta Web Workers
-    if (!window.Worker) {
-      console.warn(
-        "⚠️ Este navegador no soporta Web Workers. La aplicación funcionará en modo degradado."
-      );
-      return;
+    // Inicializar worker de API (compartido si se configuró; en el hilo
+    // principal si no hay workers)
+    await initWorkerWithFallback(
+      "api",
+      CONFIG.WORKERS.API_WORKER,
+      CONFIG.WORKERS.API_SHARED_WORKER
+    );
+
+    // Configuración de tiempo de ejecución (el worker tiene su propia copia
+    // de CONFIG) y límite de peticiones de red simultáneas
+    await sendToWorker("api", "configure", {
+      config: CONFIG,
+      queue: { concurrency: CONFIG.WORKERS.API_CONCURRENCY },
+    });
+
+    // Responder desde la API simulada si se solicitó (ej: ?mock=1). El modo se
+    // envía siempre: un worker compartido o reiniciado puede venir del otro
+    const mockEnabled = isMockApiEnabled();
+    const { LATENCY, ERROR_RATE, REQUIRE_AUTH, TOKEN_TTL, TEAMMATE_INTERVAL } =
+      CONFIG.MOCK_API;
+    await sendToWorker("api", "configure", {
+      mock: mockEnabled
+        ? {
+            enabled: true,
+            latency: LATENCY,
+            errorRate: ERROR_RATE,
+            requireAuth: REQUIRE_AUTH,
+            tokenTTL: TOKEN_TTL,
+            teammateInterval: TEAMMATE_INTERVAL,
+          }
+        : { enabled: false },
+    });
+
+    if (mockEnabled) {
+      console.warn("🧪 Usando la API simulada: los datos no se envían a ningún servidor");
     }
 
-    // Inicializar worker de API
-    await initWorker("api", CONFIG.WORKERS.API_WORKER);
+    exposeDebugApi();
 
     return true;
   } catch (error) {
@@ -143,12 +690,13 @@ export function terminateWorker(name) {
   const worker = workers.get(name);
 
   if (worker) {
+    stopHeartbeat(name);
     worker.terminate();
     workers.delete(name);
 
     // Limpiar callbacks pendientes para este worker
-    for (const [id, _] of pendingCallbacks.entries()) {
-      if (id.startsWith(`${name}_`)) {
+    for (const [id, entry] of pendingCallbacks.entries()) {
+      if (entry.workerName === name) {
         pendingCallbacks.delete(id);
       }
     }
@@ -173,11 +721,19 @@ window.addEventListener("beforeunload", () => {
   terminateAllWorkers();
 });
 
-// Exponer una API global para depuración en desarrollo
-if (process.env.NODE_ENV === "development") {
+/**
+ * Expone una API global para depuración (solo en desarrollo)
+ * Se llama al iniciar el bridge, cuando ya se cargó la configuración del entorno.
+ */
+function exposeDebugApi() {
+  if (CONFIG.ENVIRONMENT !== "development") return;
+
   window.__workerBridge = {
     getWorkers: () => Array.from(workers.keys()),
+    getWorkerTransport,
     getPendingCallbacks: () => pendingCallbacks.size,
+    // Simula la caída de un worker para probar la recuperación
+    crashWorker: (name) => recoverWorker(name, new Error("Caída simulada")),
     sendToWorker,
     terminateWorker,
     terminateAllWorkers,
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Página de diagnóstico
+ * Muestra la telemetría de red del API Worker
+ */
+
+/**
+ * Componente Diagnostics Page
+ * @element diagnostics-page
+ */
+class DiagnosticsPage extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+  }
+
+  connectedCallback() {
+    this._render();
+  }
+
+  _render() {
+    // CSS
+    const styles = `
+        :host {
+          display: block;
+        }
+
+        .page-title {
+          font-size: 2rem;
+          font-weight: 700;
+          margin-bottom: 1.5rem;
+          color: var(--secondary-color, #475569);
+        }
+
+        .page-subtitle {
+          font-size: 1.125rem;
+          margin-bottom: 2rem;
+          color: var(--secondary-color, #475569);
+          font-weight: normal;
+        }
+      `;
+
+    // Template HTML
+    this.shadowRoot.innerHTML = `
+        <style>${styles}</style>
+        <div class="diagnostics-container">
+          <h1 class="page-title">Diagnóstico</h1>
+          <p class="page-subtitle">Rendimiento de la API medido desde este navegador</p>
+
+          <diagnostics-panel></diagnostics-panel>
+        </div>
+      `;
+  }
+}
+
+// Registrar el componente
+customElements.define("diagnostics-page", DiagnosticsPage);
+
+export default DiagnosticsPage;
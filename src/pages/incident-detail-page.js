@@ -1,11 +1,15 @@
 /**
  * @fileoverview Página de detalle de incidente
- * Muestra la información detallada de un incidente específico
+ * Muestra la información detallada de un incidente específico y la refresca
+ * cada cierto tiempo (el mismo intervalo configurable que la lista)
  */
 
 import { store, actions } from "../core/store/store.js";
-import { ApiService } from "../core/services/api.service.js";
+import { ApiService, isAbortError } from "../core/services/api.service.js";
+import { OutboxService } from "../core/services/outbox.service.js";
 import { getRouter } from "../router.js";
+import { getPollingInterval } from "../config.js";
+import { createPoller } from "../utils/async.utils.js";
 
 /**
  * Componente Incident Detail Page
@@ -26,12 +30,20 @@ class IncidentDetailPage extends HTMLElement {
     this._incident = null;
     this._loading = true;
     this._error = null;
+    this._loadController = null;
+    this._poller = createPoller(() => this._refreshIncident(), {
+      interval: getPollingInterval(),
+    });
 
     // Binding de métodos
     this._handleEditClick = this._handleEditClick.bind(this);
     this._handleDeleteClick = this._handleDeleteClick.bind(this);
     this._handleBackClick = this._handleBackClick.bind(this);
     this._handleStatusChange = this._handleStatusChange.bind(this);
+    this._handlePollingIntervalChanged =
+      this._handlePollingIntervalChanged.bind(this);
+    this._handleResync = this._handleResync.bind(this);
+    this._handleStoreUpdate = this._handleStoreUpdate.bind(this);
   }
 
   // Getters
@@ -47,6 +59,38 @@ class IncidentDetailPage extends HTMLElement {
     if (this.incidentId) {
       this._loadIncidentData();
     }
+
+    // Refresco automático
+    this._poller.start();
+    window.addEventListener(
+      "polling-interval-changed",
+      this._handlePollingIntervalChanged
+    );
+    window.addEventListener("tab-sync:resync", this._handleResync);
+
+    // Reflejar los cambios hechos en otras pestañas o recibidos en tiempo real
+    this._storeIncidents = store.getState().incidents;
+    this._unsubscribeStore = store.subscribe(this._handleStoreUpdate);
+  }
+
+  disconnectedCallback() {
+    this._poller.stop();
+    window.removeEventListener(
+      "polling-interval-changed",
+      this._handlePollingIntervalChanged
+    );
+    window.removeEventListener("tab-sync:resync", this._handleResync);
+
+    if (this._unsubscribeStore) {
+      this._unsubscribeStore();
+      this._unsubscribeStore = null;
+    }
+
+    // Cancelar la carga en curso: su respuesta ya no es relevante
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -62,6 +106,13 @@ class IncidentDetailPage extends HTMLElement {
   async _loadIncidentData() {
     if (!this.incidentId) return;
 
+    // Cancelar la carga anterior si el ID cambió antes de recibir respuesta
+    if (this._loadController) {
+      this._loadController.abort();
+    }
+    const controller = new AbortController();
+    this._loadController = controller;
+
     try {
       this._loading = true;
       this._error = null;
@@ -73,7 +124,9 @@ class IncidentDetailPage extends HTMLElement {
 
       // Si no está en el store, hacer petición a la API
       if (!incident) {
-        incident = await ApiService.getIncidentById(this.incidentId);
+        incident = await ApiService.getIncidentById(this.incidentId, {
+          signal: controller.signal,
+        });
 
         // Actualizar store
         if (incident) {
@@ -82,7 +135,11 @@ class IncidentDetailPage extends HTMLElement {
       }
 
       this._incident = incident;
+      this._poller.markRun();
     } catch (error) {
+      // Petición cancelada por navegación: no mostrar datos ni errores obsoletos
+      if (isAbortError(error)) return;
+
       console.error("Error al cargar el incidente:", error);
       this._error =
         "No se pudo cargar la información del incidente. Inténtalo de nuevo.";
@@ -90,11 +147,118 @@ class IncidentDetailPage extends HTMLElement {
         actions.showErrorNotification("Error al cargar el incidente")
       );
     } finally {
-      this._loading = false;
+      if (this._loadController === controller) {
+        this._loadController = null;
+        this._loading = false;
+        this._updateUI();
+      }
+    }
+  }
+
+  /**
+   * Refresca el incidente en segundo plano y repinta solo si cambió
+   * @private
+   */
+  async _refreshIncident() {
+    // No pisar una carga en curso, un incidente que no se llegó a cargar ni un
+    // cambio que la API aún no ha confirmado
+    if (
+      !this.incidentId ||
+      !this._incident ||
+      this._incident._saving ||
+      this._loadController
+    ) {
+      return;
+    }
+
+    const controller = new AbortController();
+    this._loadController = controller;
+
+    try {
+      const incident = await ApiService.getIncidentById(this.incidentId, {
+        useCache: false,
+        showLoader: false,
+        priority: "low",
+        signal: controller.signal,
+      });
+
+      if (!incident || this._loadController !== controller) return;
+
+      // Un cambio de estado empezado mientras llegaba la respuesta manda sobre ella
+      if (!this._incident || this._incident._saving) return;
+
+      const updated = { ...this._incident, ...incident };
+      if (JSON.stringify(updated) === JSON.stringify(this._incident)) return;
+
+      this._incident = updated;
+      // Dato del servidor: las demás pestañas hacen su propio refresco
+      store.dispatch({ ...actions.updateIncident(incident), _fromServer: true });
       this._updateUI();
+    } catch (error) {
+      if (isAbortError(error)) return;
+
+      // Eliminado por otra persona: se muestra en lugar de los datos obsoletos
+      if (error.status === 404) {
+        this._incident = null;
+        this._error = "Este incidente ya no existe.";
+        this._updateUI();
+        return;
+      }
+
+      console.warn("⚠️ No se pudo refrescar el incidente:", error);
+    } finally {
+      if (this._loadController === controller) {
+        this._loadController = null;
+      }
     }
   }
 
+  /**
+   * Aplica el intervalo de refresco elegido en la lista
+   * @param {CustomEvent} event - Evento polling-interval-changed
+   * @private
+   */
+  _handlePollingIntervalChanged(event) {
+    this._poller.setInterval(event.detail.interval);
+  }
+
+  /**
+   * Aplica los cambios del incidente mostrado que lleguen al store
+   * @param {Object} state - Estado del store
+   * @private
+   */
+  _handleStoreUpdate(state) {
+    if (state.incidents === this._storeIncidents) return;
+
+    const matches = (incident) => String(incident.id) === String(this.incidentId);
+    const wasListed = this._storeIncidents.some(matches);
+    const incident = state.incidents.find(matches);
+    this._storeIncidents = state.incidents;
+
+    if (!this._incident || this._loading) return;
+
+    if (incident) {
+      const updated = { ...this._incident, ...incident };
+      if (JSON.stringify(updated) !== JSON.stringify(this._incident)) {
+        this._incident = updated;
+        this._updateUI();
+      }
+    } else if (wasListed) {
+      // Eliminado en otra pestaña o por otra persona
+      this._incident = null;
+      this._error = "Este incidente ya no existe.";
+      this._updateUI();
+    }
+  }
+
+  /**
+   * Vuelve a pedir el incidente cuando la pestaña pudo perder cambios de otras
+   * @private
+   */
+  _handleResync() {
+    this._refreshIncident();
+  }
+
   /**
    * Actualiza el estado del incidente
    * @param {string} newStatus - Nuevo estado
@@ -103,34 +267,57 @@ class IncidentDetailPage extends HTMLElement {
   async _updateIncidentStatus(newStatus) {
     if (!this.incidentId || !this._incident) return;
 
-    try {
-      store.dispatch(actions.setLoading(true));
+    const previousStatus = this._incident.status;
 
-      // Llamar a la API
-      const updatedIncident = await ApiService.updateIncidentStatus(
-        this.incidentId,
-        newStatus
-      );
+    // Mostrar el cambio sin esperar a la API
+    this._incident = { ...this._incident, status: newStatus, _saving: true };
+    this._updateUI();
 
-      // Actualizar store
-      store.dispatch(actions.updateIncident(updatedIncident));
+    try {
+      // Se aplica en el store de inmediato y se revierte si la API falla
+      // (sin conexión se encola)
+      const { data: updatedIncident, queued } =
+        await OutboxService.updateIncidentStatus(this.incidentId, newStatus, {
+          optimistic: true,
+        });
+
+      // Actualizar store con la respuesta del servidor
+      if (!queued) {
+        store.dispatch(actions.updateIncident(updatedIncident));
+      }
 
       // Actualizar localmente
-      this._incident = updatedIncident;
+      this._incident = {
+        ...this._incident,
+        ...updatedIncident,
+        _saving: false,
+      };
 
       // Mostrar notificación
       store.dispatch(
-        actions.showSuccessNotification("Estado actualizado correctamente")
+        queued
+          ? actions.showWarningNotification(
+              "Sin conexión: el cambio de estado se sincronizará al reconectar"
+            )
+          : actions.showSuccessNotification("Estado actualizado correctamente")
       );
-
-      this._updateUI();
     } catch (error) {
       console.error("Error al actualizar el estado:", error);
+
+      // Revertir al estado anterior (el store ya se revirtió)
+      this._incident = {
+        ...this._incident,
+        status: previousStatus,
+        _saving: false,
+      };
+
       store.dispatch(
-        actions.showErrorNotification("Error al actualizar el estado")
+        actions.showErrorNotification(
+          "No se pudo actualizar el estado, se ha restaurado el anterior"
+        )
       );
     } finally {
-      store.dispatch(actions.setLoading(false));
+      this._updateUI();
     }
   }
 
@@ -195,6 +382,8 @@ class IncidentDetailPage extends HTMLElement {
     const dateElement = this.shadowRoot.querySelector(".incident-date");
     const description = this.shadowRoot.querySelector(".incident-description");
     const statusBadge = this.shadowRoot.querySelector("status-badge");
+    const savingIndicator = this.shadowRoot.querySelector(".saving-indicator");
+    const statusSection = this.shadowRoot.querySelector(".status-section");
     const statusRadios = this.shadowRoot.querySelectorAll(
       'input[name="status"]'
     );
@@ -206,9 +395,15 @@ class IncidentDetailPage extends HTMLElement {
     if (description) description.textContent = this._incident.description;
     if (statusBadge) statusBadge.setAttribute("status", this._incident.status);
 
-    // Actualizar radio del estado
+    // Marcador de cambio a la espera de la API
+    const saving = Boolean(this._incident._saving);
+    if (savingIndicator) savingIndicator.hidden = !saving;
+    if (statusSection) statusSection.setAttribute("aria-busy", String(saving));
+
+    // Actualizar radio del estado (sin permitir otro cambio hasta confirmar este)
     statusRadios.forEach((radio) => {
       radio.checked = radio.value === this._incident.status;
+      radio.disabled = saving;
     });
   }
 
@@ -236,15 +431,21 @@ class IncidentDetailPage extends HTMLElement {
     try {
       store.dispatch(actions.setLoading(true));
 
-      // Llamar a la API
-      await ApiService.deleteIncident(this.incidentId);
+      // Llamar a la API (sin conexión se encola y se elimina del store)
+      const { queued } = await OutboxService.deleteIncident(this.incidentId);
 
       // Actualizar store
-      store.dispatch(actions.deleteIncident(this.incidentId));
+      if (!queued) {
+        store.dispatch(actions.deleteIncident(this.incidentId));
+      }
 
       // Mostrar notificación
       store.dispatch(
-        actions.showSuccessNotification("Incidente eliminado correctamente")
+        queued
+          ? actions.showWarningNotification(
+              "Sin conexión: la eliminación se sincronizará al reconectar"
+            )
+          : actions.showSuccessNotification("Incidente eliminado correctamente")
       );
 
       // Volver a página principal
@@ -481,6 +682,28 @@ class IncidentDetailPage extends HTMLElement {
         to { transform: rotate(360deg); }
       }
       
+      .saving-indicator {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.375rem;
+        margin-left: 0.75rem;
+        font-size: 0.875rem;
+        color: #1e40af;
+      }
+      
+      .saving-indicator[hidden] {
+        display: none;
+      }
+      
+      .saving-spinner {
+        width: 0.75rem;
+        height: 0.75rem;
+        border: 2px solid #bfdbfe;
+        border-top-color: currentColor;
+        border-radius: 50%;
+        animation: spin 0.8s linear infinite;
+      }
+      
       .error-message {
         text-align: center;
         padding: 2rem;
@@ -549,6 +772,12 @@ class IncidentDetailPage extends HTMLElement {
                   <status-badge status="${
                     this._incident?.status || "pendiente"
                   }"></status-badge>
+                  <span class="saving-indicator" role="status" ${
+                    this._incident?._saving ? "" : "hidden"
+                  }>
+                    <span class="saving-spinner" aria-hidden="true"></span>
+                    Guardando…
+                  </span>
                 </div>
               </div>
               
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Página de inicio de sesión
+ * Autentica al usuario y vuelve a la ruta que intentaba visitar
+ */
+
+import { isMockApiEnabled } from "../config.js";
+import { AuthService } from "../core/services/auth.service.js";
+import { store, actions } from "../core/store/store.js";
+import { getRouter } from "../router.js";
+
+/**
+ * Componente Login Page
+ * @element login-page
+ */
+class LoginPage extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+
+    // Estado interno
+    this._isSubmitting = false;
+    this._error = "";
+
+    // Binding de métodos
+    this._handleSubmit = this._handleSubmit.bind(this);
+  }
+
+  connectedCallback() {
+    this._render();
+    this._addEventListeners();
+  }
+
+  disconnectedCallback() {
+    this._removeEventListeners();
+  }
+
+  /**
+   * Maneja el envío del formulario
+   * @param {Event} event - Evento submit
+   * @private
+   */
+  async _handleSubmit(event) {
+    event.preventDefault();
+    if (this._isSubmitting) return;
+
+    const form = event.target;
+    const username = form.username.value.trim();
+    const password = form.password.value;
+
+    if (!username || !password) {
+      this._error = "Introduce usuario y contraseña";
+      this._updateState();
+      return;
+    }
+
+    this._isSubmitting = true;
+    this._error = "";
+    this._updateState();
+
+    try {
+      const user = await AuthService.login(username, password);
+
+      store.dispatch(
+        actions.showSuccessNotification(`Bienvenido, ${user.name || user.username}`)
+      );
+      getRouter().navigate(AuthService.consumeRedirectPath());
+    } catch (error) {
+      this._error =
+        error.status === 401
+          ? error.message || "Usuario o contraseña incorrectos"
+          : "No se pudo iniciar sesión. Inténtalo de nuevo";
+    } finally {
+      this._isSubmitting = false;
+      if (this.isConnected) this._updateState();
+    }
+  }
+
+  /**
+   * Actualiza el botón y el mensaje de error sin volver a renderizar
+   * @private
+   */
+  _updateState() {
+    const submitBtn = this.shadowRoot.querySelector(".submit-btn");
+    const errorMessage = this.shadowRoot.querySelector(".error-message");
+
+    if (submitBtn) {
+      submitBtn.disabled = this._isSubmitting;
+      submitBtn.textContent = this._isSubmitting ? "Entrando..." : "Iniciar sesión";
+    }
+
+    if (errorMessage) {
+      errorMessage.textContent = this._error;
+      errorMessage.hidden = !this._error;
+    }
+  }
+
+  /**
+   * Agrega event listeners
+   * @private
+   */
+  _addEventListeners() {
+    const form = this.shadowRoot.querySelector("form");
+    if (form) {
+      form.addEventListener("submit", this._handleSubmit);
+    }
+  }
+
+  /**
+   * Quita event listeners
+   * @private
+   */
+  _removeEventListeners() {
+    const form = this.shadowRoot.querySelector("form");
+    if (form) {
+      form.removeEventListener("submit", this._handleSubmit);
+    }
+  }
+
+  _render() {
+    // CSS
+    const styles = `
+      :host {
+        display: block;
+      }
+
+      .login-container {
+        max-width: 400px;
+        margin: 2rem auto;
+        padding: 2rem;
+        background-color: white;
+        border-radius: var(--border-radius-lg, 0.5rem);
+        box-shadow: var(--shadow-md, 0 4px 6px -1px rgba(0, 0, 0, 0.1));
+      }
+
+      .page-title {
+        font-size: 1.5rem;
+        font-weight: 700;
+        margin: 0 0 1.5rem;
+        color: var(--secondary-color, #475569);
+        text-align: center;
+      }
+
+      .form-group {
+        margin-bottom: 1.25rem;
+      }
+
+      label {
+        display: block;
+        margin-bottom: 0.5rem;
+        font-weight: 500;
+        color: var(--secondary-color, #475569);
+      }
+
+      input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.75rem;
+        font-size: 1rem;
+        color: #334155;
+        border: 1px solid #e2e8f0;
+        border-radius: var(--border-radius-md, 0.375rem);
+      }
+
+      input:focus {
+        outline: none;
+        border-color: var(--primary-color, #3b82f6);
+        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+      }
+
+      .error-message {
+        color: var(--error-color, #ef4444);
+        font-size: 0.875rem;
+        margin-bottom: 1rem;
+      }
+
+      .submit-btn {
+        width: 100%;
+        padding: 0.75rem 1.5rem;
+        font-size: 1rem;
+        font-weight: 500;
+        color: white;
+        background-color: var(--primary-color, #3b82f6);
+        border: none;
+        border-radius: var(--border-radius-md, 0.375rem);
+        cursor: pointer;
+      }
+
+      .submit-btn:hover:not(:disabled) {
+        background-color: var(--primary-dark, #2563eb);
+      }
+
+      .submit-btn:disabled {
+        opacity: 0.7;
+        cursor: not-allowed;
+      }
+
+      .hint {
+        margin-top: 1.25rem;
+        font-size: 0.875rem;
+        color: #64748b;
+        text-align: center;
+      }
+    `;
+
+    // Usuarios de prueba de la API simulada
+    const hint = isMockApiEnabled()
+      ? `<p class="hint">API simulada: usa <strong>admin</strong> / <strong>admin123</strong> o <strong>demo</strong> / <strong>demo</strong></p>`
+      : "";
+
+    // Template HTML
+    this.shadowRoot.innerHTML = `
+      <style>${styles}</style>
+      <div class="login-container">
+        <h1 class="page-title">Iniciar sesión</h1>
+
+        <form novalidate>
+          <div class="form-group">
+            <label for="username">Usuario</label>
+            <input id="username" name="username" type="text" autocomplete="username" required />
+          </div>
+
+          <div class="form-group">
+            <label for="password">Contraseña</label>
+            <input id="password" name="password" type="password" autocomplete="current-password" required />
+          </div>
+
+          <p class="error-message" role="alert" hidden></p>
+
+          <button type="submit" class="submit-btn">Iniciar sesión</button>
+        </form>
+
+        ${hint}
+      </div>
+    `;
+  }
+}
+
+// Registrar el componente
+customElements.define("login-page", LoginPage);
+
+export default LoginPage;
@@ -36,6 +36,14 @@ const routes = [
       return match ? { id: match[1] } : null;
     },
   },
+  {
+    path: CONFIG.ROUTES.LOGIN,
+    component: "login-page",
+  },
+  {
+    path: CONFIG.ROUTES.DIAGNOSTICS,
+    component: "diagnostics-page",
+  },
   {
     path: CONFIG.ROUTES.NOT_FOUND,
     component: "not-found-page",
@@ -73,16 +81,18 @@ class RouterOutlet extends HTMLElement {
       page.setAttribute(`data-${key}`, value);
     }
 
-    // 4. Agregamos la nueva página
-    this.appendChild(page);
-
-    // 5. Emitimos evento de cambio de página con información
+    // 4. Emitimos evento de cambio de página con información
+    // Se emite antes de conectar la nueva página para que lo que se cancele
+    // al escucharlo (p. ej. peticiones de la vista anterior) no afecte a la nueva
     window.dispatchEvent(
       new CustomEvent("page-changed", {
         detail: { component, params },
       })
     );
 
+    // 5. Agregamos la nueva página
+    this.appendChild(page);
+
     // 6. Scroll al inicio de la página
     window.scrollTo({ top: 0, behavior: "smooth" });
 
@@ -133,8 +143,14 @@ class Router {
    * @private
    */
   _handleLinkClick(event) {
-    // Buscar si el click fue en un link o dentro de un link
-    const link = event.target.closest("a");
+    // El componente que contiene el link ya gestionó la navegación
+    if (event.defaultPrevented) return;
+
+    // Buscar si el click fue en un link o dentro de un link; composedPath
+    // incluye los nodos dentro del shadow DOM de los componentes
+    const link = event
+      .composedPath()
+      .find((node) => node instanceof HTMLAnchorElement);
 
     // Si no es un link o es externo o tiene atributo para abrir en nueva ventana, ignorar
     if (
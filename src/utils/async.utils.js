@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Utilidades asíncronas
+ */
+
+/**
+ * Crea un sondeo periódico que se pausa cuando no sirve de nada
+ * No se ejecuta con la pestaña oculta ni sin conexión; al volver (pestaña
+ * visible o conexión recuperada) se ejecuta enseguida y el intervalo vuelve a
+ * contar desde ahí. Una ejecución no empieza hasta que termina la anterior.
+ * @param {Function} task - Tarea a ejecutar (puede devolver una promesa)
+ * @param {Object} [options={}] - Opciones
+ * @param {number} [options.interval=0] - Intervalo en ms (0 = desactivado)
+ * @returns {{ start: Function, stop: Function, setInterval: Function, markRun: Function }}
+ *   Control del sondeo
+ */
+export function createPoller(task, options = {}) {
+  let interval = options.interval || 0;
+  let timer = null;
+  let running = false;
+  let started = false;
+  // Momento de la última ejecución (o de la última carga hecha por otra vía)
+  let lastRun = Date.now();
+
+  const canRun = () =>
+    started && interval > 0 && !document.hidden && navigator.onLine;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!canRun() || running) return;
+
+    const wait = Math.max(0, lastRun + interval - Date.now());
+    timer = setTimeout(run, wait);
+  };
+
+  const run = async () => {
+    timer = null;
+    if (!canRun() || running) return;
+
+    running = true;
+    lastRun = Date.now();
+
+    try {
+      await task();
+    } catch (error) {
+      console.warn("⚠️ Error en el refresco automático:", error);
+    } finally {
+      running = false;
+      schedule();
+    }
+  };
+
+  // La pestaña visible o la conexión recuperada refrescan al momento
+  const handleResume = () => {
+    clearTimeout(timer);
+    timer = null;
+    run();
+  };
+  const handlePause = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  const handleVisibility = () => (document.hidden ? handlePause() : handleResume());
+
+  return {
+    /**
+     * Inicia el sondeo
+     */
+    start() {
+      if (started) return;
+      started = true;
+
+      document.addEventListener("visibilitychange", handleVisibility);
+      window.addEventListener("online", handleResume);
+      window.addEventListener("offline", handlePause);
+      schedule();
+    },
+
+    /**
+     * Detiene el sondeo
+     */
+    stop() {
+      started = false;
+      handlePause();
+
+      document.removeEventListener("visibilitychange", handleVisibility);
+      window.removeEventListener("online", handleResume);
+      window.removeEventListener("offline", handlePause);
+    },
+
+    /**
+     * Cambia el intervalo
+     * @param {number} nextInterval - Intervalo en ms (0 = desactivado)
+     */
+    setInterval(nextInterval) {
+      interval = nextInterval || 0;
+      schedule();
+    },
+
+    /**
+     * Registra que los datos se acaban de cargar por otra vía (ej: refresco
+     * manual), para que la siguiente ejecución espere un intervalo completo
+     */
+    markRun() {
+      lastRun = Date.now();
+      schedule();
+    },
+  };
+}
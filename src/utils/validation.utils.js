@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Reglas de validación de incidentes
+ * Compartidas por el formulario, ApiService y la API simulada para que la
+ * creación y la edición apliquen exactamente las mismas reglas.
+ */
+
+import { CONFIG } from "../config.js";
+
+// Campos editables de un incidente
+export const INCIDENT_FIELDS = ["reporter", "description", "status"];
+
+/**
+ * Valida un campo de un incidente
+ * @param {string} name - Nombre del campo
+ * @param {any} value - Valor del campo
+ * @returns {string} Mensaje de error o cadena vacía si es válido
+ */
+export function validateIncidentField(name, value) {
+  const minLength = CONFIG.VALIDATION.INCIDENT_DESCRIPTION_MIN_LENGTH;
+
+  switch (name) {
+    case "reporter":
+      if (typeof value !== "string" || !value.trim()) {
+        return "El nombre del reportador es obligatorio";
+      }
+      return "";
+
+    case "description":
+      if (typeof value !== "string" || !value.trim()) {
+        return "La descripción es obligatoria";
+      }
+      if (value.trim().length < minLength) {
+        return `La descripción debe tener al menos ${minLength} caracteres`;
+      }
+      return "";
+
+    case "status":
+      if (!Object.values(CONFIG.INCIDENT_STATUS).includes(value)) {
+        return "Estado no válido";
+      }
+      return "";
+
+    default:
+      return "";
+  }
+}
+
+/**
+ * Valida los datos de un incidente
+ * Al crear, el reportador y la descripción son obligatorios; al editar
+ * (`partial`) solo se validan los campos presentes. El estado se valida
+ * siempre que venga.
+ * @param {Object} data - Datos del incidente
+ * @param {Object} [options={}] - Opciones
+ * @param {boolean} [options.partial=false] - Validar solo los campos presentes
+ * @returns {Object|null} Errores por campo o null si son válidos
+ */
+export function validateIncident(data, options = {}) {
+  const { partial = false } = options;
+  const errors = {};
+
+  for (const field of INCIDENT_FIELDS) {
+    const required = !partial && field !== "status";
+    if (!required && !(field in data)) continue;
+
+    const error = validateIncidentField(field, data[field]);
+    if (error) errors[field] = error;
+  }
+
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Obtiene los campos editables que cambiaron respecto a los datos originales
+ * Los textos se comparan y se devuelven sin espacios al principio ni al final.
+ * @param {Object} original - Datos originales
+ * @param {Object} current - Datos actuales
+ * @returns {Object} Campos modificados con su nuevo valor (vacío si no hay cambios)
+ */
+export function getChangedFields(original, current) {
+  const normalize = (value) =>
+    typeof value === "string" ? value.trim() : value;
+  const changes = {};
+
+  for (const field of INCIDENT_FIELDS) {
+    if (!(field in current)) continue;
+
+    const value = normalize(current[field]);
+    if (value !== normalize(original[field])) {
+      changes[field] = value;
+    }
+  }
+
+  return changes;
+}